@@ -1,13 +1,132 @@
-const fs = require('fs');
 const { spawn } = require('child_process');
 const os = require('os');
+const path = require('path');
 const escomplex = require('typhonjs-escomplex');
+const sucrase = require('sucrase');
 
 const {isText} = require('istextorbinary');
 const mkLogger = require('./log.js');
 
 const logger = mkLogger({label: __filename});
 
+// Counts the lines of comments in javascript code
+function countComments(code) {
+    let commentPattern = /(?:(?<!\\)("|'|`)[\s\S]*?(?<!\\)\1)|(?:\/(?!\*)[^\r\n\f]+(?<!\\)\/)|(\/\*[\s\S]*?\*\/)|(\/\/[^\r\n\f]*)/g;
+    let commentLines = 0;
+    let match;
+
+    while(match = commentPattern.exec(code)) {
+        // Group 2 = block comments
+        if (match[2]) {
+            commentLines += match[2].split('\n').length;
+        }
+        // Group 3 = line comments
+        if (match[3]) {
+            commentLines++;
+        }
+    }
+
+    return commentLines;
+}
+
+// Strips the types and JSX from the code of a file with some sucrase transforms, if any.
+// Throws if the code can't be parsed.
+function stripTypes(code, filepath, transforms) {
+    if (!transforms) {
+        return code;
+    }
+    return sucrase.transform(code, {
+        transforms,
+        filePath: filepath,
+        production: true,
+        disableESTransforms: true,
+    }).code;
+}
+
+// Analyses the code of a file into an escomplex module report, stripping types and
+// JSX based on its extension. Files failing to parse are retried with the fallback
+// transforms of their extension, if any. Throws if the code can't be parsed.
+function analyseModule(code, filepath) {
+    const ext = path.extname(filepath);
+    try {
+        return escomplex.analyzeModule(stripTypes(code, filepath, analyse.transforms[ext]), {});
+    } catch (err) {
+        const fallback = analyse.fallbackTransforms[ext];
+        if (!fallback) {
+            throw err;
+        }
+        try {
+            return escomplex.analyzeModule(stripTypes(code, filepath, fallback), {});
+        } catch (_) {
+            // the file is broken rather than JSX, report the original error
+            throw err;
+        }
+    }
+}
+
+/**
+ *  Static analysis report of a single file
+ *  @typedef {object} FileReport
+ *  @property {string} path - The path of the file
+ *  @property {number} sloc - The physical lines of code
+ *  @property {number} cyclomatic - The cyclomatic complexity of the file
+ *  @property {number} maintainability - The maintainability index of the file
+ *  @property {number} halsteadEffort
+ *  @property {number} halsteadVolume
+ *  @property {number} halsteadDifficulty
+ *  @property {number} halsteadBugs
+ */
+
+// Converts an escomplex module report into a file report
+function fileReport(report) {
+    return {
+        path: report.srcPath,
+        sloc: report.aggregate.sloc.physical,
+        cyclomatic: report.aggregate.cyclomatic,
+        maintainability: report.maintainability,
+        halsteadEffort: report.aggregate.halstead.effort,
+        halsteadVolume: report.aggregate.halstead.volume,
+        halsteadDifficulty: report.aggregate.halstead.difficulty,
+        halsteadBugs: report.aggregate.halstead.bugs,
+    };
+}
+
+/**
+ *  Static analysis report of a single function
+ *  @typedef {object} FunctionReport
+ *  @property {string} path - The path of the file the function is in
+ *  @property {string} name - The name of the function, prefixed by its class if a method
+ *  @property {number} line - The line the function starts at
+ *  @property {number} sloc - The logical lines of code
+ *  @property {number} cyclomatic - The cyclomatic complexity of the function
+ *  @property {number} halsteadEffort
+ */
+
+// Converts the functions and methods of an escomplex module report into function reports
+function functionReports(report) {
+    const toReport = (method, prefix) => ({
+        path: report.srcPath,
+        name: prefix + method.name,
+        line: method.lineStart,
+        sloc: method.sloc.logical,
+        cyclomatic: method.cyclomatic,
+        halsteadEffort: method.halstead.effort,
+    });
+    let functions = report.methods.map(m => toReport(m, ''));
+    for (const cls of report.classes) {
+        functions.push(...cls.methods.map(m => toReport(m, cls.name + '.')));
+    }
+    return functions;
+}
+
+/**
+ *  The contents of a file to analyse. Sources are read from the repository's
+ *  object database (or from disk), so analysers never touch the working tree.
+ *  @typedef {object} Source
+ *  @property {string} path - The path of the file, relative to the repository
+ *  @property {string} code - The contents of the file
+ */
+
 /**
  *  A namespace containing analyser functions.
  *  @namespace
@@ -23,29 +142,38 @@ const analyse = {
 
     /**
      *  Analyses a generic text files.
-     *  @param {Array<string>} paths - An array of absolute file paths
+     *  @param {Array<Source>} sources - The files to analyse
      *
      *  @return {GenericAnalysisReport} A report of all analyses performed on the given extension
      */
-    generic: function(paths) {
-
-        const readFile = path => fs.readFileSync(path, 'utf8');
-        const countLines = contents => contents.split('\n').length;
-        const getLinesFromFile = path => {
-            let contents = readFile(path);
-            if (isText(path, contents)) {
-                return countLines(contents);
-            } else {
-                return 0;
-            }
-        };
-        const totalLines = paths
-            .map(getLinesFromFile)
-            .reduce((a, b) => a + b, 0);
+    generic: function(sources) {
+        return Promise.all(sources.map(analyse.genericFile))
+            .then(results => analyse.genericAggregate(results));
+    },
+
+    /**
+     *  Analyses a single generic text file, see {@link analyse.genericAggregate}.
+     *  @param {Source} source - The file to analyse
+     *
+     *  @return {Promise<object>} The path and number of lines of the file
+     */
+    genericFile: function({path, code}) {
+        const numberOfLines = isText(path, code) ? code.split('\n').length : 0;
+        return Promise.resolve({path, numberOfLines});
+    },
 
+    /**
+     *  Aggregates the analyses of single generic text files into a report.
+     *  @param {Array<object>} results - The results of {@link analyse.genericFile}
+     *
+     *  @return {GenericAnalysisReport} A report of all analyses performed on the given extension
+     */
+    genericAggregate: function(results) {
         return Promise.resolve({
-            numberOfFiles: paths.length,
-            numberOfLines: totalLines
+            numberOfFiles: results.length,
+            numberOfLines: results
+                .map(r => r.numberOfLines)
+                .reduce((a, b) => a + b, 0)
         });
     },
 
@@ -53,6 +181,9 @@ const analyse = {
      *  Static Analysis report for Javascript code
      *  @typedef {object} JsAnalysisReport
      *  @property {number} numberOfFiles
+     *      The number of files parsed, which the other metrics cover. If none
+     *      could be parsed, the number of files whose lines are counted instead
+     *  @property {number} numberOfFailedFiles - The number of files that failed to parse
      *  @property {number} numberOfLines
      *  @property {number} numberOfLogicalLines
      *  @property {number} numberOfComments
@@ -68,91 +199,155 @@ const analyse = {
      */
 
     /**
-     *  Performs static code analysis on a set of javascript files
-     *  @param {Array<string>} paths - An array of absolute file paths
+     *  Performs static code analysis on a set of javascript files.
+     *  TypeScript and JSX files (see {@link analyse.transforms}) have their types
+     *  and JSX stripped before being analysed, and so do javascript files that only
+     *  parse with them (see {@link analyse.fallbackTransforms}). Files that fail
+     *  to parse are counted and left out of the report.
+     *  @param {Array<Source>} sources - The files to analyse
+     *  @param {object} [options] - The analysis options
+     *  @param {boolean} [options.perFile=false]
+     *      Also report the metrics of each file and function, under the
+     *      `files` and `functions` keys of the report
      *
      *  @return {JsAnalysisReport} A report of static analysis performed on javascript code
      */
-    javascript: function(paths) {
-        return new Promise((resolve, reject) => {
-            let source = [];
-            let totalComments = 0;
-
-            for (let path of paths) {
-                let code = fs.readFileSync(path, 'utf8');
-
-                // Add file and contents to source object for later digestion by escomplex
-                source.push({
-                    code: code,
-                    srcPath: path,
-                    filePath: path
-                });
-
-                // Count comments in each file
-                let commentPattern = /(?:(?<!\\)("|'|`)[\s\S]*?(?<!\\)\1)|(?:\/(?!\*)[^\r\n\f]+(?<!\\)\/)|(\/\*[\s\S]*?\*\/)|(\/\/[^\r\n\f]*)/g;
-                let commentLines = 0;
-                let match;
-
-                while(match = commentPattern.exec(code)) {
-                    // Group 2 = block comments
-                    if (match[2]) {
-                        commentLines += match[2].split('\n').length;
-                    }
-                    // Group 3 = line comments
-                    if (match[3]) {
-                        commentLines++;
-                    }
-                }
+    javascript: function(sources, options) {
+        return Promise.all(sources.map(analyse.javascriptFile))
+            .then(results => analyse.javascriptAggregate(results, options));
+    },
 
-                totalComments += commentLines;
-            }
+    /**
+     *  Analysis of a single javascript file
+     *  @typedef {object} JsFileAnalysis
+     *  @property {string} path - The path of the file
+     *  @property {number} numberOfLines - The number of physical lines
+     *  @property {number} numberOfComments - The number of comment lines
+     *  @property {object} module - The escomplex module report, `null` if the file failed to parse
+     */
 
-            let escomplexReport;
+    /**
+     *  Analyses a single javascript file, see {@link analyse.javascriptAggregate}.
+     *  @param {Source} source - The file to analyse
+     *
+     *  @return {Promise<JsFileAnalysis>} The analysis of the file
+     */
+    javascriptFile: function({path, code}) {
+        let module = null;
 
-            try {
-                escomplexReport = escomplex.analyzeProject(source, {});
-            } catch (e) {
-                // Parse failure, skip and return basic analysis
-                logger.warn(e);
-                resolve(analyse.generic(paths));
-            }
+        try {
+            // Strip types and JSX, if any
+            module = analyseModule(code, path);
+            module.srcPath = path;
+            module.filePath = path;
+        } catch (e) {
+            logger.warn(`Failed to parse '${path}': ${e.message}`);
+        }
 
-            // Total physical lines of code
-            let sloc = 0;
+        return Promise.resolve({
+            path,
+            numberOfLines: code.split('\n').length,
+            numberOfComments: countComments(code),
+            module,
+        });
+    },
 
-            // Total logical lines of code
-            let lsloc = 0;
+    /**
+     *  Aggregates the analyses of single javascript files into a project report.
+     *  Files that failed to parse are counted and left out of the report.
+     *  @param {Array<JsFileAnalysis>} results - The results of {@link analyse.javascriptFile}
+     *  @param {object} [options] - The analysis options
+     *  @param {boolean} [options.perFile=false]
+     *      Also report the metrics of each file and function, under the
+     *      `files` and `functions` keys of the report
+     *
+     *  @return {Promise<JsAnalysisReport>} A report of static analysis performed on javascript code
+     */
+    javascriptAggregate: function(results, {perFile = false} = {}) {
+        const modules = results.filter(r => r.module).map(r => r.module);
+        const failedFiles = results.length - modules.length;
+        const totalComments = results
+            .map(r => r.numberOfComments)
+            .reduce((a, b) => a + b, 0);
+
+        // Nothing could be parsed, return basic analysis
+        if (modules.length === 0) {
+            return analyse.genericAggregate(results)
+                .then(report => ({...report, numberOfFailedFiles: failedFiles}));
+        }
+
+        // Calculate the project metrics from the module reports
+        const project = escomplex.analyzeProject([], {skipCalculation: true});
+        project.modules.push(...modules);
+        const escomplexReport = escomplex.processProject(project, {});
+
+        // Total physical lines of code
+        let sloc = 0;
 
-            // Non unique dependencies
-            let dependencies = 0;
+        // Total logical lines of code
+        let lsloc = 0;
+
+        // Non unique dependencies
+        let dependencies = 0;
+
+        for (let report of escomplexReport.modules) {
+            sloc += report.aggregate.sloc.physical;
+            lsloc += report.aggregate.sloc.logical;
+            dependencies += report.dependencies.length;
+        }
+
+        let finalReport = {
+            // the same files as the lines and averages, the others are failed files
+            numberOfFiles: modules.length,
+            numberOfFailedFiles: failedFiles,
+            numberOfLines: sloc,
+            numberOfLogicalLines: lsloc,
+            numberOfComments: totalComments,
+            cyclomaticComplexity: escomplexReport.moduleAverage.methodAverage.cyclomatic,
+            maintainabilityIndex: escomplexReport.moduleAverage.maintainability,
+            changeCost: escomplexReport.changeCost,
+            avgDependencies: dependencies / escomplexReport.modules.length,
+            halsteadEffort: escomplexReport.moduleAverage.methodAverage.halstead.effort,
+            halsteadBugs: escomplexReport.moduleAverage.methodAverage.halstead.bugs,
+            halsteadLength: escomplexReport.moduleAverage.methodAverage.halstead.length,
+            halsteadDifficulty: escomplexReport.moduleAverage.methodAverage.halstead.difficulty,
+            halsteadTime: escomplexReport.moduleAverage.methodAverage.halstead.time,
+            halsteadVocabulary: escomplexReport.moduleAverage.methodAverage.halstead.vocabulary,
+            halsteadVolume: escomplexReport.moduleAverage.methodAverage.halstead.volume
+        };
 
-            for (let report of escomplexReport.modules) {
-                sloc += report.aggregate.sloc.physical;
-                lsloc += report.aggregate.sloc.logical;
-                dependencies += report.dependencies.length;
+        if (perFile) {
+            finalReport.files = escomplexReport.modules.map(fileReport);
+            finalReport.functions = [];
+            for (const report of escomplexReport.modules) {
+                finalReport.functions.push(...functionReports(report));
             }
+        }
 
-            let finalReport = {
-                numberOfFiles: paths.length,
-                numberOfLines: sloc,
-                numberOfLogicalLines: lsloc,
-                numberOfComments: totalComments,
-                cyclomaticComplexity: escomplexReport.moduleAverage.methodAverage.cyclomatic,
-                maintainabilityIndex: escomplexReport.moduleAverage.maintainability,
-                changeCost: escomplexReport.changeCost,
-                avgDependencies: dependencies / escomplexReport.modules.length,
-                halsteadEffort: escomplexReport.moduleAverage.methodAverage.halstead.effort,
-                halsteadBugs: escomplexReport.moduleAverage.methodAverage.halstead.bugs,
-                halsteadLength: escomplexReport.moduleAverage.methodAverage.halstead.length,
-                halsteadDifficulty: escomplexReport.moduleAverage.methodAverage.halstead.difficulty,
-                halsteadTime: escomplexReport.moduleAverage.methodAverage.halstead.time,
-                halsteadVocabulary: escomplexReport.moduleAverage.methodAverage.halstead.vocabulary,
-                halsteadVolume: escomplexReport.moduleAverage.methodAverage.halstead.volume
-            };
-
-            resolve(finalReport);
-        });
+        return Promise.resolve(finalReport);
+    },
+
+    /**
+     *  The [sucrase]{@link https://github.com/alangpierce/sucrase} transforms
+     *  used to strip types and JSX from each javascript file extension.
+     *  Extensions not listed are analysed as they are.
+     *  @type {Object<string, Array<string>>}
+     */
+    transforms: {
+        '.ts': ['typescript'],
+        '.tsx': ['typescript', 'jsx'],
+        '.jsx': ['jsx', 'flow'],
     },
+
+    /**
+     *  The transforms retried on the files of an extension that fail to parse as
+     *  they are, e.g. the React components with Flow types usually kept in '.js' files.
+     *  @type {Object<string, Array<string>>}
+     */
+    fallbackTransforms: {
+        '.js': ['jsx', 'flow'],
+    },
+
     /**
      *  Static Analysis report for Python code
      *  @typedef {object} PyAnalysisReport
@@ -172,50 +367,59 @@ const analyse = {
      */
 
     /**
-     *  Performs static code analysis on a set of javascript files
-     *  @param {Array<string>} paths - An array of absolute file paths
+     *  Performs static code analysis on a set of python files.
+     *  The sources are passed to the script as JSON through its standard input.
+     *  Falls back to the generic analysis if the script can't run or fails,
+     *  e.g. if python or its dependencies are not installed.
+     *  @param {Array<Source>} sources - The files to analyse
      *
-     *  @return {PyAnalysisReport} A report of static analysis performed on javascript code
+     *  @return {PyAnalysisReport} A report of static analysis performed on python code
      */
-    python: function(paths) {
+    python: function(sources) {
         return new Promise((resolve, reject) => {
-            try {
-                // By default macOS `python` is v2.*
-                // call user aliased `python3`
-                const pythonExe = os.platform() === 'darwin' ? 'python3' : 'python';
-                const scriptName = 'external/analyse.py';
-
-                // spawn separate process to analyse python
-                const program = spawn(pythonExe, [scriptName, ...paths]);
-
-                // store partialy complete JSON strings
-                let buffer = '';
-
-                // on every output, add chunk to buffer and try to parse buffer
-                // if JSON incomplete, wait for nexxt chunk
-                // otherwise resolve buffer
-                program.stdout.on('data', chunk => {
-                    buffer += chunk.toString('utf-8');
-                    try {
-                        const parsed = JSON.parse(buffer);
-                        resolve(parsed);
-                    } catch (err) {
-                        if (!(err instanceof SyntaxError)) {
-                            throw err;
-                        }
-                    }
-                });
-
-                // on error, reject
-                program.stderr.on('data', bytes => {
-                    reject(bytes.toString('utf-8'));
-                });
-
-            } catch (e) {
-                logger.warn("Python analysis failed.  Falling back to default.  Details:");
-                logger.warn(e);
-                resolve(analyse.generic(paths));
-            }
+            // By default macOS `python` is v2.*
+            // call user aliased `python3`
+            const pythonExe = os.platform() === 'darwin' ? 'python3' : 'python';
+            const scriptName = 'external/analyse.py';
+
+            // spawn separate process to analyse python
+            const program = spawn(pythonExe, [scriptName]);
+
+            // the report is only complete once the script exits
+            let stdout = '';
+            let stderr = '';
+            program.stdout.on('data', chunk => {
+                stdout += chunk.toString('utf-8');
+            });
+            program.stderr.on('data', chunk => {
+                stderr += chunk.toString('utf-8');
+            });
+
+            // e.g. python is not installed, or the script exited before reading the sources
+            program.on('error', reject);
+            program.stdin.on('error', reject);
+
+            program.on('close', code => {
+                if (code !== 0) {
+                    reject(Error(`${scriptName} exited with code ${code}: ${stderr.trim()}`));
+                    return;
+                }
+                // warnings don't fail the analysis
+                if (stderr) {
+                    logger.warn(stderr.trim());
+                }
+                try {
+                    resolve(JSON.parse(stdout));
+                } catch (err) {
+                    reject(Error(`Invalid report from ${scriptName}: ${err.message}`));
+                }
+            });
+
+            program.stdin.end(JSON.stringify(sources));
+        }).catch(err => {
+            logger.warn("Python analysis failed.  Falling back to default.  Details:");
+            logger.warn(err.message);
+            return analyse.generic(sources);
         });
     }
 };
@@ -0,0 +1,201 @@
+'use strict';
+
+// node and npm modules
+const fs = require('fs');
+const path = require('path');
+
+// user defined modules
+const analyse = require('./analyse.js');
+const mkLogger = require('./log.js');
+const logger = mkLogger({label: __filename});
+
+/**
+ *  The extension an analyser declares to analyse any file extension
+ *  not claimed by another analyser.
+ *  @type {string}
+ */
+const ANY_EXTENSION = '*';
+
+/**
+ *  An analyser of files of one or more file extensions.
+ *  Plugins are JavaScript modules exporting one (or an Array of) these.
+ *  @typedef {object} Analyser
+ *  @property {string} name - The name of the analyser
+ *  @property {Array<string>} extensions
+ *      The file extensions it analyses (e.g. ['.js']), or ['*'] for any extension
+ *  @property {Array<string>} metrics
+ *      The names of the metrics in its reports, registered in the MetricTypes table
+ *  @property {function(Array<Source>, object): Promise<object>} analyse
+ *      The function analysing an Array of in-memory sources, returns
+ *      a promise to a report with the metric names as keys. It is also passed
+ *      the options `{perFile}`, if set it can add the `files` and `functions`
+ *      keys to its report, see {@link FileReport} and {@link FunctionReport}
+ *  @property {function(Source): Promise<object>} [analyseFile]
+ *      Optional, analyses a single file. If given along with `aggregate`, the
+ *      results of unchanged files are reused between commits, see {@link IncrementalAnalyser}
+ *  @property {function(Array<object>, object): Promise<object>} [aggregate]
+ *      Optional, aggregates the results of `analyseFile` into the same report
+ *      `analyse` returns. Is passed the same options as `analyse`
+ */
+
+// metrics reported by both the javascript and python analysers
+const codeMetrics = [
+    'numberOfFiles',
+    'numberOfLines',
+    'numberOfLogicalLines',
+    'numberOfComments',
+    'cyclomaticComplexity',
+    'maintainabilityIndex',
+    'halsteadEffort',
+    'halsteadBugs',
+    'halsteadLength',
+    'halsteadDifficulty',
+    'halsteadTime',
+    'halsteadVocabulary',
+    'halsteadVolume',
+];
+
+/**
+ *  The analysers that come with HubListener
+ *  @type {Array<Analyser>}
+ */
+const builtins = [
+    {
+        name: 'javascript',
+        extensions: ['.js', '.mjs', '.cjs', '.jsx'],
+        metrics: [...codeMetrics, 'changeCost', 'avgDependencies', 'numberOfFailedFiles'],
+        analyse: analyse.javascript,
+        analyseFile: analyse.javascriptFile,
+        aggregate: analyse.javascriptAggregate,
+    },
+    {
+        name: 'typescript',
+        extensions: ['.ts', '.tsx'],
+        metrics: [...codeMetrics, 'changeCost', 'avgDependencies', 'numberOfFailedFiles'],
+        analyse: analyse.javascript,
+        analyseFile: analyse.javascriptFile,
+        aggregate: analyse.javascriptAggregate,
+    },
+    {
+        name: 'python',
+        extensions: ['.py'],
+        metrics: codeMetrics,
+        // the script analyses all the files at once, which is only reused
+        // between commits if none of them changed
+        analyse: analyse.python,
+    },
+    {
+        name: 'generic',
+        extensions: [ANY_EXTENSION],
+        metrics: ['numberOfFiles', 'numberOfLines'],
+        analyse: analyse.generic,
+        analyseFile: analyse.genericFile,
+        aggregate: analyse.genericAggregate,
+    },
+];
+
+/**
+ *  @class A registry of the {@link Analyser}s available, indexed by the
+ *  file extensions they analyse.
+ */
+class AnalyserRegistry {
+    /**
+     *  Constructs an empty {@link AnalyserRegistry}.
+     */
+    constructor() {
+        this.analysers = [];
+        this.byExt = {};
+        this.fallback = null;
+    }
+
+    /**
+     *  Registers an analyser. Analysers registered later take precedence
+     *  over earlier ones for the same extension.
+     *  @param {Analyser} analyser - The analyser to register
+     */
+    register(analyser) {
+        const {name, extensions, metrics} = analyser || {};
+        if (!name || !Array.isArray(extensions) || !Array.isArray(metrics) ||
+                typeof analyser.analyse !== 'function') {
+            throw Error(`Not a valid analyser (${name}), ` +
+                'it needs a name, extensions, metrics and an analyse function');
+        }
+
+        for (const ext of extensions) {
+            if (ext === ANY_EXTENSION) {
+                this.fallback = analyser;
+            } else {
+                this.byExt[ext] = analyser;
+            }
+        }
+        this.analysers.push(analyser);
+        logger.debug(`Registered analyser '${name}' for ${extensions.join(', ')}`);
+    }
+
+    /**
+     *  Registers all analysers exported by the JavaScript modules in a directory.
+     *  @param {string} dirname - The path to the plugins directory
+     */
+    loadDirectory(dirname) {
+        for (const filename of fs.readdirSync(dirname).sort()) {
+            if (path.extname(filename) !== '.js') continue;
+            const exported = require(path.resolve(dirname, filename));
+            const analysers = Array.isArray(exported) ? exported : [exported];
+            analysers.forEach(a => this.register(a));
+        }
+    }
+
+    /**
+     *  Gets the analyser for a file extension.
+     *  @param {string} ext - The file extension, e.g. '.js'
+     *
+     *  @return {Analyser} The analyser, or the fallback analyser if none is registered
+     */
+    forExtension(ext) {
+        return this.byExt[ext] || this.fallback;
+    }
+
+    /**
+     *  The names of every metric declared by the registered analysers.
+     *  @type {Array<string>}
+     */
+    get metricTypes() {
+        let names = [];
+        for (const {metrics} of this.analysers) {
+            names.push(...metrics);
+        }
+        return [...new Set(names)];
+    }
+}
+
+let defaultRegistry = null;
+
+/**
+ *  Gets the default registry, with the built-in analysers and any plugins
+ *  found in the directory named by the `HUBLISTENER_PLUGINS` environment
+ *  variable (the `plugins` directory next to this file by default).
+ *  Created on first use, so the plugins directory can be set up until then.
+ *
+ *  @return {AnalyserRegistry} The default registry
+ */
+function getDefaultRegistry() {
+    if (defaultRegistry === null) {
+        const registry = new AnalyserRegistry();
+        builtins.forEach(a => registry.register(a));
+
+        const pluginsDir = process.env.HUBLISTENER_PLUGINS || path.join(__dirname, 'plugins');
+        if (fs.existsSync(pluginsDir)) {
+            logger.debug(`Loading analyser plugins from: '${pluginsDir}'`);
+            registry.loadDirectory(pluginsDir);
+        }
+        defaultRegistry = registry;
+    }
+    return defaultRegistry;
+}
+
+module.exports = {
+    ANY_EXTENSION,
+    AnalyserRegistry,
+    builtins,
+    getDefaultRegistry,
+};
@@ -1,5 +1,9 @@
 
+// node and npm modules
+const fs = require('fs');
+
 // user defined modules
+const gate = require('./gate.js');
 const utils = require('./utils');
 const mkLogger = require('./log.js');
 const { Data } = require ('./data');
@@ -8,9 +12,6 @@ const { Database } = require('./database.js');
 // create our logger object
 const logger = mkLogger({label: __filename});
 
-// promise to a database wrapper
-const db = Database.init('hubdata.sqlite3');
-
 /**
  *  Serves as the main entry point to the HubListener CLI app
  *  @function
@@ -24,18 +25,47 @@ function main(args) {
 
     // Available options and flags
     // NOTE: Update options message whenever a new option is added or removed
-    // TODO: add option to provide auth token string as an argument
-    // TODO: add option to read auth token from environment variables
     const optionsMsg = `
     Usage:  node app.js [--url <url>] [options...]
 
     -h, --help          : Print command line options
-    -u, --url <url>     : GitHub project url
-    --no-clone          : Don't clone repository
+    -u, --url <url>     : Git repository URL or local path (forge metadata for GitHub,
+                          GitLab and Gitea, others configured in forges.json)
+    --token <token>     : Forge authentication token, read from the GITHUB_TOKEN,
+                          GITLAB_TOKEN or GITEA_TOKEN environment variables if not given
+    --token-file <file> : File holding the GitHub authentication token
+    --record <dir>      : Record every GitHub query and its response in a directory
+    --replay <dir>      : Replay the GitHub responses recorded in a directory,
+                          instead of querying GitHub (no token needed)
+    --no-clone          : Don't clone repository, analyse an existing checkout in place
+    --path <dir>        : The existing checkout to analyse with --no-clone
+                          (default: current directory)
+    -b, --branch <ref>  : Branch or tag to analyse, the default branch if not given
+                          (alias: -r, --ref)
+    --range <from..to>  : Only analyse the commits in a revision range, e.g. v1.0..v2.0
+    --since <date>      : Only analyse the commits made on or after a date, e.g. 2019-01-31
+    --until <date>      : Only analyse the commits made on or before a date
+    --quick             : Only analyse a sample of the commits
+    --sampling <name>   : The strategy picking the commits of a quick analysis:
+                          count (default), day, week, month, tag or first-parent
+    --budget <n>        : The maximum number of sampled commits (default: 100)
+    --plugins <dir>     : Directory of analyser plugins to load
+    --per-file          : Also store the metrics of each file and function
     -o, --out <file>    : Optional output file to output results
     --csv               : If output file specified, output as CSV
     --json              : If output file specified, output as JSON
     -a, --append        : Append to file if exists (and output file specified)
+    --check <file>      : Check the latest commit against the thresholds in a file,
+                          print a pass/fail report instead of the results, and
+                          exit with 1 if any is violated (2 if the check could not run)
+    --baseline <ref>    : The branch, tag or commit relative thresholds are checked against
+    --baseline-file <file>
+                        : The results of a previous run (see --out and --json)
+                          relative thresholds are checked against
+    --junit <file>      : Also write the report of --check as JUnit XML
+
+    Results are stored in hubdata.sqlite3, or the database of the HUBLISTENER_DATABASE
+    environment variable: a SQLite file or a postgres:// URL.
 
     Documentation can be found at:
     https://github.com/pjmc-oliveira/HubListener
@@ -65,7 +95,9 @@ function main(args) {
         return;
     }
 
-    const url = options['u'] || options['url'];
+    // An existing checkout analysed in place is its own URL, unless one is given
+    const url = options['u'] || options['url'] ||
+        (options['no-clone'] ? (options['path'] || process.cwd()) : undefined);
     // If no repository url was provided, display options and exit
     if (url === undefined) {
         logger.debug('No URL provided, printing help message...');
@@ -73,9 +105,62 @@ function main(args) {
         return;
     }
 
-    // Create new Data object
-    const data = Data.init(url, db, {});
-    // const data = new Data(repoUrl, {noClone: options['no-clone']});
+    // Analyser plugins are loaded from the environment variable,
+    // which is also inherited by any worker processes
+    const pluginsDir = options['plugins'];
+    if (pluginsDir) {
+        process.env.HUBLISTENER_PLUGINS = pluginsDir;
+    }
+
+    // GitHub queries are recorded or replayed by the client, as configured
+    // by the environment variables
+    if (options['record']) {
+        process.env.HUBLISTENER_RECORD = options['record'];
+    }
+    if (options['replay']) {
+        process.env.HUBLISTENER_REPLAY = options['replay'];
+    }
+
+    // Analysis options, the same as the web endpoint's, checked before cloning anything
+    // (choosing a sampling strategy or budget implies a quick analysis)
+    let analysisOptions;
+    try {
+        analysisOptions = utils.analysisOptions({
+            quick: options['quick'] || options['sampling'] !== undefined || options['budget'] !== undefined,
+            perFile: options['per-file'],
+            ref: options['b'] || options['branch'] || options['r'] || options['ref'],
+            range: options['range'],
+            since: options['since'],
+            until: options['until'],
+            sampling: options['sampling'],
+            budget: options['budget'],
+        });
+    } catch (err) {
+        console.log(err.message);
+        console.log(optionsMsg);
+        return;
+    }
+
+    // Thresholds of the quality gate, checked before cloning anything
+    const thresholdsFile = options['check'];
+    let thresholds = null;
+    if (thresholdsFile) {
+        try {
+            thresholds = gate.loadThresholds(thresholdsFile);
+        } catch (err) {
+            console.log(err.message);
+            process.exitCode = 2;
+            return;
+        }
+    }
+
+    // Create new Data object, the database is only opened for an analysis
+    const data = Database.init().then(db => Data.init(url, db, {
+        auth_token: options['token'],
+        token_file: options['token-file'],
+        noClone: options['no-clone'],
+        path: options['path'],
+    }));
 
     // Set the output function. default is console.log,
     // but can optionally write to file.
@@ -92,14 +177,48 @@ function main(args) {
                 append: shouldAppend
             }))
         : console.log;
-    
 
-    data.then(data => data.analyse())
-        .then(points => {
-        output(points);
+    // The results relative thresholds are checked against, if any
+    const baselineRef = options['baseline'];
+    const baselineFile = options['baseline-file'];
+    const baseline = data => {
+        if (baselineRef) {
+            return data.analyseCommit(baselineRef);
+        }
+        if (baselineFile) {
+            // as written by --out with --json
+            const stored = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+            return Array.isArray(stored) ? stored : stored.data;
+        }
+        return null;
+    };
+
+    data.then(async data => {
+        const points = await data.analyse(analysisOptions);
+
+        if (!thresholds) {
+            output(points);
+        } else {
+            // the report takes the place of the results, unless they go to a file
+            if (outputFilename) {
+                output(points);
+            }
+            const results = gate.check(thresholds, points, await baseline(data));
+            console.log(gate.formatReport(results));
+            if (options['junit']) {
+                fs.writeFileSync(options['junit'], gate.junitXml(results));
+            }
+            process.exitCode = results.some(r => r.status === 'failed') ? 1 : 0;
+        }
 
         const end = Date.now();
         logger.info(`time elapsed: ${Math.round((end - start) / 1000)}s`);
+    })
+    .catch(err => {
+        logger.error('Analysis failed!');
+        logger.error(err.stack || err);
+        // a quality gate that could not run must not pass
+        process.exitCode = thresholds ? 2 : 1;
     });
 }
 
@@ -108,4 +227,5 @@ try {
 } catch (err) {
     logger.error('Main function crashed!');
     logger.error(err.stack);
+    process.exitCode = 1;
 }
\ No newline at end of file
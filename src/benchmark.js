@@ -0,0 +1,165 @@
+'use strict';
+
+// node and npm modules
+const fs = require('fs');
+
+// user defined modules
+const { getDefaultRegistry } = require('./analysers.js');
+const utils = require('./utils.js');
+const mkLogger = require('./log.js');
+const logger = mkLogger({label: __filename});
+
+/**
+ *  Whether lower or higher values of a metric are better, metrics not listed
+ *  (e.g. sizes) are neither.
+ *  @type {Object<string, string>}
+ */
+const DIRECTIONS = {
+    cyclomaticComplexity: 'lower',
+    halsteadEffort: 'lower',
+    halsteadBugs: 'lower',
+    halsteadDifficulty: 'lower',
+    halsteadTime: 'lower',
+    changeCost: 'lower',
+    avgDependencies: 'lower',
+    numberOfFailedFiles: 'lower',
+    maintainabilityIndex: 'higher',
+};
+
+/**
+ *  The ranking of a metric of a repository against the benchmark
+ *  @typedef {object} Ranking
+ *  @property {string} metric - The name of the metric
+ *  @property {string} extension - The file extension, e.g. '.js'
+ *  @property {string} language - The analyser of the extension, e.g. 'javascript'
+ *  @property {number} value - The value of the metric at the latest commit
+ *  @property {number} below - The percentage of benchmark projects with a lower value
+ *  @property {number} above - The percentage of benchmark projects with a higher value
+ *  @property {string} better - Whether 'lower' or 'higher' values are better, `null` if neither
+ *  @property {number} benchmarkSize - The number of benchmark projects with the metric
+ */
+
+/**
+ *  Ranks the latest metrics of a repository against the latest metrics of the
+ *  benchmark projects, by metric and file extension. Only the extensions of a
+ *  language analyser (i.e. not just counted as generic text) are ranked.
+ *  @param {Array<Row>} latest - The metric values of the latest commit of the repository
+ *  @param {Array<Row>} benchmark - The metric values of the latest commit of each benchmark project
+ *  @param {AnalyserRegistry} [registry=getDefaultRegistry()]
+ *      The registry to look up the language of each extension
+ *
+ *  @return {Array<Ranking>} The rankings, by extension and metric
+ */
+function rank(latest, benchmark, registry = getDefaultRegistry()) {
+    const key = ({file_extension, metric_type}) => `${file_extension}\n${metric_type}`;
+
+    // the values of the benchmark projects, by extension and metric
+    let values = new Map();
+    for (const row of benchmark) {
+        values.set(key(row), [...(values.get(key(row)) || []), row.metric_value]);
+    }
+
+    const metrics = new Set(registry.metricTypes);
+    let rankings = [];
+    for (const row of latest) {
+        const language = registry.forExtension(row.file_extension).name;
+        const others = values.get(key(row)) || [];
+        if (language === 'generic' || !metrics.has(row.metric_type) || others.length === 0) {
+            continue;
+        }
+        const share = count => Math.round(100 * count / others.length);
+        rankings.push({
+            metric: row.metric_type,
+            extension: row.file_extension,
+            language,
+            value: row.metric_value,
+            below: share(others.filter(v => v < row.metric_value).length),
+            above: share(others.filter(v => v > row.metric_value).length),
+            better: DIRECTIONS[row.metric_type] || null,
+            benchmarkSize: others.length,
+        });
+    }
+    return rankings.sort((a, b) =>
+        a.extension.localeCompare(b.extension) || a.metric.localeCompare(b.metric));
+}
+
+/**
+ *  A repository of the benchmark
+ *  @typedef {object} BenchmarkRepository
+ *  @property {string} url - The Git URL of the repository
+ *  @property {string} [ref] - The branch or tag to analyse, the default branch if not given
+ */
+
+/**
+ *  Loads the curated benchmark repositories.
+ *  @param {string} [filename='benchmark.json'] - The file listing the repositories
+ *
+ *  @return {Array<BenchmarkRepository>} The repositories
+ */
+function loadCorpus(filename = 'benchmark.json') {
+    return JSON.parse(fs.readFileSync(filename, 'utf8')).repositories;
+}
+
+/**
+ *  Analyses the benchmark repositories, and stores them as the benchmark.
+ *  Repositories that fail are skipped, the others are still analysed.
+ *  @function
+ *  @param {Array<string>} args - The un-parsed array of command-line arguments
+ */
+async function main(args) {
+    const optionsMsg = `
+    Usage:  node benchmark.js [options...]
+
+    -h, --help          : Print command line options
+    --corpus <file>     : The benchmark repositories (default: benchmark.json)
+    --full              : Analyse every commit, instead of a sample
+    --budget <n>        : The maximum number of sampled commits (default: 100)
+    `;
+
+    let options;
+    try {
+        options = utils.argParse(args);
+    } catch (err) {
+        console.log(err.message);
+        console.log(optionsMsg);
+        return;
+    }
+    if (options['h'] || options['help']) {
+        console.log(optionsMsg);
+        return;
+    }
+
+    // required here, so the ranking can be used without the native modules
+    const { Data } = require('./data.js');
+    const { Database } = require('./database.js');
+    const db = await Database.init();
+
+    // only the latest commit is ranked, a sample of the history is enough
+    const analysisOptions = utils.analysisOptions({
+        quick: !options['full'],
+        budget: options['budget'],
+    });
+    for (const {url, ref} of loadCorpus(options['corpus'])) {
+        try {
+            logger.info(`Analysing benchmark repository ${url}`);
+            const data = await Data.init(url, db);
+            const repoOptions = {...analysisOptions, ref: ref || null};
+            await data.analyse(repoOptions);
+            const repo_id = await db.getRepoId(data.remote);
+            await db.addBenchmark(repo_id, await data.clone.refName(repoOptions));
+        } catch (err) {
+            logger.error(`Failed analysing benchmark repository ${url}`);
+            logger.error(err.stack || err);
+        }
+    }
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = {
+    DIRECTIONS,
+    rank,
+    loadCorpus,
+};
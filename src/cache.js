@@ -0,0 +1,65 @@
+'use strict';
+
+// node and npm modules
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ *  @class A DiskCache keeps JSON values in a directory, one file per key,
+ *  for at most a maximum age. Used to avoid re-fetching API responses
+ *  between analyses of the same repository.
+ */
+class DiskCache {
+    /**
+     *  Constructs a {@link DiskCache} object, the directory is created on first write.
+     *  @param {string} dir - The directory of the cache
+     *  @param {number} [maxAge=Infinity] - How long values are kept for, in milliseconds
+     */
+    constructor(dir, maxAge = Infinity) {
+        this.dir = dir;
+        this.maxAge = maxAge;
+    }
+
+    // the file a key is stored in
+    file(key) {
+        const hash = crypto.createHash('sha1')
+            .update(JSON.stringify(key))
+            .digest('hex');
+        return path.join(this.dir, hash + '.json');
+    }
+
+    /**
+     *  Gets a value from the cache.
+     *  @param {*} key - Any JSON serialisable key
+     *
+     *  @return {*} The value, `undefined` if missing or expired
+     */
+    get(key) {
+        const file = this.file(key);
+        if (!fs.existsSync(file)) {
+            return undefined;
+        }
+        try {
+            const {time, value} = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return Date.now() - time <= this.maxAge ? value : undefined;
+        } catch (err) {
+            // a partially written file is just a miss
+            return undefined;
+        }
+    }
+
+    /**
+     *  Stores a value in the cache.
+     *  @param {*} key - Any JSON serialisable key
+     *  @param {*} value - Any JSON serialisable value
+     */
+    set(key, value) {
+        fs.mkdirSync(this.dir, {recursive: true});
+        fs.writeFileSync(this.file(key), JSON.stringify({time: Date.now(), value}));
+    }
+}
+
+module.exports = {
+    DiskCache,
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ *  The number of commits whose results are stored in a transaction, by default
+ *  @type {number}
+ */
+const DEFAULT_BATCH_SIZE = 10;
+
+/**
+ *  The longest time results wait for their batch to fill up, in milliseconds, by default
+ *  @type {number}
+ */
+const DEFAULT_INTERVAL = 60 * 1000;
+
+/**
+ *  @class A Checkpoint stores the results of an analysis in batches as the
+ *  commits are analysed, so that an interrupted analysis only loses the
+ *  results of the current batch. Results are stored in the order they are added,
+ *  a batch at a time.
+ *  @template T
+ */
+class Checkpoint {
+    /**
+     *  @param {function(Array<T>): Promise} store
+     *      Stores a batch of results, all of them or none, e.g. {@link Database#storeAnalyses}
+     *  @param {object} [options] - The options
+     *  @param {number} [options.batchSize=DEFAULT_BATCH_SIZE] - The number of results stored at once
+     *  @param {number} [options.interval=DEFAULT_INTERVAL]
+     *      Also store a batch once its first result waited this long, in milliseconds,
+     *      in case commits take long to analyse
+     */
+    constructor(store, {batchSize = DEFAULT_BATCH_SIZE, interval = DEFAULT_INTERVAL} = {}) {
+        this.store = store;
+        this.batchSize = batchSize;
+        this.interval = interval;
+
+        // the results not stored yet, and the timer storing them once they waited too long
+        this.batch = [];
+        this.timer = null;
+        // the number of results stored, and the first failure to store a batch
+        this.stored = 0;
+        this.failure = null;
+        // results are added and stored in turn, this chain never rejects
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     *  Adds the results of a commit, stored once the batch is full or old enough.
+     *  Throws if storing a previous batch failed, to stop the analysis.
+     *  @param {T|Promise<T>} results - The results, or a promise to them
+     */
+    add(results) {
+        if (this.failure) {
+            throw this.failure;
+        }
+        this._queue(results, value => {
+            this.batch.push(value);
+            if (this.batch.length === 1) {
+                this.timer = setTimeout(() => this._queue(null, () => true), this.interval);
+                // a pending batch doesn't keep the process alive, see flush
+                this.timer.unref();
+            }
+            return this.batch.length >= this.batchSize;
+        });
+    }
+
+    // runs a step once its input is ready and the previous steps are done,
+    // and stores the batch if the step asks for it
+    _queue(input, step) {
+        this.pending = Promise.all([this.pending, input])
+            .then(([_, value]) => {
+                if (!this.failure && step(value) && this.batch.length > 0) {
+                    return this._store();
+                }
+            })
+            .catch(err => {
+                this.failure = this.failure || err;
+            });
+    }
+
+    // stores the current batch, and starts the next one
+    async _store() {
+        clearTimeout(this.timer);
+        const batch = this.batch;
+        this.batch = [];
+        await this.store(batch);
+        this.stored += batch.length;
+    }
+
+    /**
+     *  Stores the results not stored yet, once the analysis finished or stopped.
+     *
+     *  @return {Promise<number>}
+     *      The number of results stored in all, rejects if any of them failed to be stored
+     */
+    async flush() {
+        await this.pending;
+        if (!this.failure && this.batch.length > 0) {
+            await this._store().catch(err => {
+                this.failure = err;
+            });
+        }
+        if (this.failure) {
+            throw this.failure;
+        }
+        return this.stored;
+    }
+}
+
+module.exports = {
+    DEFAULT_BATCH_SIZE,
+    DEFAULT_INTERVAL,
+    Checkpoint,
+};
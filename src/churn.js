@@ -0,0 +1,127 @@
+'use strict';
+
+// node and npm modules
+const path = require('path');
+
+/**
+ *  The churn of the files with an extension
+ *  @typedef {object} ChurnReport
+ *  @property {number} linesAdded - The lines added
+ *  @property {number} linesDeleted - The lines deleted
+ *  @property {number} filesAdded - The files added
+ *  @property {number} filesRemoved - The files removed
+ *  @property {number} filesModified - The files modified (or renamed)
+ */
+
+/**
+ *  Adds up the churn of some commits.
+ *  @param {Array<Object<string, ChurnReport>>} churns - The churn of each commit, by extension
+ *
+ *  @return {Object<string, ChurnReport>} The total churn, by extension
+ */
+function sumChurn(churns) {
+    let total = {};
+    for (const churn of churns) {
+        for (const [ext, report] of Object.entries(churn)) {
+            total[ext] = total[ext] || {
+                linesAdded: 0,
+                linesDeleted: 0,
+                filesAdded: 0,
+                filesRemoved: 0,
+                filesModified: 0,
+            };
+            for (const [metric, value] of Object.entries(report)) {
+                total[ext][metric] += value;
+            }
+        }
+    }
+    return total;
+}
+
+/**
+ *  Gets the churn of a commit, from the patches of its diff.
+ *  @param {Array<ConvenientPatch>} patches
+ *      The [patches]{@link https://www.nodegit.org/api/convenient_patch/} of the commit
+ *
+ *  @return {Object<string, ChurnReport>} The churn, by extension
+ */
+function patchChurn(patches) {
+    return sumChurn(patches.map(patch => {
+        // deleted files only have an old path
+        const file = patch.isDeleted() ? patch.oldFile() : patch.newFile();
+        const {total_additions, total_deletions} = patch.lineStats();
+        return {
+            [path.extname(file.path())]: {
+                linesAdded: total_additions,
+                linesDeleted: total_deletions,
+                filesAdded: patch.isAdded() ? 1 : 0,
+                filesRemoved: patch.isDeleted() ? 1 : 0,
+                filesModified: patch.isAdded() || patch.isDeleted() ? 0 : 1,
+            },
+        };
+    }));
+}
+
+/**
+ *  Gets the churn at each of the selected commits of a history, i.e. the churn of
+ *  all the commits since the previous selected one, so the churn of the commits
+ *  skipped by sampling is not lost. Only the commits leading to the selected commits
+ *  in `wanted` are diffed.
+ *  @param {Array<Commit>} history - The commit history, oldest first
+ *  @param {Array<string>} selectedIds - The ids of the selected commits, oldest first
+ *  @param {Set<string>} wanted - The ids of the selected commits to get the churn at
+ *  @param {function(Commit): Promise<Object<string, ChurnReport>>} churnOf
+ *      Gets the churn of a single commit, see {@link Clone#churn}
+ *
+ *  @return {Promise<Object<CommitId, Object<string, ChurnReport>>>}
+ *      The churn at each wanted commit, by extension
+ */
+async function accumulateChurn(history, selectedIds, wanted, churnOf) {
+    const selected = new Set(selectedIds);
+    let results = {};
+    let skipped = [];
+    for (const commit of history) {
+        const commit_id = commit.id().tostrS();
+        skipped.push(commit);
+        if (!selected.has(commit_id)) {
+            continue;
+        }
+        if (wanted.has(commit_id)) {
+            // one commit at a time, ranges skipped by sampling can be long
+            let churns = [];
+            for (const c of skipped) {
+                churns.push(await churnOf(c));
+            }
+            results[commit_id] = sumChurn(churns);
+        }
+        skipped = [];
+    }
+    return results;
+}
+
+/**
+ *  Adds the churn rate of each extension, i.e. the lines added and deleted
+ *  per line of code, to the churn of a commit.
+ *  @param {Object<string, ChurnReport>} churn - The churn, by extension
+ *  @param {Object<string, object>} valuesByExt
+ *      The static analysis of the commit, by extension, see {@link IncrementalAnalyser#analyse}
+ *
+ *  @return {Object<string, object>} The churn with the churn rate, by extension
+ */
+function withChurnRate(churn, valuesByExt) {
+    let results = {};
+    for (const [ext, report] of Object.entries(churn)) {
+        const lines = (valuesByExt[ext] || {}).numberOfLines;
+        results[ext] = lines > 0 ?
+            {...report, churnRate: (report.linesAdded + report.linesDeleted) / lines} :
+            report;
+    }
+    return results;
+}
+
+module.exports = {
+    sumChurn,
+    patchChurn,
+    accumulateChurn,
+    withChurnRate,
+};
@@ -3,46 +3,142 @@
 // node and npm modules
 const moment = require('moment');
 const fs = require('fs');
+const path = require('path');
 const graphqlClient = require('graphql-client');
 
 // user defined modules
+const { DiskCache } = require('./cache.js');
+const { Fixtures } = require('./fixtures.js');
+const { Forge } = require('./forge.js');
 const utils = require('./utils.js');
+const mkLogger = require('./log.js');
+const logger = mkLogger({label: __filename});
 
 /**
- *  @class The Client class is a simple wrapper that initializes our
- *  [GraphQL]{@link https://graphql.org} client with the auth token. Current
- *  implementation uses
+ *  @class Error of a request to the GitHub API that could not be answered,
+ *  e.g. a bad token, a repository that does not exist, or retries running out.
+ */
+class GitHubError extends Error {
+    /**
+     *  Constructs a {@link GitHubError} object.
+     *  @param {string} message - The error message
+     *  @param {object} [details] - The error details
+     *  @param {number} [details.status] - The HTTP status of the response, if any
+     *  @param {Array<object>} [details.errors] - The GraphQL errors of the response, if any
+     */
+    constructor(message, {status = null, errors = []} = {}) {
+        super(message);
+        this.name = 'GitHubError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+// waits for some milliseconds
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ *  @class The Client class is the GitHub {@link Forge}, a simple wrapper that
+ *  initializes our [GraphQL]{@link https://graphql.org} client with the auth
+ *  token. Current implementation uses
  *  [graphql-client]{@link https://github.com/nordsimon/graphql-client#readme}.
  */
-class Client {
+class Client extends Forge {
     /**
      *  Constructs a {@link Client} object.
-     *  @param {string} [givenToken]
+     *  @param {object} options - The client options
+     *  @param {string} options.owner - The owner of the repository
+     *  @param {string} options.name - The name of the repository
+     *  @param {string} [options.auth_token]
      *      A [GitHub authentication token]{@link https://github.com/settings/tokens}
      *      to connect to the [GitHub API]{@link https://developer.github.com/v4/}.
-     *      The token needs `public_repo` access. If a token is not provided,
-     *      the program will attempt to read from a named file 'auth_token.txt'
-     *      on the `src` directory. If none exists the constructor will crash.
+     *      The token needs `public_repo` access. If a token is not provided, it is
+     *      read from `token_file`, then the `GITHUB_TOKEN` or `HUBLISTENER_TOKEN`
+     *      environment variables, and lastly from a file named 'auth_token.txt'
+     *      on the current directory. If none exists the constructor will crash,
+     *      unless replaying recorded queries.
+     *  @param {string} [options.token_file] - The path to a file holding the token
+     *  @param {string} [options.url='https://api.github.com/graphql']
+     *      The GraphQL endpoint, e.g. of a GitHub Enterprise server
+     *  @param {number} [options.retries=5]
+     *      How many times a query is retried after server errors and secondary rate limits
+     *  @param {number} [options.backoff=1000]
+     *      The wait before the first retry in milliseconds, doubled after every retry
+     *  @param {string} [options.cacheDir='./cache']
+     *      The directory responses are cached in, `null` to not cache them
+     *  @param {number} [options.cacheMaxAge=3600000]
+     *      How long cached responses are used for, in milliseconds
+     *  @param {string} [options.record=process.env.HUBLISTENER_RECORD]
+     *      The directory to record every query and its response in, see {@link Fixtures}
+     *  @param {string} [options.replay=process.env.HUBLISTENER_REPLAY]
+     *      The directory to replay recorded responses from, instead of querying GitHub
      */
-    constructor({owner, name, auth_token}) {
+    constructor({
+            owner,
+            name,
+            auth_token,
+            token_file,
+            url = 'https://api.github.com/graphql',
+            retries = 5,
+            backoff = 1000,
+            cacheDir = './cache',
+            cacheMaxAge = 60 * 60 * 1000,
+            record = process.env.HUBLISTENER_RECORD,
+            replay = process.env.HUBLISTENER_REPLAY}) {
+        super({owner, name});
+        this.retries = retries;
+        this.backoff = backoff;
+
+        /**
+         *  The recorded queries, and whether they are recorded or replayed
+         *  (`null` if neither). Cached responses are not used then, so
+         *  recordings are made of (and replays stand in for) actual queries.
+         *  @name Client#fixtures
+         *  @type {Fixtures}
+         */
+        this.fixtures = replay || record ? new Fixtures(replay || record) : null;
+        this.replaying = Boolean(replay);
+
+        /**
+         *  The cache of query responses, `null` if not cached
+         *  @name Client#cache
+         *  @type {DiskCache}
+         */
+        this.cache = cacheDir && !this.fixtures ?
+            new DiskCache(path.join(cacheDir, 'github', owner, name), cacheMaxAge) : null;
+
+        /**
+         *  The last known state of the rate limit of the token
+         *  @name Client#rateLimit
+         *  @type {{cost: number, remaining: number, resetAt: Date}}
+         */
+        this.rateLimit = null;
+
+        // replays need no token, nor a client
+        if (this.replaying) {
+            this.token = null;
+            this.client = null;
+            return;
+        }
+
         try {
             /**
              *  The API token
              *  @name Client#token
              *  @type {string}
              */
-            this.token = auth_token || fs.readFileSync('./auth_token.txt', 'utf8').trim();
+            this.token = auth_token
+                || (token_file && fs.readFileSync(token_file, 'utf8').trim())
+                || process.env.GITHUB_TOKEN
+                || process.env.HUBLISTENER_TOKEN
+                || fs.readFileSync('./auth_token.txt', 'utf8').trim();
         } catch (err) {
             // catch common causes of errors
-            console.log('An error occurred loading the authentication token!');
-            console.log('Verify you have the \'auth_token.txt\' file saved on this directory.');
-            console.log('Details');
-            throw err;
+            throw new GitHubError('An error occurred loading the authentication token: ' +
+                'pass it with --token or --token-file, set the GITHUB_TOKEN environment variable, ' +
+                `or save it in the 'auth_token.txt' file in this directory (${err.message})`);
         }
 
-        this.owner = owner;
-        this.name = name;
-        
         /**
          *  The API client, see
          *  [documentation]{@link https://github.com/nordsimon/graphql-client#readme}
@@ -51,7 +147,7 @@ class Client {
          */
         // initialize GraphQL client
         this.client = graphqlClient({
-            url: 'https://api.github.com/graphql',
+            url: url,
             headers: {
                 Authorization: 'bearer ' + this.token
             }
@@ -59,30 +155,132 @@ class Client {
     }
 
     /**
-     *  A simple wrapper for most common tasks client available through
-     *  Client#client directly.
+     *  Runs a query through Client#client, answering it from the cache if possible,
+     *  and recording or replaying it if asked to, see {@link Client#fixtures}.
+     *  Waits for the rate limit to reset when it runs out, and retries after
+     *  network errors, server errors and secondary rate limits.
      *  @param {string} Q - The [GraphQL]{@link https://graphql.org} query.
-     *  @param {object} vars - The variables to be replaced in the query.
+     *  @param {object} [vars={}] - The variables to be replaced in the query.
+     *  @param {object} [options] - The options
+     *  @param {boolean} [options.cache=true]
+     *      Whether to use the cache, queries whose answer changes as the repository
+     *      does (e.g. what was updated lately) should not be answered from it
+     *
+     *  @return {Promise<object>}
+     *      The response body, rejects with a {@link GitHubError} if the query fails
      */
-    query(Q, vars) {
-        return this.client.query(Q, vars);
-    }
+    async query(Q, vars = {}, {cache = true} = {}) {
+        if (this.replaying) {
+            return this.fixtures.replay(Q, vars);
+        }
+
+        const key = [Q, vars];
+        const cached = cache && this.cache ? this.cache.get(key) : undefined;
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForRateLimit();
 
-    async getMetaAnalysis(commits = []) {
-        const unalignedIssues = await this.getAllIssues();
-        const unalignedPulls = await this.getPullRequests();
-        const issues = utils.alignIssuesToCommits(unalignedIssues, commits);
-        const pulls = utils.alignPullsToCommits(unalignedPulls, commits);
-
-        let results = {};
-        for (const {commit_id} of commits) {
-            results[commit_id] = {}
-            for (const source of [issues, pulls]) {
-                results[commit_id] = {...results[commit_id], ...source[commit_id]};
+            let res = null;
+            let body;
+            let error;
+            try {
+                body = await this.client.query(Q, vars, (req, response) => res = response);
+            } catch (err) {
+                // network errors, and server errors without a JSON body
+                error = err;
             }
+            const status = res ? res.status : null;
+            this.updateRateLimit(res, body);
+
+            const retryAfter = this.retryDelay(res, body, error, attempt);
+            if (retryAfter !== null && attempt < this.retries) {
+                logger.warn(`GitHub query failed (${status || (error && error.message)}), ` +
+                    `retrying in ${Math.round(retryAfter / 1000)}s`);
+                await sleep(retryAfter);
+                continue;
+            }
+
+            if (error || status >= 400) {
+                const message = body && body.message ? body.message : (error ? error.message : '');
+                throw new GitHubError(`GitHub query failed with status ${status}: ${message}`, {status});
+            }
+            if (body.errors && body.errors.length) {
+                throw new GitHubError(
+                    'GitHub query failed: ' + body.errors.map(e => e.message).join(', '),
+                    {status, errors: body.errors});
+            }
+
+            if (cache && this.cache) {
+                this.cache.set(key, body);
+            }
+            if (this.fixtures) {
+                this.fixtures.record(Q, vars, body);
+            }
+            return body;
         }
+    }
 
-        return results;
+    // how long to wait before retrying a failed query, `null` if it should not be retried
+    retryDelay(res, body, error, attempt) {
+        const exponential = this.backoff * Math.pow(2, attempt);
+        if (!res) {
+            return exponential;
+        }
+        const retryAfter = res.headers.get('retry-after');
+        // secondary rate limits are 403s (or 429s), asking to wait a while
+        const secondary = (res.status === 403 || res.status === 429) &&
+            (retryAfter || /secondary rate limit|abuse/i.test((body && body.message) || ''));
+        if (secondary) {
+            return retryAfter ? Number(retryAfter) * 1000 : Math.max(exponential, 60 * 1000);
+        }
+        // the primary rate limit ran out, wait until it resets
+        if ((res.status === 403 || res.status === 429) && res.headers.get('x-ratelimit-remaining') === '0') {
+            const reset = Number(res.headers.get('x-ratelimit-reset')) * 1000;
+            return Math.max(reset - Date.now(), 0) + 1000;
+        }
+        if (res.status >= 500 || error) {
+            return exponential;
+        }
+        const rateLimited = body && body.errors && body.errors.some(e => e.type === 'RATE_LIMITED');
+        if (rateLimited && this.rateLimit) {
+            return Math.max(this.rateLimit.resetAt - Date.now(), 0) + 1000;
+        }
+        return null;
+    }
+
+    // keeps track of the rate limit, from the rateLimit field of the query if asked for,
+    // otherwise from the response headers
+    updateRateLimit(res, body) {
+        const rateLimit = body && body.data && body.data.rateLimit;
+        if (rateLimit) {
+            this.rateLimit = {
+                cost: rateLimit.cost,
+                remaining: rateLimit.remaining,
+                resetAt: new Date(rateLimit.resetAt),
+            };
+        } else if (res && res.headers.get('x-ratelimit-remaining') !== null) {
+            this.rateLimit = {
+                cost: this.rateLimit ? this.rateLimit.cost : 1,
+                remaining: Number(res.headers.get('x-ratelimit-remaining')),
+                resetAt: new Date(Number(res.headers.get('x-ratelimit-reset')) * 1000),
+            };
+        }
+    }
+
+    // waits for the rate limit to reset, if another query like the last one can't be afforded
+    async waitForRateLimit() {
+        if (!this.rateLimit || this.rateLimit.remaining >= this.rateLimit.cost) {
+            return;
+        }
+        const wait = this.rateLimit.resetAt - Date.now();
+        if (wait > 0) {
+            logger.warn(`GitHub rate limit reached, waiting ${Math.round(wait / 1000)}s for it to reset`);
+            await sleep(wait + 1000);
+        }
+        this.rateLimit = null;
     }
 
     async getNumberOfForks() {
@@ -99,97 +297,65 @@ class Client {
             .then(body => body.data.repository.forks.totalCount);
     }
 
-    async getPullRequests(pageSize = 100) {
-        // create query to query first `pageSize` issues after cursor
-        // or first `pageSize` issues if no cursor is provided
-        const issuesQuery = cursor => `
-            query repo {
-                repository(name: "${this.name}", owner: "${this.owner}") {
-                    pullRequests (
-                            first: ${pageSize}, ` + (cursor ? `after: "${cursor}", ` : '') + `
-                            orderBy: {field:CREATED_AT, direction:ASC}) {
-                        edges {
-                            cursor
-                            node {
-                                state
-                                createdAt
-                                closedAt
-                            }
-                        }
-                    }
-                }
-        }`;
-
-        let results = [];
-        let cursor = null;
-
-        // keep getting issues until there are less than a `pageSize`'s worth of issues
-        while (true) {
-            // query GitHub
-            const edges = await this.query(issuesQuery(cursor), {})
-                // unwrap data, if no issues, return []
-                .then(body => body.data ? body.data.repository.pullRequests.edges : []);
-            if (edges.length === 0)
-                break;
-            // get cursor of last issues
-            cursor = edges[edges.length - 1].cursor;
-            // unwrap issue nodes
-            const issues = edges
-                .map(e => e.node)
-                // convert date strings to Date objects
-                .map(i => ({
-                    state: i.state,
-                    createdAt: new Date(i.createdAt),
-                    // closed date might be null, propagate null
-                    closedAt: i.closedAt ? new Date(i.closedAt) : null,
-                }));
-
-            results.push(...issues);
-            // check if should continue
-            if (edges.length < pageSize)
-                break;
-        }
-
-        return results;
-    }
-
     /**
-     *  Get all the issues in the project
+     *  Get the issues or pull requests of the project updated since a date,
+     *  paging through them from the most recently updated
      *
+     *  @param {string} connection - The connection to page through, 'issues' or 'pullRequests'
+     *  @param {Date} since - The date, `null` to get all of them
      *  @param {number} [pageSize=100] - The number of issues per page
      *
      *  @return {Array<IssueInfo2>}
      */
-    async getAllIssues(pageSize = 100) {
+    async getUpdatedSince(connection, since, pageSize = 100) {
+        const isPull = connection === 'pullRequests';
         // create query to query first `pageSize` issues after cursor
         // or first `pageSize` issues if no cursor is provided
         const issuesQuery = cursor => `
             query repo {
                 repository(name: "${this.name}", owner: "${this.owner}") {
-                    issues (
+                    ${connection} (
                             first: ${pageSize}, ` + (cursor ? `after: "${cursor}", ` : '') + `
-                            orderBy: {field:CREATED_AT, direction:ASC}) {
+                            orderBy: {field:UPDATED_AT, direction:DESC}) {
                         edges {
                             cursor
                             node {
+                                number
                                 state
                                 createdAt
                                 closedAt
+                                updatedAt
+                                ${isPull ? 'mergedAt' : ''}
+                                author {
+                                    login
+                                }
+                                labels (first: 100) {
+                                    nodes {
+                                        name
+                                    }
+                                }
                             }
                         }
                     }
                 }
+                rateLimit {
+                    cost
+                    remaining
+                    resetAt
+                }
         }`;
 
         let results = [];
         let cursor = null;
 
-        // keep getting issues until there are less than a `pageSize`'s worth of issues
+        // keep getting issues until there are less than a `pageSize`'s worth of issues,
+        // or until reaching the ones not updated since the date
         while (true) {
             // query GitHub
-            const edges = await this.query(issuesQuery(cursor), {})
-                // unwrap data, if no issues, return []
-                .then(body => body.data ? body.data.repository.issues.edges : []);
+            // the most recently updated come first, a cached page would miss the latest
+            const edges = await this.query(issuesQuery(cursor), {}, {cache: false})
+                // unwrap data, errors are thrown by the query
+                .then(body => body.data.repository[connection].edges);
             if (edges.length === 0)
                 break;
             // get cursor of last issues
@@ -199,21 +365,36 @@ class Client {
                 .map(e => e.node)
                 // convert date strings to Date objects
                 .map(i => ({
+                    number: i.number,
                     state: i.state,
                     createdAt: new Date(i.createdAt),
-                    // closed date might be null, propagate null
+                    // closed and merged dates might be null, propagate null
                     closedAt: i.closedAt ? new Date(i.closedAt) : null,
+                    mergedAt: i.mergedAt ? new Date(i.mergedAt) : null,
+                    updatedAt: new Date(i.updatedAt),
+                    labels: i.labels.nodes.map(l => l.name),
+                    // the author of deleted accounts is null
+                    author: i.author ? i.author.login : null,
                 }));
+            const updated = since ? issues.filter(i => i.updatedAt >= since) : issues;
 
-            results.push(...issues);
+            results.push(...updated);
             // check if should continue
-            if (edges.length < pageSize)
+            if (edges.length < pageSize || updated.length < issues.length)
                 break;
         }
 
         return results;
     }
 
+    async getIssuesUpdatedSince(since = null) {
+        return this.getUpdatedSince('issues', since);
+    }
+
+    async getPullRequestsUpdatedSince(since = null) {
+        return this.getUpdatedSince('pullRequests', since);
+    }
+
     /**
      *  Get number of stargazers of the project
      *
@@ -253,15 +434,16 @@ class Client {
     }
 
     /**
-     *  Get total number of commits in Master branch
+     *  Get total number of commits in a branch
+     *  @param {string} [branch='master'] - The name of the branch (or tag)
      *
-     *  @return {number} The number of commits
+     *  @return {number} The number of commits, `null` if the ref is not a commit
      */
-    getNumberOfCommitsInMaster() {
+    getNumberOfCommitsInBranch(branch = 'master') {
         const query = `
-            query repo{
+            query repo ($ref: String!) {
                 repository(name: "${this.name}", owner: "${this.owner}"){
-                    ref(qualifiedName: "master") {
+                    ref(qualifiedName: $ref) {
                         target {
                             ... on Commit {
                                 history {
@@ -272,9 +454,11 @@ class Client {
                     }
                 }
             }`;
-        return this.query(query, {})
+        return this.query(query, {ref: branch})
             .then(body => body.data.repository)
-            .then(repo => repo.ref.target.history.totalCount);
+            // annotated tags point to a tag object, not a commit
+            .then(repo => repo.ref && repo.ref.target.history ?
+                repo.ref.target.history.totalCount : null);
     }
 
     /**
@@ -286,22 +470,24 @@ class Client {
      */
 
     /**
-     *  Get total number of commits in Master branch in each time period
+     *  Get total number of commits in a branch in each time period
      *  @param {Date} [startTime=moment().subtract(6, 'months')]
      *      The start of the sampling period
      *  @param {object} [timeDelta={days: 7}]
      *      The timedelta of each period, see [reference]{@link https://momentjs.com/docs/#/manipulating/add/}
+     *  @param {string} [branch='master'] - The name of the branch
      *
      *  @return {Array<CommitPeriodCount>}
      *      The number of commits in each period
      */
     getNumberOfCommitsByTime(
             startTime = moment().subtract(6, 'months'),
-            timeDelta = {days: 7}) {
+            timeDelta = {days: 7},
+            branch = 'master') {
         const query = `
-            query repo ($start: GitTimestamp!, $end: GitTimestamp!) {
+            query repo ($ref: String!, $start: GitTimestamp!, $end: GitTimestamp!) {
                 repository(name: "${this.name}", owner: "${this.owner}"){
-                    ref(qualifiedName: "master") {
+                    ref(qualifiedName: $ref) {
                         target {
                             ... on Commit {
                                 history (since: $start, until: $end) {
@@ -334,6 +520,7 @@ class Client {
             queries.push(
                 this.query(
                     query, {
+                        ref: branch,
                         start: start.toISOString(),
                         end: end.toISOString()
                     }));
@@ -351,5 +538,6 @@ class Client {
 }
 
 module.exports = {
-    Client: Client
+    Client: Client,
+    GitHubError: GitHubError,
 };
\ No newline at end of file
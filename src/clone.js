@@ -4,36 +4,13 @@
 const Git = require('nodegit');
 const fs = require('fs-extra');
 const path = require('path');
-const dir = require('node-dir');
 
 const utils = require('./utils.js');
-const analyse = require('./analyse.js');
+const { patchChurn } = require('./churn.js');
+const { IncrementalAnalyser } = require('./incremental.js');
 const mkLogger = require('./log.js');
 const logger = mkLogger({label: __filename});
 
-
-// Returns true if the file path is in an excluded directory,
-// otherwise false
-function isInExcludedDir(relativePath, excludedDirs) {
-    for (const excludedDir of excludedDirs) {
-        if (relativePath.startsWith(excludedDir)) {
-            return true;
-        }
-    }
-    return false;
-}
-
-// Returns true if the file name has an excluded extension,
-// otherwise false
-function hasExcludedExt(relativePath, excludedExts) {
-    for (const excludedExt of excludedExts) {
-        if (relativePath.endsWith(excludedExt)) {
-            return true;
-        }
-    }
-    return false;
-}
-
 /**
  *  @class The Clone class to clone and manage the Git repository
  */
@@ -48,7 +25,8 @@ class Clone {
      */
     /**
      *  Initialize and return an instance of the {@link Clone} class.
-     *  @param {string} url - A valid URL to a Git repository.
+     *  Local repositories (paths and 'file://' URLs) are opened in place.
+     *  @param {string} url - A valid URL to a Git repository, or a local path.
      *  @param {CloneOptions} [options] - cloning options
      *
      *  @return {Promise<Clone>} A promise to a {@link Clone} instance.
@@ -59,33 +37,34 @@ class Clone {
         } = {}) {
         logger.debug(`Initializing repository Clone from: '${url}'`);
 
-        // if clone path is not set, create a new path from URL
+        // commits are read from the object database, no need to copy local repositories
+        const remote = utils.parseRemote(url);
+        if (remote.path) {
+            logger.debug(`Opening local repository at: '${remote.path}'`);
+            return Clone.fromPath(remote.path);
+        }
+
+        // if clone path is not set, create a new path from the remote identity
         if (!clonePath) {
             logger.debug('clonePath not passed, creating from URL')
-            const { owner, name } = utils.parseURL(url);
-            clonePath = path.join(root, owner, name);
+            clonePath = path.join(root, ...remote.identity.split('/'));
         }
 
         // check if repository was already cloned,
-        // if so pull changes
+        // if so fetch changes. Nothing is merged, commits are read from the
+        // remote-tracking branches (see [resolve]{@link Clone#resolve})
         if (fs.existsSync(clonePath)) {
             logger.debug(`Clone directory found at: '${clonePath}'`);
-            // See: https://github.com/nodegit/nodegit/blob/master/examples/pull.js
-            let repo;
-            logger.debug('Pulling latest changes...');
-            await Git.Repository.open(clonePath)
-                .then(r => {
-                    repo = r;
-                    repo.fetchAll({
-                        callbacks: {
-                            credentials: (url, user) => Git.Cred.sshKeyFromAgent(user),
-                            certificateCheck: () => 0
-                        }
-                    })
-                })
-                .then(() => repo.mergeBranches('master', 'origin/master'))
-            logger.debug('Changes successfuly pulled!');
-            return new Clone(clonePath, repo);
+            logger.debug('Fetching latest changes...');
+            const repo = await Git.Repository.open(clonePath);
+            await repo.fetchAll({
+                callbacks: {
+                    credentials: (url, user) => Git.Cred.sshKeyFromAgent(user),
+                    certificateCheck: () => 0
+                }
+            });
+            logger.debug('Changes successfuly fetched!');
+            return new Clone(clonePath, repo, {fetched: true});
         } else {
             // if repository not found, create directory and clone repository
             logger.debug(`Clone directory not found, creating new directory: '${clonePath}'`);
@@ -93,10 +72,17 @@ class Clone {
             logger.debug('Cloning git repository...');
             const repo = await Git.Clone(url, clonePath);
             logger.debug('Successfully cloned!');
-            return new Clone(clonePath, repo);
+            return new Clone(clonePath, repo, {fetched: true});
         }
     }
 
+    /**
+     *  Opens an existing repository on disk, without cloning or fetching.
+     *  Its local branches and HEAD are analysed, see {@link Clone#resolve}.
+     *  @param {string} path - Path to the repository location on drive
+     *
+     *  @return {Promise<Clone>} A promise to a {@link Clone} instance.
+     */
     static async fromPath(path) {
         const repo = await Git.Repository.open(path);
         return new Clone(path, repo);
@@ -108,83 +94,242 @@ class Clone {
      *  @param {string} path - Path to the repository location on drive
      *  @param {Git.Clone} repo
      *      A [Git.Clone]{@link https://www.nodegit.org/api/clone/} instance
+     *  @param {object} [options]
+     *  @param {boolean} [options.fetched=false]
+     *      Whether the remote-tracking branches were just fetched, otherwise
+     *      the local branches are up to date
      */
-    constructor(path, repo) {
+    constructor(path, repo, {fetched = false} = {}) {
         if (path === undefined || repo === undefined) {
             throw Error('Cannot be called directly!');
         }
         this.path = path;
         this.repo = repo;
+        this.fetched = fetched;
     }
 
     /**
-     *    Gets the commit history from the HEAD commit
+     *    Gets the name of the default branch of the remote, i.e. the branch
+     *    checked out when cloning. For repositories that were not fetched,
+     *    it is the branch checked out, or 'HEAD' if it is detached.
      *
-     *    @return {Promise<Array<Commit>>}
-     *        The commit history. See [Commit]{@link https://www.nodegit.org/api/commit/}.
+     *    @return {Promise<string>} The branch name, e.g. 'master' or 'main'
      */
-    async headCommitHistory() {
-        const walker = this.repo.createRevWalk();
-        const head = await this.repo.getHeadCommit();
-        const sleep = ms => new Promise(res => {setTimeout(res, ms)});
-        let done = false;
-        let commits = [];
-        walker.walk(head.id(), (error, commit) => {
-            if (error && error.errno == Git.Error.CODE.ITEROVER) {
-                done = true;
-            } else {
-                commits.push(commit);
+    async defaultBranch() {
+        if (this.fetched) {
+            try {
+                const head = await Git.Reference.lookup(this.repo, 'refs/remotes/origin/HEAD');
+                return head.symbolicTarget().replace('refs/remotes/origin/', '');
+            } catch (err) {
+                // not cloned from a remote, fall back to the local HEAD
             }
-        });
-        while (!done) {
-            await sleep(1000);
         }
-        return commits;
+        if (this.repo.headDetached()) {
+            return 'HEAD';
+        }
+        const head = await this.repo.head();
+        return head.shorthand();
     }
 
-    async commitsAfter(date, quick) {
-        // get all commits
-        let commits = (await this.headCommitHistory()).reverse();
+    /**
+     *    Resolves a branch, tag or commit id to a commit. Branches of fetched
+     *    clones are looked up on the remote first, since local branches are not
+     *    updated on fetch. Otherwise the local branches are, as they hold the
+     *    local commits while the remote-tracking ones may be stale.
+     *    @param {string} ref - The branch, tag or commit id
+     *
+     *    @return {Promise<Commit>}
+     *        The [Commit]{@link https://www.nodegit.org/api/commit/}
+     */
+    async resolve(ref) {
+        const specs = this.fetched ?
+            [`refs/remotes/origin/${ref}`, `refs/tags/${ref}`, ref] :
+            [`refs/heads/${ref}`, `refs/tags/${ref}`, ref, `refs/remotes/origin/${ref}`];
+        for (const spec of specs) {
+            try {
+                const object = await Git.Revparse.single(this.repo, spec);
+                // annotated tags point to a tag object, peel it to its commit
+                const peeled = await object.peel(Git.Object.TYPE.COMMIT);
+                return await Git.Commit.lookup(this.repo, peeled.id());
+            } catch (err) {
+                // try the next kind of reference
+            }
+        }
+        throw Error(`Unknown revision '${ref}' in ${this.path}`);
+    }
 
-        // if date is provided, only keep new commits
-        if (date) commits = commits.filter(commit => commit.date() > date);
+    /**
+     *    Gets the commits pointed to by tags.
+     *
+     *    @return {Promise<Set<string>>} The ids of the tagged commits
+     */
+    async taggedCommits() {
+        let tagged = new Set();
+        for (const name of await Git.Tag.list(this.repo)) {
+            try {
+                const object = await Git.Revparse.single(this.repo, `refs/tags/${name}`);
+                const commit = await object.peel(Git.Object.TYPE.COMMIT);
+                tagged.add(commit.id().tostrS());
+            } catch (err) {
+                // tags can point to trees or blobs too, those are skipped
+                logger.debug(`Tag '${name}' does not point to a commit`);
+            }
+        }
+        return tagged;
+    }
 
-        // if quick analyze selected, return roughly 100 commits
-        // TODO: add more flexibility to the behaviour of quick analyze???  just hardcoded to 100 commits for now lol
-        if (quick && commits.length > 100) {
-            let n = Math.round(commits.length / 100);
-            commits = commits.filter((commit, index) => index % n === 0);
+    /**
+     *    Reads a file as it was at a commit, from the object database.
+     *    @param {Commit} commit - The [Commit]{@link https://www.nodegit.org/api/commit/}
+     *    @param {string} filepath - The path of the file, relative to the repository
+     *
+     *    @return {Promise<string>} The contents of the file, `null` if it did not exist
+     */
+    async readFile(commit, filepath) {
+        try {
+            const entry = await commit.getEntry(filepath);
+            const blob = await entry.getBlob();
+            return blob.toString();
+        } catch (err) {
+            return null;
         }
+    }
 
-        return commits;
+    /**
+     *    Gets the churn of a commit, by diffing its tree against the tree of its
+     *    first parent. Renamed files count as modified. Merges have no churn, as
+     *    in `git log --numstat`, since it is counted in the commits merged.
+     *    @param {Commit} commit - The [Commit]{@link https://www.nodegit.org/api/commit/}
+     *
+     *    @return {Promise<Object<string, ChurnReport>>} The churn, by extension
+     */
+    async churn(commit) {
+        if (commit.parentcount() > 1) {
+            return {};
+        }
+        const tree = await commit.getTree();
+        const parentTree = commit.parentcount() > 0 ?
+            await (await commit.parent(0)).getTree() : null;
+        const diff = await Git.Diff.treeToTree(this.repo, parentTree, tree, null);
+        await diff.findSimilar({flags: Git.Diff.FIND.RENAMES});
+        return patchChurn(await diff.patches());
     }
 
-    async analyseCommits({commits = [], commit_ids = []} = {}) {
+    /**
+     *    Gets the name of the ref the commits of an analysis belong to,
+     *    used to keep the results of different branches apart.
+     *    @param {object} [options] - See {@link Clone#commitHistory}
+     *
+     *    @return {Promise<string>} The end of the range if any, otherwise the ref
+     *        or the default branch
+     */
+    async refName({ref = null, range = null} = {}) {
+        const to = range ? utils.parseRange(range).to : null;
+        return to || ref || this.defaultBranch();
+    }
+
+    /**
+     *    Gets the commit history of a ref, optionally limited to a revision range.
+     *    @param {object} [options] - The options
+     *    @param {string} [options.ref] - The branch, tag or commit id, the default branch if not given
+     *    @param {string} [options.range]
+     *        A revision range 'from..to', see [parseRange]{@link utils.parseRange}.
+     *        An empty end of the range defaults to the ref.
+     *    @param {Date} [options.since] - Only keep the commits made on or after this date
+     *    @param {Date} [options.until] - Only keep the commits made on or before this date
+     *
+     *    @return {Promise<Array<Commit>>}
+     *        The commit history, newest first. See [Commit]{@link https://www.nodegit.org/api/commit/}.
+     */
+    async commitHistory({ref = null, range = null, since = null, until = null} = {}) {
+        const {from} = range ? utils.parseRange(range) : {from: null};
+        const tip = await this.resolve(await this.refName({ref, range}));
+
+        const walker = this.repo.createRevWalk();
+        walker.push(tip.id());
+        if (from) {
+            walker.hide((await this.resolve(from)).id());
+        }
+        const commits = await walker.getCommitsUntil(() => true);
+        return commits.filter(commit =>
+            (!since || commit.date() >= since) && (!until || commit.date() <= until));
+    }
+
+    /**
+     *    @callback progressFunction
+     *    @param {number} processed - The number of commits processed so far
+     *    @param {number} total - The total number of commits to process
+     */
+
+    /**
+     *    Performs static analysis on each of the given commits. Only the files
+     *    changed since the previous commit are re-analysed, see {@link IncrementalAnalyser}.
+     *    The files are read from the object database, the working tree is left untouched.
+     *    @param {object} [options] - The options
+     *    @param {Array<Commit>} [options.commits=[]] - The commits to analyse
+     *    @param {Array<string>} [options.commit_ids=[]]
+     *        The ids of the commits to analyse, if no commits are given
+     *    @param {progressFunction} [options.onProgress]
+     *        Called after each commit is analysed. Can throw to stop the analysis.
+     *    @param {function(object)} [options.onResult]
+     *        Called with the result of each commit as soon as it is analysed.
+     *    @param {boolean} [options.perFile=false]
+     *        Also analyse each file, and the functions in them
+     *    @param {number} [options.topFunctions=10]
+     *        The number of most complex functions to keep per commit, if `perFile` is set
+     *
+     *    @return {Promise<Array<object>>}
+     *        The results, with keys: commit_id, commit_date, valuesByExt,
+     *        files and functions (the last two are empty unless `perFile` is set).
+     *        The results of the commits that failed only have the keys: commit_id,
+     *        commit_date and error, the error message
+     */
+    async analyseCommits({
+            commits = [],
+            commit_ids = [],
+            onProgress = () => {},
+            onResult = () => {},
+            perFile = false,
+            topFunctions = 10} = {}) {
         if (commits.length === 0) {
             let promises = commit_ids.map(id => Git.Commit.lookup(this.repo, id));
             commits = await Promise.all(promises);
         }
 
+        // only re-analyse the files changed since the previous commit
+        const incremental = new IncrementalAnalyser(this, {perFile});
+
         const analyser = async (commit, index) => {
+            // commits are analysed in order, each diffed against the previous one
+            const {valuesByExt, files, functions} = await incremental.analyse(commit);
             return {
                 commit_id: commit.id().tostrS(),
                 commit_date: commit.date(),
-                // have to wait for analysis to finish before
-                // checking out next commit
-                valuesByExt: await this.staticAnalysis(),
+                valuesByExt,
+                files,
+                // keep only the most complex functions
+                functions: functions
+                    .sort((a, b) => b.cyclomatic - a.cyclomatic)
+                    .slice(0, topFunctions),
             };
         };
 
+        // failed commits are reported as such, rather than as commits without files
         const catcher = (commit, error, index) => {
-            console.log(error);
+            logger.warn(`Failed analysing commit ${commit.id().tostrS()}: ${error.stack || error}`);
             return {
                 commit_id: commit.id().tostrS(),
                 commit_date: commit.date(),
-                valuesByExt: {},
-            }
+                error: error.message || String(error),
+            };
+        };
+
+        const reporter = (processed, total, result) => {
+            onResult(result);
+            onProgress(processed, total);
         };
 
-        return this.foreachCommit(commits, analyser, catcher);
+        return this.foreachCommit(commits, analyser, catcher, reporter);
     }
 
     /**
@@ -217,95 +362,27 @@ class Clone {
      *        The function to apply to each commit
      *    @param {commitCatcherFunction<S>} catcher
      *        The function to catch errors if the action function throws.
+     *    @param {progressFunction} [onProgress]
+     *        Called after each commit, with the result of the commit as a third
+     *        argument. Errors it throws are not caught.
      *
      *    @return {Array<T|S>} - The results
      *    @template T
      *    @template S
      */
-    async foreachCommit(commits, action, catcher) {
+    async foreachCommit(commits, action, catcher, onProgress = () => {}) {
         let results = [];
         let i = 1;
         for (const commit of commits) {
-            await Git.Reset.reset(
-                this.repo, commit, Git.Reset.TYPE.HARD);
             const result = await action(commit, i)
                 .catch(e => catcher(commit, e, i));
             results.push(result);
+            onProgress(i, commits.length, result);
             i++;
         }
         return results;
     }
 
-    /**
-     *  A summary of a file extension
-     *  @typedef {object} ExtensionSummary
-     *  @property {number} numberOfFiles - The number of files with that extension
-     *  @property {number} numberOfLines - The lines of code with that extension
-     */
-
-    /**
-     *  Performs static analysis of code on disk and returns a report of the results.
-     *  @param {Object} [options] - The options
-     *  @param {Array<string>} [options.excludedDirs=['.git']]
-     *      A list of directories to be excluded. Only '.git' by default.
-     *  @param {Array<string>} [options.excludedExts=[]]
-     *      A list of extensions to be excluded.
-     *
-     *  @return {Object<string, ExtensionSummary>}
-     *      An object with file extensions as keys and an object with
-     *      all static analyses results as the value.
-     */
-    async staticAnalysis({
-        excludedDirs = ['.git'],
-        excludedExts = []} = {}) {
-
-    // get all files in directory
-    let filepaths = await dir.promiseFiles(this.path);
-
-    // TODO: cycle through files only ONCE if both are provided
-    // filter unwanted files
-    if (excludedDirs.length) {
-        filepaths = filepaths.filter(f => !isInExcludedDir(f.slice(this.path.length + 1), excludedDirs));
-    }
-    
-    if (excludedExts.length) {
-        filepaths = filepaths.filter(f => !hasExcludedExt(f.slice(this.path.length + 1), excludedExts));
-    }
-
-    // group files by extension
-    let fileByExt = {};
-    for (const filepath of filepaths) {
-        const ext = path.extname(filepath);
-
-        fileByExt[ext] = fileByExt[ext] || [];
-        fileByExt[ext].push(filepath);
-    }
-
-    // analyse files by extension
-    let promises = {};
-    for (const [ext, files] of Object.entries(fileByExt)) {
-        switch (ext) {
-            case '.js':
-                promises[ext] = analyse.javascript(files);
-                break;
-            case '.py':
-                promises[ext] = analyse.python(files);
-                break;
-            default:
-                promises[ext] = analyse.generic(files);
-                break;
-        }
-    }
-
-    // wait for all extension analyses to complete
-    let output = {};
-    for (const [ext, promise] of Object.entries(promises)) {
-        output[ext] = await promise;
-    }
-
-    return output;
-}
-
 }
 
 module.exports = {
@@ -0,0 +1,82 @@
+'use strict';
+
+// user defined modules
+const utils = require('./utils.js');
+
+/**
+ *  A repository and ref picked for a comparison
+ *  @typedef {object} Selection
+ *  @property {number} id - The id of the repository
+ *  @property {string} ref - The ref the commits were analysed on, `null` for the latest analysed one
+ */
+
+/**
+ *  The analysis of a repository in a comparison
+ *  @typedef {object} Series
+ *  @property {string} label - The name the repository is shown with
+ *  @property {Array<Point>} points - The analysis results
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ *  Parses the repositories picked for a comparison, e.g. '1:master,2'.
+ *  Refs can not hold a ':', see `git check-ref-format`.
+ *  @param {string} text - The comma separated ids of the repositories, each optionally with ':ref'
+ *
+ *  @return {Array<Selection>} The selections, throws if any id is not a number
+ */
+function parseSelection(text) {
+    return (text || '').split(',').filter(s => s.trim()).map(s => {
+        const [id, ...ref] = s.trim().split(':');
+        if (!/^\d+$/.test(id)) {
+            throw Error(`Not a repository id '${id}'`);
+        }
+        return {id: Number(id), ref: ref.join(':') || null};
+    });
+}
+
+/**
+ *  Merges the analyses of several repositories into the points of a single chart,
+ *  labelled by repository and with the days since the first analysed commit of
+ *  their repository, to align projects started years apart.
+ *  @param {Array<Series>} series - The analyses of each repository
+ *
+ *  @return {Array<Point>} The points, with keys repo and days_since_first_commit
+ */
+function alignSeries(series) {
+    let points = [];
+    for (const {label, points: repoPoints} of series) {
+        const date = point => new Date(point.commit_date).getTime();
+        const first = Math.min(...repoPoints.map(date));
+        for (const point of repoPoints) {
+            points.push({
+                ...point,
+                repo: label,
+                days_since_first_commit: Math.round(100 * (date(point) - first) / DAY) / 100,
+            });
+        }
+    }
+    return points;
+}
+
+/**
+ *  Gets the latest values of several repositories side by side.
+ *  @param {Array<Series>} series - The analyses of each repository
+ *
+ *  @return {Object<string, Object<string, Point>>}
+ *      The points of the latest commit of each repository by extension, by label
+ */
+function latestValues(series) {
+    let results = {};
+    for (const {label, points} of series) {
+        results[label] = utils.latestPoints(points);
+    }
+    return results;
+}
+
+module.exports = {
+    parseSelection,
+    alignSeries,
+    latestValues,
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ *  The author of a commit
+ *  @typedef {object} Author
+ *  @property {string} name - The name of the author
+ *  @property {string} email - The email of the author
+ */
+
+/**
+ *  The author and date of a commit
+ *  @typedef {object} Authorship
+ *  @property {string} commit_id - The id of the commit
+ *  @property {Date} commit_date - The date of the commit
+ *  @property {Author} author - The author of the commit
+ */
+
+/**
+ *  The metrics of the contributors of a project, as of the date of a commit
+ *  @typedef {object} ContributorsCount
+ *  @property {number} activeAuthors - The authors of commits in the trailing window
+ *  @property {number} newContributors
+ *      The authors of their first commit since the previous commit (or ever, for the first one)
+ *  @property {number} totalContributors - The authors of any commit so far
+ *  @property {number} busFactor
+ *      The fewest authors that made at least half of the commits so far
+ */
+
+/**
+ *  Normalises an email address, so the same author is recognised whatever the
+ *  case of their email, and whichever of their GitHub noreply addresses they used.
+ *  @param {string} email - The email address
+ *
+ *  @return {string} The normalised email address
+ */
+function normaliseEmail(email) {
+    return (email || '')
+        .trim()
+        .toLowerCase()
+        // e.g. '12345+user@users.noreply.github.com' is 'user@users.noreply.github.com'
+        .replace(/^\d+\+(.+@users\.noreply\.github\.com)$/, '$1');
+}
+
+/**
+ *  @class A Mailmap maps the names and emails authors committed with to their
+ *  canonical ones, as in [git's .mailmap]{@link https://git-scm.com/docs/gitmailmap}.
+ */
+class Mailmap {
+    /**
+     *  Parses the contents of a .mailmap file, where each line is one of:
+     *  <br>`Proper Name <commit@email>`
+     *  <br>`<proper@email> <commit@email>`
+     *  <br>`Proper Name <proper@email> <commit@email>`
+     *  <br>`Proper Name <proper@email> Commit Name <commit@email>`
+     *  @param {string} [text=''] - The contents of the file
+     */
+    constructor(text = '') {
+        // entries matching the commit email only, or both the commit name and email
+        this.byEmail = new Map();
+        this.byNameAndEmail = new Map();
+
+        const entry = /^([^<]*)<([^>]*)>(?:\s*([^<]*)<([^>]*)>)?/;
+        for (const line of (text || '').split('\n')) {
+            const match = entry.exec(line.replace(/#.*$/, '').trim());
+            if (!match) {
+                continue;
+            }
+            const [, properName, firstEmail, commitName, commitEmail] = match;
+            // with a single email, it is the commit email
+            const proper = {
+                name: properName.trim() || null,
+                email: commitEmail === undefined ? null : normaliseEmail(firstEmail),
+            };
+            const email = normaliseEmail(commitEmail === undefined ? firstEmail : commitEmail);
+            const [map, key] = commitName && commitName.trim() ?
+                [this.byNameAndEmail, `${commitName.trim()}\n${email}`] :
+                [this.byEmail, email];
+            // a name and an email can be mapped on separate lines
+            const previous = map.get(key) || {};
+            map.set(key, {
+                name: proper.name || previous.name || null,
+                email: proper.email || previous.email || null,
+            });
+        }
+    }
+
+    /**
+     *  Gets the canonical name and (normalised) email of an author.
+     *  @param {Author} author - The author, as committed
+     *
+     *  @return {Author} The canonical author
+     */
+    resolve({name, email}) {
+        email = normaliseEmail(email);
+        const proper = this.byNameAndEmail.get(`${name}\n${email}`) ||
+            this.byEmail.get(email) || {};
+        return {
+            name: proper.name || name,
+            email: proper.email || email,
+        };
+    }
+}
+
+/**
+ *  Computes the contributor metrics at each of some commits, from the authors
+ *  of every commit in the history.
+ *  @param {Array<Authorship>} history - Every commit in the history, in any order
+ *  @param {Array<CommitInfo>} commits - The commits to compute the metrics at, oldest first
+ *  @param {object} [options] - The options
+ *  @param {Mailmap} [options.mailmap] - The mailmap de-duplicating the authors
+ *  @param {number} [options.window=90] - The trailing window of active authors, in days
+ *
+ *  @return {Object<CommitId, ContributorsCount>} The metrics at each commit
+ */
+function contributorMetrics(history, commits, {mailmap = new Mailmap(), window = 90} = {}) {
+    // authors are identified by their canonical email, or name if they have none
+    const authored = history
+        .map(({commit_date, author}) => {
+            const {name, email} = mailmap.resolve(author);
+            return {date: new Date(commit_date).getTime(), author: email || name};
+        })
+        .sort((a, b) => a.date - b.date);
+    const windowLength = window * 24 * 60 * 60 * 1000;
+
+    // the offsets to the commits up to the current one, and to the start of the window
+    let offset = 0;
+    let windowOffset = 0;
+
+    // commits by author, so far and in the window
+    let commitsByAuthor = new Map();
+    let windowByAuthor = new Map();
+
+    let results = {};
+    for (const {commit_id, commit_date} of commits) {
+        const date = new Date(commit_date).getTime();
+        const previousContributors = commitsByAuthor.size;
+
+        // step to the commits up to this one
+        for (; offset < authored.length && authored[offset].date <= date; offset++) {
+            const {author} = authored[offset];
+            commitsByAuthor.set(author, (commitsByAuthor.get(author) || 0) + 1);
+            windowByAuthor.set(author, (windowByAuthor.get(author) || 0) + 1);
+        }
+        // step out of the window the commits before it
+        for (; windowOffset < offset && authored[windowOffset].date <= date - windowLength; windowOffset++) {
+            const {author} = authored[windowOffset];
+            const count = windowByAuthor.get(author) - 1;
+            count > 0 ? windowByAuthor.set(author, count) : windowByAuthor.delete(author);
+        }
+
+        // the fewest authors that made at least half of the commits
+        let busFactor = 0;
+        let covered = 0;
+        const counts = [...commitsByAuthor.values()].sort((a, b) => b - a);
+        for (; busFactor < counts.length && covered * 2 < offset; busFactor++) {
+            covered += counts[busFactor];
+        }
+
+        results[commit_id] = {
+            activeAuthors: windowByAuthor.size,
+            newContributors: commitsByAuthor.size - previousContributors,
+            totalContributors: commitsByAuthor.size,
+            busFactor,
+        };
+    }
+    return results;
+}
+
+module.exports = {
+    Mailmap,
+    normaliseEmail,
+    contributorMetrics,
+};
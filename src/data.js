@@ -2,25 +2,164 @@
 
 
 // user defined modules
-const { Client } = require('./client.js');
 const { Clone } = require('./clone.js');
+const { getDefaultRegistry } = require('./analysers.js');
 const { parallelAnalysis } = require('./parallel.js');
+const { Checkpoint } = require('./checkpoint.js');
+const { accumulateChurn, withChurnRate } = require('./churn.js');
+const { Mailmap, contributorMetrics } = require('./contributors.js');
+const { metaAnalysis } = require('./forge.js');
+const { providerFor } = require('./providers.js');
+const sampling = require('./sampling.js');
 const utils = require('./utils.js');
 const mkLogger = require('./log.js');
 const logger = mkLogger({label: __filename});
 
 
+/**
+ *  The metrics counting the changes since the previous commit, rather than the state
+ *  at a commit. Stored for each commit alone, and summed over the commits skipped
+ *  by quick analyses, see {@link Database#insertSampleDeltas}.
+ *  @type {Set<string>}
+ */
+const DELTA_METRICS = new Set([
+    'linesAdded',
+    'linesDeleted',
+    'filesAdded',
+    'filesRemoved',
+    'filesModified',
+    'churnRate',
+    'issuesOpened',
+    'issuesClosed',
+    'newContributors',
+]);
+
+// sums the metrics of DELTA_METRICS of some commits, from the metrics of each commit by id
+function sumDeltas(metrics, commit_ids) {
+    let total = {};
+    for (const commit_id of commit_ids) {
+        for (const [type, value] of Object.entries(metrics[commit_id] || {})) {
+            if (DELTA_METRICS.has(type)) {
+                total[type] = (total[type] || 0) + value;
+            }
+        }
+    }
+    return total;
+}
+
+// groups rows by commit, in order of their first row
+function byCommit(rows) {
+    let groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row.commit_id)) {
+            groups.set(row.commit_id, []);
+        }
+        groups.get(row.commit_id).push(row);
+    }
+    return [...groups.values()];
+}
+
+// the values by extension of the stored rows of a commit, but the changes since
+// the previous commit, i.e. the valuesByExt of its analysis
+function rowsToValues(rows) {
+    let valuesByExt = {};
+    for (const {file_extension, metric_type, metric_value} of rows) {
+        if (!DELTA_METRICS.has(metric_type)) {
+            valuesByExt[file_extension] = {...valuesByExt[file_extension], [metric_type]: metric_value};
+        }
+    }
+    return valuesByExt;
+}
+
+/**
+ *  Converts the analysis of a commit into rows of the MetricValues table.
+ *  @param {number} repo_id - The id of the repository
+ *  @param {string} ref - The branch or tag the commit was analysed on
+ *  @param {object} analysis
+ *      The static analysis of the commit, with keys: commit_id, commit_date, and valuesByExt
+ *  @param {object} meta - The meta analysis of all commits, indexed by commit id
+ *  @param {object} [churn={}]
+ *      The churn of all commits by extension, indexed by commit id, see {@link accumulateChurn}
+ *
+ *  @return {Array<Row>} The rows
+ */
+function analysisToRows(repo_id, ref, {commit_id, commit_date, valuesByExt}, meta, churn = {}) {
+    // extensions whose files were all removed only have churn
+    const churnByExt = withChurnRate(churn[commit_id] || {}, valuesByExt);
+    const exts = new Set([...Object.keys(valuesByExt), ...Object.keys(churnByExt)]);
+
+    let rows = [];
+    for (const ext of exts) {
+
+        // merge metrics
+        const metricValues = {...valuesByExt[ext], ...churnByExt[ext], ...meta[commit_id]};
+
+        // expand into separate rows
+        for (const [type, value] of Object.entries(metricValues)) {
+            // convert date (or date string) into UNIX timestamp
+            const timestamp = new Date(commit_date).getTime();
+            rows.push({
+                repo_id: repo_id,
+                ref: ref,
+                commit_id: commit_id,
+                commit_date: timestamp,
+                file_extension: ext,
+                metric_type: type,
+                metric_value: value,
+            });
+        }
+    }
+    return rows;
+}
+
+/**
+ *  Converts the analysis of a commit into the results stored for it, see
+ *  {@link Database#storeAnalyses}.
+ *  @param {number} repo_id - The id of the repository
+ *  @param {string} ref - The branch or tag the commit was analysed on
+ *  @param {object} analysis
+ *      The static analysis of the commit, see {@link Clone#analyseCommits}
+ *  @param {object} meta - The meta analysis of all commits, indexed by commit id
+ *  @param {object} churn - The churn of all commits by extension, indexed by commit id
+ *
+ *  @return {CommitResults} The results
+ */
+function commitResults(repo_id, ref, analysis, meta, churn) {
+    const {commit_id, commit_date, files = [], functions = []} = analysis;
+    const commit = {repo_id, ref, commit_id, commit_date: Date.parse(commit_date)};
+    return {
+        commit_id,
+        rows: analysisToRows(repo_id, ref, analysis, meta, churn),
+        files: files.map(f => ({...commit, ...f})),
+        functions: functions.map(f => ({...commit, ...f})),
+    };
+}
+
 /**
  *  @class The Data class is used as the central point where all raw
- *  data is fetched from. It holds a client connection to the GitHub project
+ *  data is fetched from. It holds a client connection to the forge hosting the project
  *  and a cloned instance of the Git repository.
  */
 class Data {
-    static async init(url, db, options) {
-        const clone = await Clone.init(url);
+    /**
+     *  Initialize and return an instance of the {@link Data} class.
+     *  @param {string} url - Any Git URL or local path
+     *  @param {Promise<Database>} db - A promise to the database
+     *  @param {object} [options] - Configuration arguments, see {@link Data}
+     *
+     *  @return {Promise<Data>} A promise to a {@link Data} instance
+     */
+    static async init(url, db, options = {}) {
+        // analyse an existing checkout in place, or clone (and fetch) our own copy
+        const clone = options.noClone ?
+            await Clone.fromPath(options.path || process.cwd()) :
+            await Clone.init(url);
+        db = await db;
+        // make sure the metrics of every analyser can be stored
+        await db.registerMetricTypes(getDefaultRegistry().metricTypes);
         return new Data({
             url,
-            db: await db,
+            db,
             clone,
             options,
         });
@@ -28,116 +167,377 @@ class Data {
 
     /**
      *  Construct a {@link Data} object, create a [clone]{@link Clone} from the
-     *  Git repository asynchronously, and initialize
-     *  [GitHub API]{@link https://developer.github.com/v4/} [client]{@link Client}
+     *  Git repository asynchronously, and initialize the client of the
+     *  [forge]{@link Forge} hosting it, see {@link providerFor}.
+     *  Without a client, the forge metadata is skipped.
      *
-     *  @param {string} url - GitHub project URL
+     *  @param {string} url - Any Git URL or local path, see {@link utils.parseRemote}
      *  @param {object} options - Configuration arguments
-     *  @param {string} options.auth_token - The GitHub authentication token
-     *  @param {boolean} options.noClone - Flag on whether to clone the Git project or not
+     *  @param {string} [options.auth_token] - The forge authentication token
+     *  @param {string} [options.token_file] - The path to a file holding the token
+     *  @param {boolean} [options.noClone] - Flag on whether to clone the Git project or not
+     *  @param {string} [options.path=process.cwd()]
+     *      The path to the existing checkout analysed if `noClone` is set
      */
     constructor({url, db, clone, options} = {}) {
-        // Parse the GitHub URL into project owner and project name
-        const {owner, name} = utils.parseURL(url);
-        this.client = new Client({
-            owner,
-            name,
-            auth_token: (options || {}).auth_token,
-        });
+        // Parse the URL into the identity, owner and name of the repository
+        this.remote = utils.parseRemote(url);
+        const {owner, name} = this.remote;
+        /**
+         *  The client of the forge hosting the repository, `null` if unknown
+         *  @name Data#client
+         *  @type {Forge}
+         */
+        this.client = null;
+        try {
+            this.client = providerFor(this.remote, {
+                auth_token: (options || {}).auth_token,
+                token_file: (options || {}).token_file,
+            });
+        } catch (err) {
+            logger.warn(`No client for ${this.remote.host} (${err.message}), skipping the forge metadata`);
+        }
+        // the issues and pull requests are synced at most once
+        this.synced = null;
         this.clone = clone
         this.owner = owner;
         this.name = name;
         this.db = db;
     }
 
-    async analyse(options) {
+    /**
+     *  Syncs the issues and pull requests of the repository from its forge into
+     *  the database, only fetching the ones updated since the last sync.
+     *  Syncs at most once per {@link Data} object, later calls share the result.
+     *
+     *  @return {Promise<{issues: Array<IssueInfo2>, pulls: Array<IssueInfo2>}>}
+     *      All the stored issues and pull requests, oldest first
+     */
+    syncIssues() {
+        if (!this.synced) {
+            this.synced = (async () => {
+                const repo_id = await this.db.getRepoId(this.remote);
+
+                const issuesSince = await this.db.getLastUpdate(repo_id, 'Issues');
+                const issues = await this.client.getIssuesUpdatedSince(issuesSince);
+                await this.db.insertIssues(repo_id, issues);
+
+                const pullsSince = await this.db.getLastUpdate(repo_id, 'PullRequests');
+                const pulls = await this.client.getPullRequestsUpdatedSince(pullsSince);
+                await this.db.insertPullRequests(repo_id, pulls);
+
+                logger.info(`Synced ${issues.length} issues and ${pulls.length} pull requests`);
+                return {
+                    issues: await this.db.getIssues(repo_id),
+                    pulls: await this.db.getPullRequests(repo_id),
+                };
+            })();
+        }
+        return this.synced;
+    }
+
+    /**
+     *  Gets the current metadata of the project from its forge, with the
+     *  issues and pull requests read from the database, see {@link Forge#getSummary}.
+     *  @param {string} ref - The analysed branch
+     *
+     *  @return {Promise<object>} The metadata, by name
+     */
+    async getSummary(ref) {
+        const stored = await this.syncIssues();
+        return this.client.getSummary(ref, stored);
+    }
+
+    /**
+     *  Analyse all commits of a ref not yet in the database, and merge them with
+     *  the previously stored results of the same ref. The results are stored in
+     *  transactional batches as commits are analysed, and an analysis that was
+     *  interrupted is resumed with the commits it picked, unless the history
+     *  was rewritten since.
+     *  @param {object} [options] - The analysis options
+     *  @param {string} [options.ref] - The branch or tag to analyse, the default branch if not given
+     *  @param {string} [options.range]
+     *      Only analyse the commits in a revision range 'from..to', see {@link Clone#commitHistory}
+     *  @param {boolean} [options.quick=false]
+     *      Only analyse a sample of the commits, the changes since the previous
+     *      commit (e.g. the churn) are then summed over the commits skipped
+     *  @param {string} [options.sampling='count']
+     *      The strategy picking the commits of a quick analysis, see {@link sampling.strategies}
+     *  @param {number} [options.budget=100] - The maximum number of commits of a quick analysis
+     *  @param {progressFunction} [options.onProgress]
+     *      Called as commits are analysed. Can throw to stop the analysis.
+     *  @param {boolean} [options.perFile=false]
+     *      Also store the metrics of each file, and the most complex functions
+     *  @param {number} [options.topFunctions=10]
+     *      The number of most complex functions to store per commit
+     *  @param {function(Array<Point>)} [options.onPoints]
+     *      Called with the already stored points, and then with the points
+     *      of each commit as soon as it is analysed.
+     *  @param {number} [options.batchSize=DEFAULT_BATCH_SIZE]
+     *      The number of commits whose results are stored at once, see {@link Checkpoint}
+     *
+     *  @return {Promise<Array<Point>>} The analysis results
+     */
+    async analyse(options = {}) {
+        const onProgress = options.onProgress || (() => {});
+
         // ensure repo is in database
-        const repo_id = await this.db.getRepoId({
-            owner: this.owner, 
-            name: this.name
+        const repo_id = await this.db.getRepoId(this.remote);
+
+        // results are stored by ref, so different branches don't mix
+        const ref = await this.clone.refName(options);
+        const history = await this.clone.commitHistory(options);
+
+        // the options picking the commits, an unfinished run with the same ones is resumed
+        const strategy = {strategy: options.sampling, budget: options.budget};
+        const runOptions = JSON.stringify({
+            range: options.range || null,
+            since: options.since || null,
+            until: options.until || null,
+            sample: options.quick ? sampling.sampleName(strategy) : null,
         });
 
-        // get last commit in database
-        const lastCommit = await this.db.getLastCommit(repo_id);
+        // pick the commits to show, oldest first, or the ones of the interrupted run
+        const byId = new Map(history.map(c => [c.id().tostrS(), c]));
+        let run = await this.db.getUnfinishedRun(repo_id, ref, runOptions);
+        let selected;
+        if (run && run.commit_ids.every(id => byId.has(id))) {
+            logger.info(`Resuming the analysis of ${ref} started at ${run.started_at.toISOString()}`);
+            selected = run.commit_ids.map(id => byId.get(id));
+        } else {
+            selected = [...history].reverse();
+            if (options.quick) {
+                selected = await sampling.sample(selected, {...strategy, clone: this.clone});
+            }
+            run = await this.db.startRun(repo_id, ref, runOptions, selected.map(c => c.id().tostrS()));
+        }
+        const selectedIds = selected.map(c => c.id().tostrS());
 
-        // get new commits 
-        const newCommits = await this.clone.commitsAfter(lastCommit ? lastCommit.commit_date : null, options.quick);
+        // get commits not yet in database
+        const analysed = await this.db.getCommitIds(repo_id, ref);
+        const commits = selected.filter(c => !analysed.has(c.id().tostrS()));
 
-        // get the meta analysis for project
-        const newMeta = this.client.getMetaAnalysis(
-            newCommits.map(c => ({
-                commit_id: c.id().tostrS(),
-                commit_date: c.date(),
-            }))
-        );
+        // the changes since the previous commit are counted along the whole history,
+        // oldest first, so the values stored for a commit don't depend on the commits
+        // picked, and can be summed over the commits skipped by a quick analysis
+        const oldestFirst = [...history].reverse();
+        const historyInfo = oldestFirst.map(c => ({
+            commit_id: c.id().tostrS(),
+            commit_date: c.date(),
+        }));
+        const historyIds = historyInfo.map(c => c.commit_id);
 
-        // begin static analysis of new commits
-        // analyse in parallel if many commits
-        const newStatic = newCommits.length < 10 ?
-            this.clone.analyseCommits({commits: newCommits}) :
-            parallelAnalysis(this, newCommits.map(c => c.id().tostrS()));
-
-        // merge static and meta analysis
-        const newAnalyses = Promise.all([newStatic, newMeta])
-            .then(([static_, meta]) => {
-                // new analyses is a list of objects
-                // with keys: commit_id, commit_date, and valuesByExt
-                // where valuesByExt is an object with different file extensions as keys
-                // and objects of metric types as keys and metric values as values
-
-                let results = [];
-
-                // convert it into a flat list of objects
-                // where each object key corresponds to a column in the table MetricValues
-                for (const {commit_id, commit_date, valuesByExt} of static_) {
-                    for (const [ext, staticValues] of Object.entries(valuesByExt)) {
-
-                        // merge metrics
-                        const metricValues = {...staticValues, ...meta[commit_id]};
-                        
-                        // expand into separate rows
-                        for (const [type, value] of Object.entries(metricValues)) {
-                            // convert date string into UNIX timestamp
-                            const timestamp = Date.parse(commit_date);
-                            results.push({
-                                repo_id: repo_id,
-                                commit_id: commit_id,
-                                commit_date: timestamp,
-                                file_extension: ext,
-                                metric_type: type,
-                                metric_value: value,
-                            });
-                        }
-                    }
+        // get the meta analysis for project from the synced issues and pull requests,
+        // if hosted on a known forge
+        const forgeMeta = this.client ?
+            this.syncIssues().then(({issues, pulls}) => metaAnalysis(issues, pulls, historyInfo)) :
+            Promise.resolve({});
+
+        // and the contributors at each commit, from the authors of the analysed history,
+        // de-duplicated by the .mailmap of the analysed ref
+        const authorship = history.map(c => ({
+            commit_id: c.id().tostrS(),
+            commit_date: c.date(),
+            author: {name: c.author().name(), email: c.author().email()},
+        }));
+        const mailmap = history.length > 0 ?
+            new Mailmap(await this.clone.readFile(history[0], '.mailmap')) : new Mailmap();
+        const contributors = contributorMetrics(authorship, historyInfo, {mailmap});
+
+        // the churn of each new commit alone. Commits are diffed once, even if
+        // their churn is also summed for a quick analysis
+        let diffs = new Map();
+        const churnOf = commit => {
+            const commit_id = commit.id().tostrS();
+            if (!diffs.has(commit_id)) {
+                diffs.set(commit_id, this.clone.churn(commit));
+            }
+            return diffs.get(commit_id);
+        };
+        const newChurn = accumulateChurn(
+            oldestFirst,
+            historyIds,
+            new Set(commits.map(c => c.id().tostrS())),
+            churnOf);
+
+        const newMeta = forgeMeta.then(meta => {
+            let results = {};
+            for (const {commit_id} of historyInfo) {
+                results[commit_id] = {...meta[commit_id], ...contributors[commit_id]};
+            }
+            return results;
+        });
+
+        // quick analyses show the changes since the previous picked commit instead,
+        // summed over the skipped ones. They depend on the commits picked, so they are
+        // stored apart, by the oldest commit summed, and summed again if the picks change
+        const gaps = sampling.gaps(historyIds, selectedIds);
+        const sampleDeltas = !options.quick ? null : this.db.getSampleDeltas(repo_id, ref)
+            .then(async rows => {
+                const current = rows.filter(row => {
+                    const gap = gaps.get(row.commit_id);
+                    return gap && gap[0] === row.from_commit_id;
+                });
+                const stored = new Map(byCommit(current).map(deltas => [deltas[0].commit_id, deltas]));
+                const missing = selectedIds.filter(commit_id => !stored.has(commit_id));
+                const [meta, churn] = await Promise.all([
+                    newMeta,
+                    accumulateChurn(oldestFirst, selectedIds, new Set(missing), churnOf),
+                ]);
+                let sums = {};
+                for (const commit_id of missing) {
+                    sums[commit_id] = sumDeltas(meta, gaps.get(commit_id));
                 }
+                return {stored, meta: sums, churn};
+            });
+        // errors surface through the rows shown, if any
+        if (sampleDeltas) {
+            sampleDeltas.catch(() => {});
+        }
 
-                return results;
+        // the sums not stored yet, stored once the analysis finished
+        let newDeltas = [];
+        // the rows shown for the analysis of a commit
+        const shownRows = (analysis, rows) => {
+            if (!sampleDeltas) {
+                return Promise.resolve(rows);
+            }
+            return sampleDeltas.then(({stored, meta, churn}) => {
+                const {commit_id} = analysis;
+                let deltas = stored.get(commit_id);
+                if (!deltas) {
+                    deltas = analysisToRows(repo_id, ref, analysis, meta, churn)
+                        .filter(row => DELTA_METRICS.has(row.metric_type))
+                        .map(row => ({...row, from_commit_id: gaps.get(commit_id)[0]}));
+                    newDeltas.push(...deltas);
+                }
+                return [
+                    ...rows.filter(row => !DELTA_METRICS.has(row.metric_type)),
+                    ...deltas.map(({from_commit_id, ...row}) => row),
+                ];
             });
+        };
 
-        // insert new analysis results into database
-        if (!options.quick) {
-            newAnalyses.then(values => this.db.insertValues(values))
-                .then(() => logger.debug('Finished inserting values to database'));
-        }
+        // get already analysed commits of the selection if present, otherwise empty list
+        // (commits analysed by other quick or full analyses are reused)
+        const isSelected = new Set(selectedIds);
+        const oldAnalyses = this.db.getValues(repo_id, ref)
+            .then(rows => rows.filter(row => isSelected.has(row.commit_id)))
+            .then(rows => Promise.all(byCommit(rows).map(commitRows => shownRows({
+                commit_id: commitRows[0].commit_id,
+                commit_date: commitRows[0].commit_date,
+                valuesByExt: rowsToValues(commitRows),
+            }, commitRows))))
+            .then(rows => [].concat(...rows));
+
+        // the results of each commit are stored in transactional batches as soon as
+        // they are ready, together with the commit being marked analysed
+        const checkpoint = new Checkpoint(
+            batch => this.db.storeAnalyses(repo_id, ref, run.id, batch),
+            {batchSize: options.batchSize});
+
+        // stream the old results, and the new ones as each commit is analysed,
+        // chaining the calls to keep them in order.
+        // Streaming is best effort, errors surface through the returned promise
+        const warn = err => logger.warn(err);
+        const stream = rows => options.onPoints && options.onPoints(utils.rows2points(rows));
+        let streamed = oldAnalyses.then(stream).catch(warn);
 
-        // get already analysed commits if present, otherwise empty list
-        const oldAnalyses = this.db.getValuesUntil(repo_id, lastCommit);
+        let newResults = [];
+        // failed commits are left unmarked, so that the next analysis retries them
+        let failed = [];
+        const onResult = analysis => {
+            if (analysis.error) {
+                failed.push(analysis.commit_id);
+                return;
+            }
+            const results = Promise.all([newMeta, newChurn])
+                .then(([meta, churn]) => commitResults(repo_id, ref, analysis, meta, churn));
+            // throws if storing failed, which stops the analysis
+            checkpoint.add(results);
+            const shown = results.then(({rows}) => shownRows(analysis, rows));
+            newResults.push(shown);
+            streamed = Promise.all([streamed, shown])
+                .then(([_, rows]) => stream(rows))
+                .catch(warn);
+        };
+
+        // begin static analysis of new commits
+        // analyse in parallel if many commits
+        onProgress(0, commits.length);
+        const {perFile, topFunctions} = options;
+        const newStatic = commits.length < 10 ?
+            this.clone.analyseCommits({commits, onProgress, onResult, perFile, topFunctions}) :
+            parallelAnalysis(this, commits.map(c => c.id().tostrS()), {
+                onProgress, onResult, perFile, topFunctions
+            });
+
+        // store the last batch even if the analysis stopped early, e.g. it was
+        // cancelled or a process was killed, so a rerun resumes after it
+        const stopped = await newStatic.then(() => null, err => err);
+        const stored = await checkpoint.flush();
+        logger.debug(`Stored the results of ${stored} commits`);
+        if (stopped) {
+            throw stopped;
+        }
 
         // merge new and old analyses
-        const results = await Promise.all([oldAnalyses, newAnalyses])
-            .then(([oldAnalyses, newAnalyses]) => {
+        const results = await Promise.all([oldAnalyses, Promise.all(newResults)])
+            .then(([oldAnalyses, newResults]) => {
                 // old analyses serves as the start for our results
                 // after we can append the new results to it
-                let results = [...oldAnalyses, ...newAnalyses];
-                console.log(`# of old results: ${oldAnalyses.length}`);
-                console.log(`# of new results: ${newAnalyses.length}`);
-                return results;
+                const newAnalyses = [].concat(...newResults);
+                logger.debug(`Merged ${oldAnalyses.length} old and ${newAnalyses.length} new results`);
+                return [...oldAnalyses, ...newAnalyses];
             });
 
+        // the commits of quick analyses are tagged with the strategy that picked them,
+        // and their sums are stored
+        if (options.quick) {
+            await this.db.insertSampleDeltas(newDeltas);
+            const isFailed = new Set(failed);
+            await this.db.insertSample(repo_id, ref, sampling.sampleName(strategy),
+                selectedIds.filter(commit_id => !isFailed.has(commit_id)));
+        }
+        // the run is finished once every commit was stored, otherwise the next
+        // analysis resumes it, retrying the failed commits
+        if (failed.length > 0) {
+            logger.warn(`Failed analysing ${failed.length} of ${commits.length} commits, ` +
+                `the next analysis retries them: ${failed.join(', ')}`);
+        } else {
+            await this.db.finishRun(run.id);
+        }
+
         const points = utils.rows2points(results);
 
+        // make sure every point was streamed before finishing
+        await streamed;
+
         return points;
     }
+
+    /**
+     *  Gets the analysis of a single commit, e.g. the baseline of a quality gate.
+     *  The stored results are reused if it was analysed before, on any ref,
+     *  otherwise only its static analysis is done (and not stored).
+     *  @param {string} rev - The branch, tag or commit id
+     *
+     *  @return {Promise<Array<Point>>} The analysis results, a point per extension
+     */
+    async analyseCommit(rev) {
+        const repo_id = await this.db.getRepoId(this.remote);
+        const commit = await this.clone.resolve(rev);
+
+        const stored = await this.db.getCommitValues(repo_id, commit.id().tostrS());
+        if (stored.length > 0) {
+            return utils.rows2points(stored);
+        }
+        const [analysis] = await this.clone.analyseCommits({commits: [commit]});
+        if (analysis.error) {
+            throw Error(`Failed analysing ${rev}: ${analysis.error}`);
+        }
+        return utils.rows2points(analysisToRows(repo_id, rev, analysis, {}));
+    }
 }
 
 module.exports = {
@@ -1,13 +1,11 @@
-const sqlite3 = require('sqlite3');
-const { promisify } = require('util');
-const fs = require('fs');
+const { DEFAULT_DATABASE, openDriver } = require('./drivers.js');
+const { migrate } = require('./migrate.js');
 
-async function loadMetricTypes(db) {
+async function loadMetricTypes(driver) {
     let byId = {};
     let byName = {};
     const query = 'SELECT id, name FROM MetricTypes;';
-    const _all = promisify(db.all.bind(db));
-    await _all(query, [])
+    await driver.all(query, [])
         .then(rs => rs.forEach(r => {
             byId[r.id] = r.name;
             byName[r.name] = r.id;
@@ -16,147 +14,822 @@ async function loadMetricTypes(db) {
     return { byId, byName };
 }
 
+// converts a row of the Issues or PullRequests tables into an IssueInfo2
+function rowToIssue(row) {
+    const date = timestamp => timestamp === null ? null : new Date(timestamp);
+    return {
+        number: row.number,
+        state: row.state,
+        createdAt: date(row.created_at),
+        closedAt: date(row.closed_at),
+        // only pull requests are merged
+        mergedAt: 'merged_at' in row ? date(row.merged_at) : null,
+        updatedAt: date(row.updated_at),
+        labels: JSON.parse(row.labels),
+        author: row.author,
+    };
+}
+
+// the statements inserting analysis results, ignoring the ones already stored
+const INSERT_VALUE = `
+    INSERT INTO MetricValues
+    (repo_id, ref, commit_id, commit_date, file_extension, metric_type_id, metric_value)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT DO NOTHING`;
+
+const INSERT_FILE = `
+    INSERT INTO FileMetrics
+    (repo_id, ref, commit_id, commit_date, file_path, sloc, cyclomatic, maintainability,
+     halstead_effort, halstead_volume, halstead_difficulty, halstead_bugs)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT DO NOTHING`;
+
+const INSERT_FUNCTION = `
+    INSERT INTO FunctionMetrics
+    (repo_id, ref, commit_id, commit_date, file_path, name, line, sloc, cyclomatic, halstead_effort)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT DO NOTHING`;
+
+// the parameters of INSERT_FILE for a file report
+function fileParams(row) {
+    return [
+        row.repo_id,
+        row.ref,
+        row.commit_id,
+        row.commit_date,
+        row.path,
+        row.sloc,
+        row.cyclomatic,
+        row.maintainability,
+        row.halsteadEffort,
+        row.halsteadVolume,
+        row.halsteadDifficulty,
+        row.halsteadBugs,
+    ];
+}
+
+// the parameters of INSERT_FUNCTION for a function report
+function functionParams(row) {
+    return [
+        row.repo_id,
+        row.ref,
+        row.commit_id,
+        row.commit_date,
+        row.path,
+        row.name,
+        row.line,
+        row.sloc,
+        row.cyclomatic,
+        row.halsteadEffort,
+    ];
+}
+
+// converts a row of the AnalysisRuns table into an AnalysisRun
+function rowToRun(row) {
+    return {
+        id: row.id,
+        commit_ids: JSON.parse(row.commit_ids),
+        started_at: new Date(row.started_at),
+    };
+}
+
+/**
+ *  An analysis of the commits picked from a ref, see {@link Data#analyse}
+ *  @typedef {object} AnalysisRun
+ *  @property {number} id - The id of the run
+ *  @property {Array<string>} commit_ids - The ids of the picked commits, oldest first
+ *  @property {Date} started_at - When the run was started
+ */
+
+/**
+ *  The results of an analysed commit, stored together
+ *  @typedef {object} CommitResults
+ *  @property {string} commit_id - The id of the commit
+ *  @property {Array<Row>} rows - The metric values of the commit
+ *  @property {Array<object>} [files=[]]
+ *      The {@link FileReport}s, with the keys repo_id, ref, commit_id and commit_date added
+ *  @property {Array<object>} [functions=[]]
+ *      The {@link FunctionReport}s, with the keys repo_id, ref, commit_id and commit_date added
+ */
+
 class Database {
     /**
      *  Initialize and load database. Use this to create a {@link Database} object instance.
-     *  Will execute database definition script to create database if not yet created.
+     *  Will apply any pending migrations, creating the database if not yet created,
+     *  and throws if the database is from a newer version, see {@link migrate}.
      *  
-     *  @param {string} filename - Name of database file
+     *  @param {string} [url=DEFAULT_DATABASE]
+     *      Name of a SQLite database file, or the URL of a database, see {@link driverFor}
      */
-    static async init(filename) {
-        // make our wrapped database pointer
-        const _db = new sqlite3.Database(filename);
+    static async init(url = DEFAULT_DATABASE) {
+        // the storage backend of the url
+        const driver = openDriver(url);
 
-        // Execute schema.sql, the script does nothing it if has already been run
-        const schema = fs.readFileSync('schema.sql', 'utf-8');
-        _db.exec(schema);
+        // Bring the schema up to date, does nothing if it already is
+        await migrate(driver);
 
         // Pre-load metrics
-        const metrics = await loadMetricTypes(_db);
+        const metrics = await loadMetricTypes(driver);
 
-        return new Database({_db, metrics});
+        return new Database({driver, metrics});
     }
 
-    constructor({_db, metrics}) {
-        this._db = _db;
+    constructor({driver, metrics}) {
+        this.driver = driver;
         this.metrics = metrics;
 
-        // promisify functions
-        // for this to work properly we need to bind the databse to the function
-        this._get = promisify(_db.get.bind(_db));
-        this._all = promisify(_db.all.bind(_db));
-        // `run` has a weird format where it always calls the callback
-        // either passing an error as the parameter
-        // or with some information bound to the `this` of the function
-        this._run = (q, ps) => new Promise((resolve, reject) => 
-            _db.run(q, ps, function (err) {
-                if (err) reject(err);
-                else resolve(this);
-            })
-        );
-    }
-
-    async getRepoId({owner, name}) {
-        const getQuery = 'SELECT * FROM Repositories WHERE owner = (?) AND name = (?);';
+        // queries run on whichever backend, with the SQL both SQLite and PostgreSQL understand
+        this._get = (q, ps) => driver.get(q, ps);
+        this._all = (q, ps) => driver.all(q, ps);
+        this._run = (q, ps) => driver.run(q, ps);
+    }
+
+    /**
+     *  Closes the connection to the database.
+     */
+    close() {
+        return this.driver.close();
+    }
+
+    /**
+     *  Registers metric types in the MetricTypes table, if not yet present,
+     *  and reloads the metric types.
+     *
+     *  @param {Array<string>} names - The names of the metric types
+     */
+    async registerMetricTypes(names) {
+        const query = 'INSERT INTO MetricTypes (name) VALUES (?) ON CONFLICT DO NOTHING;';
+        for (const name of names) {
+            if (!this.metrics.byName[name]) {
+                await this._run(query, [name]);
+            }
+        }
+        this.metrics = await loadMetricTypes(this.driver);
+    }
+
+    /**
+     *  Gets the id of a repository, without inserting it if not present.
+     *  Looks it up by identity if given, otherwise by owner and name.
+     *
+     *  @param {object} repo - The repository
+     *  @param {string} [repo.identity] - The normalised remote of the repository
+     *  @param {string} [repo.owner] - The owner of the repository
+     *  @param {string} [repo.name] - The name of the repository
+     *
+     *  @return {Promise<number>} The id of the repository, or `null` if not present
+     */
+    async findRepoId({identity, owner, name}) {
+        const row = identity ?
+            await this._get('SELECT id FROM Repositories WHERE identity = (?);', [identity]) :
+            await this._get('SELECT id FROM Repositories WHERE owner = (?) AND name = (?);', [owner, name]);
+        return row ? row.id : null;
+    }
+
+    /**
+     *  Gets a repository.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *
+     *  @return {Promise<object>} The id, identity, owner and name of the repository, or `null` if not present
+     */
+    async getRepository(repo_id) {
+        const row = await this._get('SELECT id, identity, owner, name FROM Repositories WHERE id = (?);', [repo_id]);
+        return row || null;
+    }
+
+    /**
+     *  Gets the id of a repository, inserting it if not present.
+     *
+     *  @param {RemoteInfo} repo - The repository, see {@link utils.parseRemote}
+     *
+     *  @return {Promise<number>} The id of the repository
+     */
+    async getRepoId({identity, owner, name}) {
+        const getQuery = 'SELECT * FROM Repositories WHERE identity = (?);';
         // get repo row if present
-        const row = await this._get(getQuery, [owner, name]);
-
-        // insert repo if not present
-        if (!row) {
-            const insertQuery = 'INSERT INTO Repositories (owner, name) VALUES (?, ?);';
-            const stmt = await this._run(insertQuery, [owner, name]);
-            // return id of new row (a.k.a. the repo just inserted)
-            return stmt.lastID;
+        const row = await this._get(getQuery, [identity]);
+        if (row) {
+            return row.id;
         }
 
-        // id of present repo
-        return row.id;
+        // insert repo if not present, unless another writer just did
+        const insertQuery = `
+            INSERT INTO Repositories (identity, owner, name)
+            VALUES (?, ?, ?)
+            ON CONFLICT DO NOTHING;`;
+        await this._run(insertQuery, [identity, owner, name]);
+        return (await this._get(getQuery, [identity])).id;
     }
 
-    async getLastCommit(repo_id) {
+    /**
+     *  Gets the repositories and refs with analysis results.
+     *
+     *  @return {Promise<Array<object>>}
+     *      The id, identity, owner and name of each repository, with the ref,
+     *      number of analysed commits and dates of the first and latest ones,
+     *      most recent first
+     */
+    getAnalysedRepositories() {
         const query = `
-            SELECT commit_id, commit_date
+            SELECT
+                r.id,
+                r.identity,
+                r.owner,
+                r.name,
+                v.ref,
+                COUNT(DISTINCT v.commit_id) AS "commits",
+                MIN(v.commit_date) AS "first_commit_date",
+                MAX(v.commit_date) AS "last_commit_date"
+            FROM Repositories r
+                INNER JOIN MetricValues v
+                ON r.id = v.repo_id
+            GROUP BY r.id, v.ref
+            ORDER BY last_commit_date DESC;`;
+        return this._all(query, []);
+    }
+
+    /**
+     *  Gets the metric types, with their human readable names and descriptions.
+     *
+     *  @return {Promise<Array<object>>} The id, name, human_name and description of each type
+     */
+    getMetricTypes() {
+        const query = 'SELECT id, name, human_name, description FROM MetricTypes ORDER BY name;';
+        return this._all(query, []);
+    }
+
+    /**
+     *  Gets the analysed commits of a ref, optionally in a period of time.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     *  @param {object} [period] - The period
+     *  @param {Date} [period.from] - Only get the commits made on or after this date
+     *  @param {Date} [period.to] - Only get the commits made on or before this date
+     *
+     *  @return {Promise<Array<object>>} The commit_id and commit_date of each commit, oldest first
+     */
+    getAnalysedCommits(repo_id, ref, {from = null, to = null} = {}) {
+        const query = `
+            SELECT DISTINCT commit_id, commit_date
             FROM MetricValues
             WHERE
-                repo_id = (?)
-            ORDER BY commit_date DESC
-            LIMIT 1;`;
-        
-        // get last commit of repo in database
-        const row = await this._get(query, [repo_id]);
+                repo_id = (?) AND
+                ref = (?)
+                ${from ? 'AND commit_date >= (?)' : ''}
+                ${to ? 'AND commit_date <= (?)' : ''}
+            ORDER BY commit_date ASC;`;
+        const dates = [from, to].filter(date => date).map(date => date.getTime());
+        return this._all(query, [repo_id, ref, ...dates]);
+    }
 
-        if (row) {
-            // format commit info
-            return {
-                commit_id: row.commit_id,
-                commit_date: new Date(row.commit_date),
-            };
-        }
+    /**
+     *  Gets the analysis results of some commits of a ref, optionally only of
+     *  some metrics and file extensions.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     *  @param {Array<string>} commit_ids - The ids of the commits
+     *  @param {object} [filters] - The filters
+     *  @param {Array<string>} [filters.types] - Only get these metrics
+     *  @param {Array<string>} [filters.ext] - Only get these file extensions
+     *
+     *  @return {Promise<Array<Row>>} The rows, newest first
+     */
+    getCommitsValues(repo_id, ref, commit_ids, {types = null, ext = null} = {}) {
+        const placeholders = values => values.map(() => '?').join(', ');
+        const query = `
+            SELECT
+                v.repo_id,
+                v.ref,
+                v.commit_id,
+                v.commit_date,
+                v.file_extension,
+                t.name AS "metric_type",
+                v.metric_value
+            FROM MetricValues v
+                INNER JOIN MetricTypes t
+                ON v.metric_type_id = t.id
+            WHERE
+                v.repo_id = (?) AND
+                v.ref = (?) AND
+                v.commit_id IN (${placeholders(commit_ids)})
+                ${types ? `AND t.name IN (${placeholders(types)})` : ''}
+                ${ext ? `AND v.file_extension IN (${placeholders(ext)})` : ''}
+            ORDER BY v.commit_date DESC;`;
+        return this._all(query, [repo_id, ref, ...commit_ids, ...(types || []), ...(ext || [])]);
+    }
 
-        // return null if no commits from repo
-        return null;
+    /**
+     *  Gets the ids of the commits of a ref already analysed, i.e. with all
+     *  their results stored, see {@link Database#storeAnalyses}.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     *
+     *  @return {Promise<Set<string>>} The commit ids
+     */
+    async getCommitIds(repo_id, ref) {
+        const query = `
+            SELECT commit_id
+            FROM AnalysedCommits
+            WHERE
+                repo_id = (?) AND
+                ref = (?);`;
+        const rows = await this._all(query, [repo_id, ref]);
+        return new Set(rows.map(r => r.commit_id));
     }
 
-    getValuesUntil(repo_id, end_commit) {
-        // return promise to empty list if no date provided
-        if (!end_commit || !end_commit.commit_date)
-            return Promise.resolve([]);
+    /**
+     *  Gets the analysis results of a ref.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     *
+     *  @return {Promise<Array<Row>>} The rows, newest first
+     */
+    getValues(repo_id, ref) {
+        const query = `
+            SELECT
+                v.repo_id,
+                v.ref,
+                v.commit_id,
+                v.commit_date,
+                v.file_extension,
+                t.name AS "metric_type",
+                v.metric_value
+            FROM MetricValues v
+                INNER JOIN MetricTypes t
+                ON v.metric_type_id = t.id
+            WHERE
+                repo_id = (?) AND
+                ref = (?)
+            ORDER BY commit_date DESC;`;
 
-        const end_date = end_commit.commit_date;
+        return this._all(query, [repo_id, ref]);
+    }
 
+    /**
+     *  Gets the analysis results of a commit, on whichever refs it was analysed.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} commit_id - The id of the commit
+     *
+     *  @return {Promise<Array<Row>>} The rows
+     */
+    getCommitValues(repo_id, commit_id) {
         const query = `
             SELECT
                 v.repo_id,
+                v.ref,
                 v.commit_id,
                 v.commit_date,
                 v.file_extension,
-                t.name AS 'metric_type',
+                t.name AS "metric_type",
                 v.metric_value
             FROM MetricValues v
                 INNER JOIN MetricTypes t
                 ON v.metric_type_id = t.id
             WHERE
                 repo_id = (?) AND
-                commit_date <= (?)
-            ORDER BY commit_date DESC;`;
+                commit_id = (?);`;
+        return this._all(query, [repo_id, commit_id]);
+    }
+
+    /**
+     *  Gets the analysis results of the latest commit of a ref.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     *
+     *  @return {Promise<Array<Row>>} The rows
+     */
+    getLatestValues(repo_id, ref) {
+        const query = `
+            SELECT
+                v.repo_id,
+                v.ref,
+                v.commit_id,
+                v.commit_date,
+                v.file_extension,
+                t.name AS "metric_type",
+                v.metric_value
+            FROM MetricValues v
+                INNER JOIN MetricTypes t
+                ON v.metric_type_id = t.id
+            WHERE
+                v.repo_id = (?) AND
+                v.ref = (?) AND
+                v.commit_date = (
+                    SELECT MAX(commit_date)
+                    FROM MetricValues
+                    WHERE
+                        repo_id = v.repo_id AND
+                        ref = v.ref);`;
+        return this._all(query, [repo_id, ref]);
+    }
+
+    /**
+     *  Adds the ref of a repository to the benchmark, see {@link benchmark.rank}.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     */
+    addBenchmark(repo_id, ref) {
+        const query = 'INSERT INTO Benchmarks (repo_id, ref) VALUES (?, ?) ON CONFLICT DO NOTHING;';
+        return this._run(query, [repo_id, ref]);
+    }
 
-        // return values until end date
-        return this._all(query, [repo_id, end_date]);
+    /**
+     *  Gets the analysis results of the latest commit of every benchmark repository.
+     *
+     *  @param {number} [exclude] - The id of a repository to leave out, e.g. the one ranked
+     *
+     *  @return {Promise<Array<Row>>} The rows
+     */
+    getBenchmarkValues(exclude = null) {
+        const query = `
+            SELECT
+                v.repo_id,
+                v.ref,
+                v.commit_id,
+                v.commit_date,
+                v.file_extension,
+                t.name AS "metric_type",
+                v.metric_value
+            FROM MetricValues v
+                INNER JOIN MetricTypes t
+                ON v.metric_type_id = t.id
+                INNER JOIN Benchmarks b
+                ON v.repo_id = b.repo_id AND v.ref = b.ref
+            WHERE
+                v.repo_id <> COALESCE(?, -1) AND
+                v.commit_date = (
+                    SELECT MAX(commit_date)
+                    FROM MetricValues
+                    WHERE
+                        repo_id = v.repo_id AND
+                        ref = v.ref);`;
+        return this._all(query, [exclude]);
+    }
+
+    /**
+     *  Tags the commits picked by a sampling strategy, see {@link sampling.sampleName}.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     *  @param {string} name - The name of the sample
+     *  @param {Array<string>} commit_ids - The ids of the sampled commits
+     */
+    insertSample(repo_id, ref, name, commit_ids) {
+        const query = `
+            INSERT INTO Samples
+            (repo_id, ref, name, commit_id)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT DO NOTHING`;
+
+        return this.driver.insertMany(query,
+            commit_ids.map(commit_id => [repo_id, ref, name, commit_id]));
     }
     
-    insertValues(rowsToInsert) {
-        let stmt = this._db.prepare(`
-            INSERT OR IGNORE INTO MetricValues
-            (repo_id, commit_id, commit_date, file_extension, metric_type_id, metric_value)
-            VALUES (?, ?, ?, ?, ?, ?)`);
-
-        let type_id;
-
-        for (const row of rowsToInsert){
-            // only add defined metrics
-            if (type_id = this.metrics.byName[row.metric_type]) {
-                stmt.run([
-                    row.repo_id,
-                    row.commit_id,
-                    row.commit_date,
-                    row.file_extension,
-                    type_id,
-                    row.metric_value,
-                ]);
-            }
-        }
+    /**
+     *  Gets the changes of the commits picked by the quick analyses of a ref, summed
+     *  over the commits skipped before each of them, see {@link Database#insertSampleDeltas}.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     *
+     *  @return {Promise<Array<Row>>} The rows, with the oldest commit summed as `from_commit_id`
+     */
+    getSampleDeltas(repo_id, ref) {
+        const query = `
+            SELECT
+                d.repo_id,
+                d.ref,
+                d.commit_id,
+                d.from_commit_id,
+                d.commit_date,
+                d.file_extension,
+                t.name AS "metric_type",
+                d.metric_value
+            FROM SampleDeltas d
+                INNER JOIN MetricTypes t
+                ON d.metric_type_id = t.id
+            WHERE
+                d.repo_id = (?) AND
+                d.ref = (?);`;
+        return this._all(query, [repo_id, ref]);
+    }
 
-        // promisify the return
-        return new Promise((resolve, reject) => {
-            stmt.finalize(function (err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(this);
+    /**
+     *  Inserts the changes of commits picked by a quick analysis, summed over
+     *  the commits skipped before each of them, ignoring the ones already stored.
+     *
+     *  @param {Array<Row>} rowsToInsert
+     *      The rows, with the oldest commit summed as `from_commit_id`
+     */
+    insertSampleDeltas(rowsToInsert) {
+        const query = `
+            INSERT INTO SampleDeltas
+            (repo_id, ref, commit_id, from_commit_id, commit_date, file_extension, metric_type_id, metric_value)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT DO NOTHING`;
+
+        return this.driver.insertMany(query, rowsToInsert
+            .filter(row => this.metrics.byName[row.metric_type])
+            .map(row => [
+                row.repo_id,
+                row.ref,
+                row.commit_id,
+                row.from_commit_id,
+                row.commit_date,
+                row.file_extension,
+                this.metrics.byName[row.metric_type],
+                row.metric_value,
+            ]));
+    }
+
+    // the parameters of INSERT_VALUE for the rows of metrics with a type
+    _valueParams(rows) {
+        return rows.filter(row => this.metrics.byName[row.metric_type]).map(row => [
+            row.repo_id,
+            row.ref,
+            row.commit_id,
+            row.commit_date,
+            row.file_extension,
+            this.metrics.byName[row.metric_type],
+            row.metric_value,
+        ]);
+    }
+
+    /**
+     *  Stores the results of analysed commits in a single transaction, and marks
+     *  the commits analysed by a run, see {@link Database#getCommitIds}.
+     *  If it fails, none of the commits are stored.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     *  @param {number} run_id - The id of the run analysing them, see {@link Database#startRun}
+     *  @param {Array<CommitResults>} commits - The results of each commit
+     */
+    storeAnalyses(repo_id, ref, run_id, commits) {
+        const query = `
+            INSERT INTO AnalysedCommits
+            (repo_id, ref, commit_id, run_id)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT DO NOTHING`;
+
+        return this.driver.transaction(async tx => {
+            for (const {commit_id, rows, files = [], functions = []} of commits) {
+                for (const params of this._valueParams(rows)) {
+                    await tx.run(INSERT_VALUE, params);
+                }
+                for (const file of files) {
+                    await tx.run(INSERT_FILE, fileParams(file));
+                }
+                for (const fn of functions) {
+                    await tx.run(INSERT_FUNCTION, functionParams(fn));
                 }
-            });
+                await tx.run(query, [repo_id, ref, commit_id, run_id]);
+            }
         });
     }
+
+    /**
+     *  Gets the latest unfinished run analysing a ref with some options.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag analysed
+     *  @param {string} options - The options picking the commits, as JSON
+     *
+     *  @return {Promise<AnalysisRun>} The run, or `null` if there is none
+     */
+    async getUnfinishedRun(repo_id, ref, options) {
+        const query = `
+            SELECT id, commit_ids, started_at
+            FROM AnalysisRuns
+            WHERE
+                repo_id = (?) AND
+                ref = (?) AND
+                options = (?) AND
+                finished_at IS NULL
+            ORDER BY started_at DESC, id DESC
+            LIMIT 1;`;
+        const row = await this._get(query, [repo_id, ref, options]);
+        return row ? rowToRun(row) : null;
+    }
+
+    /**
+     *  Records the start of a run analysing some commits of a ref.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag analysed
+     *  @param {string} options - The options picking the commits, as JSON
+     *  @param {Array<string>} commit_ids - The ids of the picked commits, oldest first
+     *
+     *  @return {Promise<AnalysisRun>} The run
+     */
+    async startRun(repo_id, ref, options, commit_ids) {
+        const query = `
+            INSERT INTO AnalysisRuns
+            (repo_id, ref, options, commit_ids, started_at)
+            VALUES (?, ?, ?, ?, ?);`;
+        const started_at = Date.now();
+
+        const params = [repo_id, ref, options, JSON.stringify(commit_ids), started_at];
+        const id = await this.driver.insert(query, params);
+        return {id, commit_ids, started_at: new Date(started_at)};
+    }
+
+    /**
+     *  Records the end of a run, once all its commits are stored.
+     *
+     *  @param {number} run_id - The id of the run
+     */
+    finishRun(run_id) {
+        const query = 'UPDATE AnalysisRuns SET finished_at = (?) WHERE id = (?);';
+        return this._run(query, [Date.now(), run_id]);
+    }
+
+    /**
+     *  Gets the date the last synced issue or pull request was updated at.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} table - The table, 'Issues' or 'PullRequests'
+     *
+     *  @return {Promise<Date>} The date, or `null` if none were synced
+     */
+    async getLastUpdate(repo_id, table) {
+        const query = `SELECT MAX(updated_at) AS updated_at FROM ${table} WHERE repo_id = (?);`;
+        const row = await this._get(query, [repo_id]);
+        return row && row.updated_at !== null ? new Date(row.updated_at) : null;
+    }
+
+    /**
+     *  Inserts (or updates) the issues of a repository.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {Array<IssueInfo2>} issues - The issues
+     */
+    insertIssues(repo_id, issues) {
+        const query = `
+            INSERT INTO Issues
+            (repo_id, number, state, created_at, closed_at, updated_at, labels, author)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (repo_id, number) DO UPDATE SET
+                state = excluded.state,
+                created_at = excluded.created_at,
+                closed_at = excluded.closed_at,
+                updated_at = excluded.updated_at,
+                labels = excluded.labels,
+                author = excluded.author`;
+
+        return this.driver.insertMany(query, issues.map(issue => [
+            repo_id,
+            issue.number,
+            issue.state,
+            issue.createdAt.getTime(),
+            issue.closedAt ? issue.closedAt.getTime() : null,
+            issue.updatedAt.getTime(),
+            JSON.stringify(issue.labels),
+            issue.author,
+        ]));
+    }
+
+    /**
+     *  Inserts (or updates) the pull requests of a repository.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {Array<IssueInfo2>} pulls - The pull requests
+     */
+    insertPullRequests(repo_id, pulls) {
+        const query = `
+            INSERT INTO PullRequests
+            (repo_id, number, state, created_at, closed_at, merged_at, updated_at, labels, author)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (repo_id, number) DO UPDATE SET
+                state = excluded.state,
+                created_at = excluded.created_at,
+                closed_at = excluded.closed_at,
+                merged_at = excluded.merged_at,
+                updated_at = excluded.updated_at,
+                labels = excluded.labels,
+                author = excluded.author`;
+
+        return this.driver.insertMany(query, pulls.map(pull => [
+            repo_id,
+            pull.number,
+            pull.state,
+            pull.createdAt.getTime(),
+            pull.closedAt ? pull.closedAt.getTime() : null,
+            pull.mergedAt ? pull.mergedAt.getTime() : null,
+            pull.updatedAt.getTime(),
+            JSON.stringify(pull.labels),
+            pull.author,
+        ]));
+    }
+
+    /**
+     *  Gets the synced issues of a repository.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *
+     *  @return {Promise<Array<IssueInfo2>>} The issues, oldest first
+     */
+    getIssues(repo_id) {
+        const query = 'SELECT * FROM Issues WHERE repo_id = (?) ORDER BY created_at;';
+        return this._all(query, [repo_id]).then(rows => rows.map(rowToIssue));
+    }
+
+    /**
+     *  Gets the synced pull requests of a repository.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *
+     *  @return {Promise<Array<IssueInfo2>>} The pull requests, oldest first
+     */
+    getPullRequests(repo_id) {
+        const query = 'SELECT * FROM PullRequests WHERE repo_id = (?) ORDER BY created_at;';
+        return this._all(query, [repo_id]).then(rows => rows.map(rowToIssue));
+    }
+
+    /**
+     *  Gets the last commit of a ref with file reports.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commits were analysed on
+     *
+     *  @return {Promise<object>}
+     *      The commit_id and commit_date of the commit, or `null` if there are none
+     */
+    async getLastFileCommit(repo_id, ref) {
+        const query = `
+            SELECT commit_id, commit_date
+            FROM FileMetrics
+            WHERE
+                repo_id = (?) AND
+                ref = (?)
+            ORDER BY commit_date DESC
+            LIMIT 1;`;
+        const row = await this._get(query, [repo_id, ref]);
+        return row ? {commit_id: row.commit_id, commit_date: new Date(row.commit_date)} : null;
+    }
+
+    /**
+     *  Gets the file reports of a commit.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commit was analysed on
+     *  @param {string} commit_id - The id of the commit
+     *
+     *  @return {Promise<Array<FileReport>>} The file reports, most complex first
+     */
+    getFileValues(repo_id, ref, commit_id) {
+        const query = `
+            SELECT
+                file_path AS "path",
+                sloc,
+                cyclomatic,
+                maintainability,
+                halstead_effort AS "halsteadEffort",
+                halstead_volume AS "halsteadVolume",
+                halstead_difficulty AS "halsteadDifficulty",
+                halstead_bugs AS "halsteadBugs"
+            FROM FileMetrics
+            WHERE
+                repo_id = (?) AND
+                ref = (?) AND
+                commit_id = (?)
+            ORDER BY cyclomatic DESC;`;
+        return this._all(query, [repo_id, ref, commit_id]);
+    }
+
+    /**
+     *  Gets the function reports of a commit.
+     *
+     *  @param {number} repo_id - The id of the repository
+     *  @param {string} ref - The branch or tag the commit was analysed on
+     *  @param {string} commit_id - The id of the commit
+     *
+     *  @return {Promise<Array<FunctionReport>>} The function reports, most complex first
+     */
+    getFunctionValues(repo_id, ref, commit_id) {
+        const query = `
+            SELECT
+                file_path AS "path",
+                name,
+                line,
+                sloc,
+                cyclomatic,
+                halstead_effort AS "halsteadEffort"
+            FROM FunctionMetrics
+            WHERE
+                repo_id = (?) AND
+                ref = (?) AND
+                commit_id = (?)
+            ORDER BY cyclomatic DESC;`;
+        return this._all(query, [repo_id, ref, commit_id]);
+    }
 }
 
 module.exports = {
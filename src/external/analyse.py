@@ -1,54 +1,16 @@
 import sys
 import json
-from radon.complexity import cc_rank, SCORE
-from radon.cli.harvest import CCHarvester
-from radon.cli.harvest import RawHarvester
-from radon.cli.harvest import MIHarvester
-from radon.cli.harvest import HCHarvester
-from radon.cli import Config
-from radon.cli.tools import (iter_filenames, _open, cc_to_dict, dict_to_xml,
-                             dict_to_codeclimate_issues, cc_to_terminal,
-                             raw_to_dict)
-from collections import defaultdict
-from itertools import chain
-
-def analyse(paths):
-
-    #Setup the Configuration for each Harvester 
-    config = Config(
-        exclude=[],
-        ignore=[],
-        order=SCORE,
-        no_assert= False,
-        show_closures=False,
-        min='A',
-        max='F',
-    )
-
-    config2 = Config(
-        exclude=[],
-        ignore=[],
-        by_function= False
-    )
-
-    config3 = Config(
-        min= 'A',
-        max= 'C',
-        exclude=[],
-        ignore=[],
-        multi=True,
-        show=True,
-    )
-
-    config4 = Config(
-        exclude=[],
-        ignore=[],
-        summary=False,
-        json=True,
-    )
-    
+from radon.complexity import cc_visit
+from radon.metrics import h_visit, mi_visit
+from radon.raw import analyze
 
 
+def analyse(sources):
+    """
+    Analyses a list of sources, each a dict with the keys 'path' and 'code'.
+    Files that fail to parse are counted but left out of the averages.
+    """
+
     """
     ----------------------
     Cyclomatic Complexity 
@@ -58,21 +20,17 @@ def analyse(paths):
     This number can be used as a guide when testing conditional logic in blocks.Radon analyzes the AST tree 
     of a Python program to compute Cyclomatic Complexity. Statements have the following effects on Cyclomatic Complexity:
     """
-    
-    h = CCHarvester(paths, config)
-    ccResults = h._to_dicts()
-    # print(ccResults)
     numOfFunctions = 0
     complexity = 0
 
-    # for result in ccResults.values():
-    #     numOfFunctions += 1
-    #     complexity += result['complexity'] if isinstance(result, dict) else 0
-
-    for path in paths:
-        for i in ccResults.get(path, []):
+    for source in sources:
+        try:
+            blocks = cc_visit(source["code"])
+        except Exception:
+            continue
+        for block in blocks:
             numOfFunctions += 1
-            complexity += i["complexity"] if isinstance(i, dict) else 0
+            complexity += block.complexity
 
     cc = complexity/numOfFunctions if numOfFunctions != 0 else 0
 
@@ -83,9 +41,6 @@ def analyse(paths):
     Halstead’s goal was to identify measurable properties of software, and the relations between them. 
     These numbers are statically computed from the source code: Effort, Bugs, Length, Difficulty, Time, Vocabulary , Volume
     """
-    i = HCHarvester(paths, config2)
-    hcResults = i._to_dicts()
-  
     halsteadEffort = 0
     halsteadBugs = 0
     halsteadLength = 0 
@@ -95,15 +50,18 @@ def analyse(paths):
     halsteadVolume = 0
     numberOfFiles = 0
 
-    for result in hcResults.values():
-        if 'total' in result:
-            halsteadEffort += result["total"][9]
-            halsteadBugs  += result["total"][11]
-            halsteadLength  += result["total"][5]
-            halsteadDifficulty += result["total"][8]
-            halsteadTime += result["total"][10]
-            halsteadVocabulary += result["total"][4]
-            halsteadVolume += result["total"][7]
+    for source in sources:
+        try:
+            total = h_visit(source["code"]).total
+            halsteadEffort += total.effort
+            halsteadBugs += total.bugs
+            halsteadLength += total.length
+            halsteadDifficulty += total.difficulty
+            halsteadTime += total.time
+            halsteadVocabulary += total.vocabulary
+            halsteadVolume += total.volume
+        except Exception:
+            pass
         numberOfFiles += 1
 
     avgHalsteadEffort = halsteadEffort/numberOfFiles
@@ -124,14 +82,13 @@ def analyse(paths):
     Cyclomatic Complexity and Halstead volume. It is used in several automated software metric tools, including the Microsoft 
     Visual Studio 2010 development environment, which uses a shifted scale (0 to 100) derivative.
     """
-    j = MIHarvester(paths, config3)
-    miResults = dict(j.filtered_results)
-
     miVal = 0 
     numOfFiles = 0
-    for result in miResults.values():
-        if 'mi' in result:
-            miVal += result["mi"] 
+    for source in sources:
+        try:
+            miVal += mi_visit(source["code"], True)
+        except Exception:
+            pass
         numOfFiles += 1
 
     mi = miVal/numOfFiles
@@ -150,23 +107,21 @@ def analyse(paths):
      - Multi: The number of lines which represent multi-line strings.  [multi] 
      - Blanks: The number of blank lines (or whitespace-only ones).  [blank]
     """
-    k = RawHarvester(paths, config4)
-    rawResults = (dict(k.results))
-
     comments = 0
     lloc = 0
     loc = 0
-    for result in rawResults.values():
-        if 'comments' in result:
-            comments += result['comments']
-        if 'lloc' in result:
-            lloc += result['lloc']
-        if 'loc' in result:
-            loc += result['loc']
+    for source in sources:
+        try:
+            raw = analyze(source["code"])
+        except Exception:
+            continue
+        comments += raw.comments
+        lloc += raw.lloc
+        loc += raw.loc
 
 
     data = {
-        "numberOfFiles" : len(paths),
+        "numberOfFiles" : len(sources),
         "numberOfLines" : loc,
         "numberOfLogicalLines" : lloc, 
         "numberOfComments" : comments, 
@@ -184,16 +139,8 @@ def analyse(paths):
     return data
 
 if __name__ == '__main__':
-    # First system argument should be script name
-    paths = sys.argv[1:]
-    results = analyse(paths)
+    # The sources are read as a JSON list of {"path", "code"} from stdin,
+    # so they don't need to be checked out on disk
+    sources = json.load(sys.stdin)
+    results = analyse(sources)
     print(json.dumps(results))
-
-
-
-
-
-
-
-
-
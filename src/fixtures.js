@@ -0,0 +1,63 @@
+'use strict';
+
+// node and npm modules
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ *  @class Fixtures are recorded API responses, one JSON file per query and
+ *  variables in a directory, with the query kept alongside its response so
+ *  recordings can be read (and edited) by hand. Used to record the queries of
+ *  a {@link Client} and to replay them back without network access.
+ */
+class Fixtures {
+    /**
+     *  Constructs a {@link Fixtures} object, the directory is created on first record.
+     *  @param {string} dir - The directory of the fixtures
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    // the file the response to a query is recorded in
+    file(query, variables) {
+        const hash = crypto.createHash('sha1')
+            .update(JSON.stringify([query, variables]))
+            .digest('hex');
+        return path.join(this.dir, hash + '.json');
+    }
+
+    /**
+     *  Records the response to a query.
+     *  @param {string} query - The query
+     *  @param {object} variables - The variables of the query
+     *  @param {*} response - The response body
+     */
+    record(query, variables, response) {
+        fs.mkdirSync(this.dir, {recursive: true});
+        const fixture = {query, variables, response};
+        fs.writeFileSync(this.file(query, variables), JSON.stringify(fixture, null, 4));
+    }
+
+    /**
+     *  Replays the recorded response to a query.
+     *  @param {string} query - The query
+     *  @param {object} variables - The variables of the query
+     *
+     *  @return {*} The response body, throws if the query was not recorded
+     */
+    replay(query, variables) {
+        const file = this.file(query, variables);
+        if (!fs.existsSync(file)) {
+            throw Error(`No recorded response in ${this.dir} for query ` +
+                `${JSON.stringify(query.replace(/\s+/g, ' ').trim())} ` +
+                `with variables ${JSON.stringify(variables)}`);
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+    }
+}
+
+module.exports = {
+    Fixtures,
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+// node and npm modules
+const http = require('http');
+const https = require('https');
+
+// user defined modules
+const utils = require('./utils.js');
+
+/**
+ *  The information for an issue or pull (merge) request, whatever the forge
+ *  @typedef {object} IssueInfo2
+ *  @property {number} number - The number of the issue or pull request in the project
+ *  @property {string} state
+ *      The state, normalised to GitHub's: OPEN, CLOSED or (pull requests only) MERGED
+ *  @property {Date} createdAt - The date it was created at
+ *  @property {Date} closedAt - The date it was closed (or merged) at, `null` if open
+ *  @property {Date} mergedAt - The date a pull request was merged at, otherwise `null`
+ *  @property {Date} updatedAt - The date it was last updated at
+ *  @property {Array<string>} labels - The names of its labels
+ *  @property {string} author - The login of its author, `null` if unknown (e.g. deleted)
+ */
+
+// sorts issues or pull requests oldest first, in place
+const byCreatedAt = issues => issues.sort((a, b) => a.createdAt - b.createdAt);
+
+/**
+ *  Tallies the issues and pull requests at each commit.
+ *  @param {Array<IssueInfo2>} issues - The issues, oldest first
+ *  @param {Array<IssueInfo2>} pulls - The pull requests, oldest first
+ *  @param {Array<CommitInfo>} commits - The commits, oldest first
+ *
+ *  @return {Object<CommitId, object>}
+ *      The counts at each commit, see {@link utils.alignIssuesToCommits}
+ *      and {@link utils.alignPullsToCommits}
+ */
+function metaAnalysis(issues, pulls, commits) {
+    const issuesByCommit = utils.alignIssuesToCommits(issues, commits);
+    const pullsByCommit = utils.alignPullsToCommits(pulls, commits);
+
+    let results = {};
+    for (const {commit_id} of commits) {
+        results[commit_id] = {...issuesByCommit[commit_id], ...pullsByCommit[commit_id]};
+    }
+    return results;
+}
+
+/**
+ *  Makes a GET request to a JSON API.
+ *  @param {string} url - The URL to get
+ *  @param {object} [headers={}] - The request headers
+ *
+ *  @return {Promise<{body: *, headers: object}>}
+ *      The parsed body and the (lower case) response headers,
+ *      rejects on network errors and error statuses
+ */
+function getJSON(url, headers = {}) {
+    const transport = url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = transport.get(url, {headers: {Accept: 'application/json', ...headers}}, res => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode >= 400) {
+                    reject(Error(`GET ${url} failed with status ${res.statusCode}: ${data}`));
+                    return;
+                }
+                try {
+                    resolve({body: JSON.parse(data), headers: res.headers});
+                } catch (err) {
+                    reject(err);
+                }
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ *  @class A Forge is the service hosting a repository (e.g. GitHub or GitLab),
+ *  and a client to get the metadata of the repository from it: issues,
+ *  pull (merge) requests, forks, stars and commit counts.
+ *  <br>Implementations override the methods throwing 'Not implemented', the
+ *  meta analysis and the summary are built on top of them.
+ */
+class Forge {
+    /**
+     *  Constructs a {@link Forge} object.
+     *  @param {object} options - The forge options
+     *  @param {string} options.owner - The owner of the repository
+     *  @param {string} options.name - The name of the repository
+     */
+    constructor({owner, name}) {
+        this.owner = owner;
+        this.name = name;
+    }
+
+    /**
+     *  Get the issues in the project updated since a date, in any order.
+     *  Used to sync them incrementally.
+     *  @param {Date} [since=null] - The date, `null` to get all the issues
+     *
+     *  @return {Promise<Array<IssueInfo2>>}
+     */
+    async getIssuesUpdatedSince(since = null) {
+        throw Error('Not implemented');
+    }
+
+    /**
+     *  Get the pull (merge) requests in the project updated since a date, in any order.
+     *  Used to sync them incrementally.
+     *  @param {Date} [since=null] - The date, `null` to get all the pull requests
+     *
+     *  @return {Promise<Array<IssueInfo2>>}
+     */
+    async getPullRequestsUpdatedSince(since = null) {
+        throw Error('Not implemented');
+    }
+
+    /**
+     *  Get all the issues in the project, oldest first
+     *
+     *  @return {Promise<Array<IssueInfo2>>}
+     */
+    async getAllIssues() {
+        return byCreatedAt(await this.getIssuesUpdatedSince(null));
+    }
+
+    /**
+     *  Get all the pull (merge) requests in the project, oldest first
+     *
+     *  @return {Promise<Array<IssueInfo2>>}
+     */
+    async getPullRequests() {
+        return byCreatedAt(await this.getPullRequestsUpdatedSince(null));
+    }
+
+    /**
+     *  Get number of forks of the project
+     *
+     *  @return {Promise<number>} The number of forks
+     */
+    async getNumberOfForks() {
+        throw Error('Not implemented');
+    }
+
+    /**
+     *  Get number of stargazers of the project
+     *
+     *  @return {Promise<number>} The number of stargazers
+     */
+    async getNumberOfStargazers() {
+        throw Error('Not implemented');
+    }
+
+    /**
+     *  Get total number of commits in a branch
+     *  @param {string} branch - The name of the branch (or tag)
+     *
+     *  @return {Promise<number>} The number of commits, `null` if unknown
+     */
+    async getNumberOfCommitsInBranch(branch) {
+        throw Error('Not implemented');
+    }
+
+    /**
+     *  Gets the issue and pull request counts at each commit.
+     *  @param {Array<CommitInfo>} [commits=[]] - The commits, oldest first
+     *
+     *  @return {Promise<Object<CommitId, object>>}
+     *      The counts at each commit, see {@link utils.alignIssuesToCommits}
+     *      and {@link utils.alignPullsToCommits}
+     */
+    async getMetaAnalysis(commits = []) {
+        const issues = await this.getAllIssues();
+        const pulls = await this.getPullRequests();
+        return metaAnalysis(issues, pulls, commits);
+    }
+
+    /**
+     *  Gets the current metadata of the project, shown as a bar chart.
+     *  @param {string} branch - The analysed branch
+     *  @param {object} [stored] - The issues and pull requests, if already stored
+     *  @param {Array<IssueInfo2>} [stored.issues] - The issues, fetched if not given
+     *  @param {Array<IssueInfo2>} [stored.pulls] - The pull requests, fetched if not given
+     *
+     *  @return {Promise<object>} The metadata, by name
+     */
+    async getSummary(branch, {issues, pulls} = {}) {
+        issues = issues || await this.getAllIssues();
+        pulls = pulls || await this.getPullRequests();
+        const forks = await this.getNumberOfForks();
+        const stargazers = await this.getNumberOfStargazers();
+        const commitsInBranch = await this.getNumberOfCommitsInBranch(branch);
+
+        return {
+            totalIssues: issues.length,
+            openIssues: issues.filter(i => i.state === 'OPEN').length,
+            closedIssues: issues.filter(i => i.state === 'CLOSED').length,
+            numberOfForks: forks,
+            totalPullRequests: pulls.length,
+            openPullRequests: pulls.filter(p => p.state === 'OPEN').length,
+            closedPullRequests: pulls.filter(p => p.state === 'CLOSED').length,
+            mergedPullRequests: pulls.filter(p => p.state === 'MERGED').length,
+            numberOfStargazers: stargazers,
+            commitsInBranch: commitsInBranch,
+        };
+    }
+}
+
+module.exports = {
+    Forge,
+    getJSON,
+    metaAnalysis,
+};
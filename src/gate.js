@@ -0,0 +1,181 @@
+'use strict';
+
+// node and npm modules
+const fs = require('fs');
+
+// user defined modules
+const utils = require('./utils.js');
+
+/**
+ *  A limit on a metric of the latest commit, at least one of `min`, `max`,
+ *  `maxIncrease` or `maxDecrease` is given.
+ *  @typedef {object} Threshold
+ *  @property {string} metric - The name of the metric, e.g. 'maintainabilityIndex'
+ *  @property {string} [extension]
+ *      The file extension, e.g. '.js', every extension with the metric if not given
+ *  @property {number} [min] - The lowest value allowed
+ *  @property {number} [max] - The highest value allowed
+ *  @property {number} [maxIncrease] - The most the value can grow against the baseline, in percent
+ *  @property {number} [maxDecrease] - The most the value can drop against the baseline, in percent
+ */
+
+/**
+ *  The outcome of checking a limit of a threshold on an extension
+ *  @typedef {object} CheckResult
+ *  @property {string} name - The limit checked, e.g. '.js maintainabilityIndex >= 65'
+ *  @property {string} status - One of 'passed', 'failed' or 'skipped'
+ *  @property {string} message - The value found, or why the limit was skipped
+ */
+
+// the limits of a threshold, and whether they need a baseline
+const LIMITS = {
+    min: {relative: false, describe: limit => `>= ${limit}`},
+    max: {relative: false, describe: limit => `<= ${limit}`},
+    maxIncrease: {relative: true, describe: limit => `grows at most ${limit}%`},
+    maxDecrease: {relative: true, describe: limit => `drops at most ${limit}%`},
+};
+
+/**
+ *  Loads the thresholds of a quality gate from a JSON file, e.g.
+ *  <br>`{"thresholds": [{"extension": ".js", "metric": "maintainabilityIndex", "min": 65}]}`
+ *  @param {string} filename - The thresholds file
+ *
+ *  @return {Array<Threshold>} The thresholds, throws if any is invalid
+ */
+function loadThresholds(filename) {
+    const {thresholds} = JSON.parse(fs.readFileSync(filename, 'utf8'));
+    if (!Array.isArray(thresholds)) {
+        throw Error(`No list of thresholds in ${filename}`);
+    }
+    for (const threshold of thresholds) {
+        const limits = Object.keys(LIMITS).filter(limit => limit in threshold);
+        if (typeof threshold.metric !== 'string' || limits.length === 0 ||
+                limits.some(limit => typeof threshold[limit] !== 'number')) {
+            throw Error(`Not a valid threshold ${JSON.stringify(threshold)} in ${filename}, ` +
+                `it needs a metric and a number for any of ${Object.keys(LIMITS).join(', ')}`);
+        }
+    }
+    return thresholds;
+}
+
+/**
+ *  Checks the latest commit of an analysis against the thresholds of a quality gate.
+ *  Limits on extensions or metrics that were not measured are skipped, and so are
+ *  relative limits without a baseline.
+ *  @param {Array<Threshold>} thresholds - The thresholds
+ *  @param {Array<Point>} points - The analysis results
+ *  @param {Array<Point>} [baseline] - The analysis results to compare against, e.g. of a baseline commit
+ *
+ *  @return {Array<CheckResult>} The results, one for each limit and extension
+ */
+function check(thresholds, points, baseline = null) {
+    const current = utils.latestPoints(points);
+    const previous = baseline ? utils.latestPoints(baseline) : null;
+
+    let results = [];
+    for (const threshold of thresholds) {
+        const {metric} = threshold;
+        const extensions = threshold.extension ? [threshold.extension] :
+            Object.keys(current).filter(ext => current[ext][metric] !== undefined).sort();
+
+        for (const ext of extensions) {
+            const value = (current[ext] || {})[metric];
+            for (const [limit, {relative, describe}] of Object.entries(LIMITS)) {
+                if (!(limit in threshold)) {
+                    continue;
+                }
+                const bound = threshold[limit];
+                const name = `${ext} ${metric} ${describe(bound)}`;
+                if (value === undefined) {
+                    results.push({name, status: 'skipped', message: `${metric} was not measured for ${ext}`});
+                    continue;
+                }
+                if (!relative) {
+                    const passed = limit === 'min' ? value >= bound : value <= bound;
+                    results.push({name, status: passed ? 'passed' : 'failed', message: `${metric} is ${value}`});
+                    continue;
+                }
+
+                const base = previous && (previous[ext] || {})[metric];
+                if (base === undefined || base === null) {
+                    results.push({name, status: 'skipped', message: `No baseline ${metric} for ${ext}`});
+                    continue;
+                }
+                // growing from nothing is an unlimited increase
+                const change = base === 0 ?
+                    (value === 0 ? 0 : Math.sign(value) * Infinity) :
+                    100 * (value - base) / Math.abs(base);
+                const passed = limit === 'maxIncrease' ? change <= bound : -change <= bound;
+                results.push({
+                    name,
+                    status: passed ? 'passed' : 'failed',
+                    message: `${metric} went from ${base} to ${value} (${change >= 0 ? '+' : ''}${Math.round(change * 100) / 100}%)`,
+                });
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ *  Formats the results of a quality gate as a human readable report.
+ *  @param {Array<CheckResult>} results - The results
+ *
+ *  @return {string} The report, a line per result and a summary
+ */
+function formatReport(results) {
+    const tags = {passed: 'PASS', failed: 'FAIL', skipped: 'SKIP'};
+    const count = status => results.filter(r => r.status === status).length;
+    return [
+        ...results.map(r => `${tags[r.status]}  ${r.name}: ${r.message}`),
+        `${count('passed')} passed, ${count('failed')} failed, ${count('skipped')} skipped`,
+    ].join('\n');
+}
+
+// escapes text for XML attributes and contents
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ *  Formats the results of a quality gate as a JUnit XML report, understood by
+ *  most CI servers, with a test case per result.
+ *  @param {Array<CheckResult>} results - The results
+ *  @param {string} [name='HubListener'] - The name of the test suite
+ *
+ *  @return {string} The XML report
+ */
+function junitXml(results, name = 'HubListener') {
+    const count = status => results.filter(r => r.status === status).length;
+    const cases = results.map(r => {
+        const attributes = `name="${escapeXml(r.name)}" classname="${escapeXml(name)}"`;
+        if (r.status === 'passed') {
+            return `        <testcase ${attributes}/>`;
+        }
+        const element = r.status === 'failed' ?
+            `<failure message="${escapeXml(r.message)}"/>` :
+            `<skipped message="${escapeXml(r.message)}"/>`;
+        return `        <testcase ${attributes}>\n            ${element}\n        </testcase>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites tests="${results.length}" failures="${count('failed')}">`,
+        `    <testsuite name="${escapeXml(name)}" tests="${results.length}" ` +
+            `failures="${count('failed')}" skipped="${count('skipped')}">`,
+        ...cases,
+        '    </testsuite>',
+        '</testsuites>',
+        '',
+    ].join('\n');
+}
+
+module.exports = {
+    loadThresholds,
+    check,
+    formatReport,
+    junitXml,
+};
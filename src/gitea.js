@@ -0,0 +1,96 @@
+'use strict';
+
+// user defined modules
+const { Forge, getJSON } = require('./forge.js');
+
+/**
+ *  @class The Gitea {@link Forge}, using the
+ *  [Gitea REST API]{@link https://docs.gitea.io/en-us/api-usage/} of gitea.com,
+ *  Codeberg or a self-hosted instance.
+ */
+class GiteaClient extends Forge {
+    /**
+     *  Constructs a {@link GiteaClient} object.
+     *  @param {object} options - The client options
+     *  @param {string} options.owner - The owner of the repository
+     *  @param {string} options.name - The name of the repository
+     *  @param {string} options.host - The host of the repository, e.g. 'codeberg.org'
+     *  @param {string} [options.url=`https://${host}/api/v1`] - The API endpoint
+     *  @param {string} [options.auth_token]
+     *      An access token, read from the `GITEA_TOKEN` environment
+     *      variable if not given. Only needed for private repositories.
+     */
+    constructor({owner, name, host, url, auth_token}) {
+        super({owner, name});
+        this.url = (url || `https://${host}/api/v1`).replace(/\/$/, '');
+        this.token = auth_token || process.env.GITEA_TOKEN || null;
+        this.repo = `${this.url}/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
+    }
+
+    // gets a single resource of the API
+    get(url) {
+        const headers = this.token ? {Authorization: `token ${this.token}`} : {};
+        return getJSON(url, headers);
+    }
+
+    // gets every page of a list, until a page isn't full
+    // or has an item after which nothing else is needed
+    async getAll(url, {pageSize = 50, isLast = () => false} = {}) {
+        let results = [];
+        for (let page = 1; ; page++) {
+            const separator = url.includes('?') ? '&' : '?';
+            const {body} = await this.get(`${url}${separator}limit=${pageSize}&page=${page}`);
+            results.push(...body);
+            if (body.length < pageSize || body.some(isLast)) {
+                return results;
+            }
+        }
+    }
+
+    // converts an issue or pull request into an IssueInfo2
+    static toIssueInfo(i) {
+        const closedAt = i.merged_at || i.closed_at;
+        return {
+            number: i.number,
+            state: i.merged ? 'MERGED' : (i.state === 'open' ? 'OPEN' : 'CLOSED'),
+            createdAt: new Date(i.created_at),
+            closedAt: closedAt ? new Date(closedAt) : null,
+            mergedAt: i.merged_at ? new Date(i.merged_at) : null,
+            updatedAt: new Date(i.updated_at),
+            labels: (i.labels || []).map(l => l.name),
+            author: i.user ? i.user.login : null,
+        };
+    }
+
+    async getIssuesUpdatedSince(since = null) {
+        const updatedSince = since ? `&since=${encodeURIComponent(since.toISOString())}` : '';
+        return this.getAll(`${this.repo}/issues?state=all&type=issues${updatedSince}`)
+            .then(issues => issues.map(GiteaClient.toIssueInfo));
+    }
+
+    async getPullRequestsUpdatedSince(since = null) {
+        // pull requests can't be filtered by date, page through the most recently
+        // updated ones until reaching the ones not updated since
+        const isOld = p => since && new Date(p.updated_at) < since;
+        return this.getAll(`${this.repo}/pulls?state=all&sort=recentupdate`, {isLast: isOld})
+            .then(pulls => pulls.filter(p => !isOld(p)).map(GiteaClient.toIssueInfo));
+    }
+
+    async getNumberOfForks() {
+        return this.get(this.repo).then(({body}) => body.forks_count);
+    }
+
+    async getNumberOfStargazers() {
+        return this.get(this.repo).then(({body}) => body.stars_count);
+    }
+
+    async getNumberOfCommitsInBranch(branch) {
+        const {headers} = await this.get(
+            `${this.repo}/commits?sha=${encodeURIComponent(branch)}&limit=1`);
+        return headers['x-total-count'] ? Number(headers['x-total-count']) : null;
+    }
+}
+
+module.exports = {
+    GiteaClient,
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+// user defined modules
+const { Forge, getJSON } = require('./forge.js');
+
+// GitLab states, normalised to GitHub's
+const STATES = {
+    opened: 'OPEN',
+    closed: 'CLOSED',
+    locked: 'CLOSED',
+    merged: 'MERGED',
+};
+
+/**
+ *  @class The GitLab {@link Forge}, using the
+ *  [GitLab REST API]{@link https://docs.gitlab.com/ee/api/rest/} of gitlab.com
+ *  or a self-hosted instance.
+ */
+class GitLabClient extends Forge {
+    /**
+     *  Constructs a {@link GitLabClient} object.
+     *  @param {object} options - The client options
+     *  @param {string} options.owner - The owner (group and subgroups) of the repository
+     *  @param {string} options.name - The name of the repository
+     *  @param {string} options.host - The host of the repository, e.g. 'gitlab.com'
+     *  @param {string} [options.url=`https://${host}/api/v4`] - The API endpoint
+     *  @param {string} [options.auth_token]
+     *      A personal access token, read from the `GITLAB_TOKEN` environment
+     *      variable if not given. Only needed for private projects.
+     */
+    constructor({owner, name, host, url, auth_token}) {
+        super({owner, name});
+        this.url = (url || `https://${host}/api/v4`).replace(/\/$/, '');
+        this.token = auth_token || process.env.GITLAB_TOKEN || null;
+        // projects can be referred to by their URL encoded path
+        this.project = `${this.url}/projects/${encodeURIComponent(`${owner}/${name}`)}`;
+    }
+
+    // gets a single resource of the API
+    get(url) {
+        const headers = this.token ? {'PRIVATE-TOKEN': this.token} : {};
+        return getJSON(url, headers);
+    }
+
+    // gets every page of a list, following the page headers
+    async getAll(url, pageSize = 100) {
+        let results = [];
+        for (let page = 1; page; ) {
+            const separator = url.includes('?') ? '&' : '?';
+            const {body, headers} = await this.get(`${url}${separator}per_page=${pageSize}&page=${page}`);
+            results.push(...body);
+            // the next page header is empty on the last page,
+            // without it a full page means there may be more
+            if ('x-next-page' in headers) {
+                page = Number(headers['x-next-page']) || 0;
+            } else {
+                page = body.length === pageSize ? page + 1 : 0;
+            }
+        }
+        return results;
+    }
+
+    // converts an issue or merge request into an IssueInfo2
+    static toIssueInfo(i) {
+        const closedAt = i.merged_at || i.closed_at;
+        return {
+            number: i.iid,
+            state: STATES[i.state] || 'CLOSED',
+            createdAt: new Date(i.created_at),
+            closedAt: closedAt ? new Date(closedAt) : null,
+            mergedAt: i.merged_at ? new Date(i.merged_at) : null,
+            updatedAt: new Date(i.updated_at),
+            labels: i.labels || [],
+            author: i.author ? i.author.username : null,
+        };
+    }
+
+    // gets the issues or merge requests updated since a date
+    async getUpdatedSince(resource, since) {
+        const updatedAfter = since ? `&updated_after=${encodeURIComponent(since.toISOString())}` : '';
+        return this.getAll(`${this.project}/${resource}?scope=all&order_by=updated_at&sort=desc${updatedAfter}`)
+            .then(issues => issues.map(GitLabClient.toIssueInfo));
+    }
+
+    async getIssuesUpdatedSince(since = null) {
+        return this.getUpdatedSince('issues', since);
+    }
+
+    async getPullRequestsUpdatedSince(since = null) {
+        return this.getUpdatedSince('merge_requests', since);
+    }
+
+    async getNumberOfForks() {
+        return this.get(this.project).then(({body}) => body.forks_count);
+    }
+
+    async getNumberOfStargazers() {
+        return this.get(this.project).then(({body}) => body.star_count);
+    }
+
+    async getNumberOfCommitsInBranch(branch) {
+        const {headers} = await this.get(
+            `${this.project}/repository/commits?ref_name=${encodeURIComponent(branch)}&per_page=1`);
+        // GitLab leaves the total out for very large lists
+        return headers['x-total'] ? Number(headers['x-total']) : null;
+    }
+}
+
+module.exports = {
+    GitLabClient,
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+// node and npm modules
+const Git = require('nodegit');
+const path = require('path');
+
+// user defined modules
+const { getDefaultRegistry } = require('./analysers.js');
+const mkLogger = require('./log.js');
+const logger = mkLogger({label: __filename});
+
+// modes of the tree entries that are regular files,
+// i.e. not directories, symbolic links or submodules
+const FILE_MODES = [
+    Git.TreeEntry.FILEMODE.BLOB,
+    Git.TreeEntry.FILEMODE.EXECUTABLE,
+];
+
+/**
+ *  @class Analyses a sequence of commits of a {@link Clone}, re-analysing only
+ *  the files that changed since the previously analysed commit.
+ *  <br>The changes are found by diffing the tree of each commit against the
+ *  tree of the previous one. The results of single files are cached by their
+ *  path and blob id, for the analysers that can analyse single files
+ *  (see {@link Analyser}). For the other analysers, the report of a whole
+ *  extension is reused if none of its files changed, so e.g. any change to
+ *  a Python file re-analyses every Python file.
+ */
+class IncrementalAnalyser {
+    /**
+     *  Constructs an {@link IncrementalAnalyser} object.
+     *  @param {Clone} clone - The clone of the repository being analysed
+     *  @param {object} [options] - The analysis options
+     *  @param {AnalyserRegistry} [options.registry=getDefaultRegistry()]
+     *      The registry to look up the analyser of each extension.
+     *  @param {Array<string>} [options.excludedExts=[]]
+     *      A list of extensions to be excluded.
+     *  @param {boolean} [options.perFile=false]
+     *      Also report each file and function, for the analysers that support it.
+     */
+    constructor(clone, {
+            registry = getDefaultRegistry(),
+            excludedExts = [],
+            perFile = false} = {}) {
+        this.clone = clone;
+        this.registry = registry;
+        this.excludedExts = excludedExts;
+        this.perFile = perFile;
+
+        // the tree of the last analysed commit, `null` before the first one
+        this.tree = null;
+        // the blob id of every file in the last analysed commit, by path
+        this.blobs = new Map();
+        // the results of single files, by path and blob id
+        this.fileCache = new Map();
+        // the reports of whole extensions, by extension
+        this.extCache = new Map();
+    }
+
+    /**
+     *  A summary of a file extension
+     *  @typedef {object} ExtensionSummary
+     *  @property {number} numberOfFiles - The number of files with that extension
+     *  @property {number} numberOfLines - The lines of code with that extension
+     */
+
+    /**
+     *  Analyses a commit. The files are read from the object database, so the
+     *  commit does not need to be checked out. Commits are expected in order,
+     *  but don't need to be consecutive, the closer they are the more is reused.
+     *  @param {Commit} commit
+     *      The [Commit]{@link https://www.nodegit.org/api/commit/} to analyse
+     *
+     *  @return {Promise<{valuesByExt: Object<string, ExtensionSummary>,
+     *            files: Array<FileReport>, functions: Array<FunctionReport>}>}
+     *      `valuesByExt` is an object with file extensions as keys and an object with
+     *      all static analyses results as the value. `files` and `functions` are the
+     *      reports of each file and function, with paths relative to the repository.
+     */
+    async analyse(commit) {
+        const changed = await this.update(commit);
+        logger.debug(`${changed} file(s) changed at commit ${commit.id().tostrS()}`);
+
+        // group files by extension
+        let filesByExt = {};
+        for (const filepath of [...this.blobs.keys()].sort()) {
+            if (this.excludedExts.some(ext => filepath.endsWith(ext))) continue;
+            const ext = path.extname(filepath);
+
+            filesByExt[ext] = filesByExt[ext] || [];
+            filesByExt[ext].push(filepath);
+        }
+
+        // analyse files by extension
+        // and separate the file and function reports from the extension summaries
+        let valuesByExt = {};
+        let fileReports = [];
+        let functionReports = [];
+        for (const [ext, filepaths] of Object.entries(filesByExt)) {
+            const {files = [], functions = [], ...values} =
+                await this.analyseExtension(ext, filepaths);
+            valuesByExt[ext] = values;
+            fileReports.push(...files);
+            functionReports.push(...functions);
+        }
+
+        this.prune();
+
+        return {
+            valuesByExt,
+            files: fileReports,
+            functions: functionReports,
+        };
+    }
+
+    /**
+     *  Updates the files to those of a commit, by diffing its tree against
+     *  the tree of the last analysed commit.
+     *  @param {Commit} commit - The commit
+     *
+     *  @return {Promise<number>} The number of files that changed
+     */
+    async update(commit) {
+        const tree = await commit.getTree();
+        const diff = await Git.Diff.treeToTree(this.clone.repo, this.tree, tree, null);
+
+        const numDeltas = diff.numDeltas();
+        for (let i = 0; i < numDeltas; i++) {
+            const delta = diff.getDelta(i);
+            const oldFile = delta.oldFile();
+            const newFile = delta.newFile();
+
+            // remove the old version of the file, if any
+            this.blobs.delete(oldFile.path());
+
+            // add the new version of the file, if any
+            if (delta.status() !== Git.Diff.DELTA.DELETED &&
+                    FILE_MODES.includes(newFile.mode())) {
+                this.blobs.set(newFile.path(), newFile.id().tostrS());
+            }
+        }
+
+        this.tree = tree;
+        return numDeltas;
+    }
+
+    /**
+     *  Analyses the files of an extension, reusing any results of unchanged files.
+     *  @param {string} ext - The file extension
+     *  @param {Array<string>} filepaths - The paths of the files, relative to the repository
+     *
+     *  @return {Promise<object>} The report of the analyser of the extension
+     */
+    async analyseExtension(ext, filepaths) {
+        const analyser = this.registry.forExtension(ext);
+        const options = {perFile: this.perFile};
+        // the same path and blob means the same contents
+        const key = filepath => `${filepath}:${this.blobs.get(filepath)}`;
+
+        // analyse only the files not analysed before
+        if (analyser.analyseFile && analyser.aggregate) {
+            let results = [];
+            for (const filepath of filepaths) {
+                if (!this.fileCache.has(key(filepath))) {
+                    const source = await this.read(filepath);
+                    this.fileCache.set(key(filepath), await analyser.analyseFile(source));
+                }
+                results.push(this.fileCache.get(key(filepath)));
+            }
+            return analyser.aggregate(results, options);
+        }
+
+        // otherwise, analyse the whole extension only if any of its files changed
+        const extKey = filepaths.map(key).join('\n');
+        const cached = this.extCache.get(ext);
+        if (cached && cached.key === extKey) {
+            return cached.report;
+        }
+        let sources = [];
+        for (const filepath of filepaths) {
+            sources.push(await this.read(filepath));
+        }
+        const report = await analyser.analyse(sources, options);
+        this.extCache.set(ext, {key: extKey, report});
+        return report;
+    }
+
+    /**
+     *  Reads a file of the last analysed commit from the object database.
+     *  @param {string} filepath - The path of the file, relative to the repository
+     *
+     *  @return {Promise<Source>} The path and contents of the file
+     */
+    async read(filepath) {
+        const blob = await this.clone.repo.getBlob(this.blobs.get(filepath));
+        return {path: filepath, code: blob.toString()};
+    }
+
+    // forget the results of files that are not in the last analysed commit,
+    // so the cache does not grow with the whole history
+    prune() {
+        let current = new Set();
+        for (const [filepath, blob] of this.blobs) {
+            current.add(`${filepath}:${blob}`);
+        }
+        for (const key of this.fileCache.keys()) {
+            if (!current.has(key)) {
+                this.fileCache.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = {
+    IncrementalAnalyser,
+};
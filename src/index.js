@@ -1,8 +1,10 @@
 const express = require('express');
 
+const benchmark = require('./benchmark.js');
+const compare = require('./compare.js');
 const { Data } = require('./data.js');
-const { Client } = require('./client.js');
 const { Database } = require('./database.js');
+const { JobQueue, JobState } = require('./jobs.js');
 const utils = require('./utils.js');
 const mkLogger = require('./log.js');
 
@@ -12,77 +14,502 @@ const logger = mkLogger({label: __filename, level: 'info'});
 
 
 // promise to a database wrapper
-const db = Database.init('hubdata.sqlite3');
+const db = Database.init();
+
+// analyses share the cloned repositories on disk, so run them one at a time
+const jobs = new JobQueue({concurrency: 1});
 
 app.use(express.static('static')); // Serve static files from the 'static' directory
 app.use(express.json()); // Parse json encoded request bodies
 
 /**
- * API endpoint tp run the analysis on the given GitHub project URL.
- * Parses JSON input.
- * 
- * @param {string} url - the GitHub URL to analyse
+ * Runs the full analysis of a Git repository, reporting back through the job.
+ * The GitHub metadata is only fetched for GitHub projects.
+ *
+ * @param {Job} job - the job running the analysis
+ * @param {string} url - the Git URL or local path to analyse
  * @param {object} options - the analysis options
- * 
+ *
  * @return {object}
  *      the object containing the metrics
  */
-app.post('/analyse', async (req, res) => {
-    // disable request timeout...
-    req.setTimeout(0);
-    logger.info('[POST] request to /analyse');
-
+async function analyseJob(job, url, options) {
     const start = Date.now();
 
-    // parse url from body
-    const url = req.body.url;
-    const options = {
-        quick: req.body.quick
-    };
-
-    const {owner, name} = utils.parseURL(url);
-    const client = new Client({
-        owner,
-        name,
-    });
-
     // begin clone and update local copy of repository
+    job.setState(JobState.CLONING);
     const data = await Data.init(url, db, options);
 
     // analyse data
-    const points = await data.analyse(options);
+    job.setState(JobState.ANALYSING);
+    const ref = await data.clone.refName(options);
+    const points = await data.analyse({
+        ...options,
+        onProgress: (processed, total) => {
+            job.throwIfCancelled();
+            job.progress(processed, total);
+        },
+    });
 
     const end = Date.now();
     logger.info(`time elapsed: ${Math.round((end - start) / 1000)}s`);
 
-    const issues = await client.getAllIssues();
-    const forks = await client.getNumberOfForks();
-    const pulls = await client.getPullRequests();
-    const stargazers = await client.getNumberOfStargazers();
-    const commitsInMaster = await client.getNumberOfCommitsInMaster();
-
-
-    res.send({
+    const {owner, name, identity} = data.remote;
+    return {
         points: points,
-        bar: {
-            totalIssues: issues.length,
-            openIssues: issues.filter(i => i.state === 'OPEN').length,
-            closedIssues: issues.filter(i => i.state === 'CLOSED').length,
-            numberOfForks: forks,
-            totalPullRequests: pulls.length,
-            openPullRequests: pulls.filter(p => p.state === 'OPEN').length,
-            closedPullRequests: pulls.filter(p => p.state === 'CLOSED').length,
-            mergedPullRequests: pulls.filter(p => p.state === 'MERGED').length,
-            numberOfStargazers: stargazers,
-            commitsInMaster: commitsInMaster,
-        },
+        bar: data.client ? await fetchMeta(job, data, ref) : {},
         repo: {
+            id: await data.db.getRepoId(data.remote),
             owner: owner,
             name: name,
-            url: url
+            identity: identity,
+            url: url,
+            ref: ref,
         }
+    };
+}
+
+/**
+ * Fetches the metadata of a project from its forge, shown as a bar chart.
+ *
+ * @param {Job} job - the job running the analysis
+ * @param {Data} data - the data of the project, with its forge client
+ * @param {string} ref - the analysed branch
+ *
+ * @return {object}
+ *      the metadata, by name, see {@link Data#getSummary}
+ */
+async function fetchMeta(job, data, ref) {
+    job.setState(JobState.FETCHING_META);
+    return data.getSummary(ref);
+}
+
+/**
+ * API endpoint to queue the analysis of the given Git repository URL.
+ * Parses JSON input.
+ *
+ * @param {string} url - the Git URL or local path to analyse
+ * @param {object} options - the analysis options
+ * @param {string} [ref] - the branch or tag to analyse, the default branch if not given
+ * @param {string} [range] - only analyse the commits in a revision range 'from..to'
+ * @param {string} [sampling] - the sampling strategy of a quick analysis, 'count' by default
+ * @param {number} [budget] - the maximum number of commits of a quick analysis, 100 by default
+ * @param {string} [since] - only analyse the commits made on or after this date
+ * @param {string} [until] - only analyse the commits made on or before this date
+ *
+ * @return {object}
+ *      the id of the queued job, see `GET /jobs/:id`
+ */
+app.post('/analyse', (req, res) => {
+    logger.info('[POST] request to /analyse');
+
+    // parse url from body
+    const url = req.body.url;
+    let options;
+
+    // fail early on invalid URLs and options, instead of inside the job
+    try {
+        utils.parseRemote(url);
+        options = utils.analysisOptions(req.body);
+    } catch (err) {
+        res.status(400).send(String(err));
+        return;
+    }
+
+    const job = jobs.enqueue(job => analyseJob(job, url, options));
+
+    res.status(202).send({id: job.id});
+});
+
+/**
+ * API endpoint to analyse the given Git repository URL, streaming the points
+ * of each commit as [Server-Sent Events]{@link https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events}
+ * as soon as they are analysed. The analysis is queued as a job like `POST /analyse`.
+ *
+ * Events sent:
+ * - `job`: the id of the queued job, see `GET /jobs/:id`
+ * - `points`: an array of new points
+ * - `end`: the final state of the job, after which the stream is closed
+ *
+ * @param {string} url - the Git URL or local path to analyse
+ * @param {boolean} quick - whether to run a quick analysis
+ * @param {boolean} perFile - whether to also store the metrics of each file
+ * @param {string} [ref] - the branch or tag to analyse, the default branch if not given
+ * @param {string} [range] - only analyse the commits in a revision range 'from..to'
+ * @param {string} [sampling] - the sampling strategy of a quick analysis, 'count' by default
+ * @param {number} [budget] - the maximum number of commits of a quick analysis, 100 by default
+ * @param {string} [since] - only analyse the commits made on or after this date
+ * @param {string} [until] - only analyse the commits made on or before this date
+ */
+app.get('/analyse/stream', (req, res) => {
+    // disable request timeout...
+    req.setTimeout(0);
+    logger.info('[GET] request to /analyse/stream');
+
+    // parse url from query string
+    const url = req.query.url;
+    let options;
+
+    // fail early on invalid URLs and options, instead of inside the job
+    try {
+        utils.parseRemote(url);
+        options = utils.analysisOptions(req.query);
+    } catch (err) {
+        res.status(400).send(String(err));
+        return;
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+
+    // nothing is sent anymore once the client is gone
+    let closed = false;
+    const send = (event, data) => closed ||
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const job = jobs.enqueue(job => analyseJob(job, url, {
+        ...options,
+        onPoints: points => send('points', points),
+    }));
+    send('job', {id: job.id});
+
+    // stop analysing if nobody is listening anymore
+    res.on('close', () => {
+        closed = true;
+        jobs.cancel(job.id);
+    });
+
+    job.wait().then(job => {
+        if (!closed) {
+            send('end', {state: job.state, error: job.error});
+            res.end();
+        }
+    });
+});
+
+/**
+ * API endpoint to get the state, progress and (once done) results of a job.
+ *
+ * @param {string} id - the id of the job
+ *
+ * @return {JobInfo}
+ *      the job information
+ */
+app.get('/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        res.status(404).send(`No job with id '${req.params.id}'`);
+        return;
+    }
+    res.send(job);
+});
+
+/**
+ * API endpoint to cancel a job.
+ *
+ * @param {string} id - the id of the job
+ *
+ * @return {JobInfo}
+ *      the job information
+ */
+app.delete('/jobs/:id', (req, res) => {
+    logger.info(`[DELETE] request to /jobs/${req.params.id}`);
+    const job = jobs.cancel(req.params.id);
+    if (!job) {
+        res.status(404).send(`No job with id '${req.params.id}'`);
+        return;
+    }
+    res.send(job);
+});
+
+/**
+ * API endpoint to get the metrics of each file, and the most complex functions,
+ * of a commit. Only available for commits analysed with `perFile` set.
+ *
+ * @param {string} owner - the owner of the repository
+ * @param {string} name - the name of the repository
+ * @param {string} ref - the branch or tag the commit was analysed on
+ * @param {string} [identity] - the normalised remote of the repository, see `utils.parseRemote`
+ * @param {string} [commit] - the id of the commit, the last one with file metrics by default
+ *
+ * @return {object}
+ *      the commit_id, commit_date, files and functions of the commit
+ */
+app.get('/repos/:owner/:name/files', utils.asyncHandler(async (req, res) => {
+    logger.info(`[GET] request to /repos/${req.params.owner}/${req.params.name}/files`);
+    const database = await db;
+
+    // owners and names are not unique across hosts, prefer the identity if given
+    const repo_id = await database.findRepoId({...req.params, identity: req.query.identity});
+    if (repo_id === null) {
+        res.status(404).send(`No repository '${req.params.owner}/${req.params.name}'`);
+        return;
+    }
+
+    let query;
+    try {
+        query = utils.filesQuery(req.query);
+    } catch (err) {
+        res.status(400).send(String(err));
+        return;
+    }
+
+    const ref = query.ref;
+    let commit_id = query.commit;
+    let commit_date = null;
+    if (!commit_id) {
+        const lastCommit = await database.getLastFileCommit(repo_id, ref);
+        if (lastCommit === null) {
+            res.status(404).send('No file metrics stored, analyse the repository with per-file metrics');
+            return;
+        }
+        ({commit_id, commit_date} = lastCommit);
+    }
+
+    const [files, functions] = await Promise.all([
+        database.getFileValues(repo_id, ref, commit_id),
+        database.getFunctionValues(repo_id, ref, commit_id),
+    ]);
+
+    res.send({
+        commit_id,
+        commit_date,
+        files,
+        functions,
+    });
+}));
+
+/**
+ * API endpoint to rank the latest metrics of an analysed repository against
+ * the benchmark projects, see `node benchmark.js`.
+ *
+ * @param {string} owner - the owner of the repository
+ * @param {string} name - the name of the repository
+ * @param {string} ref - the branch or tag the commits were analysed on
+ * @param {string} [identity] - the normalised remote of the repository
+ *
+ * @return {object}
+ *      the number of benchmark projects, and the rankings of each metric
+ */
+app.get('/repos/:owner/:name/ranking', utils.asyncHandler(async (req, res) => {
+    logger.info(`[GET] request to /repos/${req.params.owner}/${req.params.name}/ranking`);
+    const database = await db;
+
+    const repo_id = await database.findRepoId({...req.params, identity: req.query.identity});
+    if (repo_id === null) {
+        res.status(404).send(`No repository '${req.params.owner}/${req.params.name}'`);
+        return;
+    }
+
+    const ref = req.query.ref;
+    if (!ref) {
+        res.status(400).send('The ref the commits were analysed on is required');
+        return;
+    }
+
+    // a benchmark project is not ranked against itself
+    const [latest, benchmarkValues] = await Promise.all([
+        database.getLatestValues(repo_id, ref),
+        database.getBenchmarkValues(repo_id),
+    ]);
+
+    res.send({
+        benchmarkSize: new Set(benchmarkValues.map(row => row.repo_id)).size,
+        rankings: benchmark.rank(latest, benchmarkValues),
+    });
+}));
+
+/**
+ * API endpoint to list the analysed repositories, a row for each ref they were analysed on.
+ * Like the other `/repos` and `/metric-types` endpoints, it only reads the stored
+ * results, and never clones or analyses anything.
+ *
+ * @return {object}
+ *      the repositories, see {@link Database#getAnalysedRepositories}
+ */
+app.get('/repos', utils.asyncHandler(async (req, res) => {
+    logger.info('[GET] request to /repos');
+    const database = await db;
+    res.send({repos: await database.getAnalysedRepositories()});
+}));
+
+/**
+ * API endpoint to get an analysed repository, and the refs it was analysed on.
+ *
+ * @param {string} owner - the owner of the repository
+ * @param {string} name - the name of the repository
+ * @param {string} [identity] - the normalised remote of the repository
+ *
+ * @return {object}
+ *      the id, identity, owner and name of the repository, and for each analysed
+ *      ref the number of analysed commits and the dates of the first and latest ones
+ */
+app.get('/repos/:owner/:name', utils.asyncHandler(async (req, res) => {
+    logger.info(`[GET] request to /repos/${req.params.owner}/${req.params.name}`);
+    const database = await db;
+
+    const repo_id = await database.findRepoId({...req.params, identity: req.query.identity});
+    if (repo_id === null) {
+        res.status(404).send(`No repository '${req.params.owner}/${req.params.name}'`);
+        return;
+    }
+
+    const [repo, analysed] = await Promise.all([
+        database.getRepository(repo_id),
+        database.getAnalysedRepositories(),
+    ]);
+    res.send({
+        ...repo,
+        refs: analysed
+            .filter(r => r.id === repo_id)
+            .map(({ref, commits, first_commit_date, last_commit_date}) =>
+                ({ref, commits, first_commit_date, last_commit_date})),
+    });
+}));
+
+/**
+ * API endpoint to get the stored metrics of a repository, as points like the
+ * results of an analysis. The commits are paged newest first, after
+ * downsampling long histories to evenly spaced commits.
+ *
+ * @param {string} owner - the owner of the repository
+ * @param {string} name - the name of the repository
+ * @param {string} [identity] - the normalised remote of the repository
+ * @param {string} [ref] - the branch or tag the commits were analysed on, the latest analysed one by default
+ * @param {string} [types] - the comma separated metrics to get, all of them by default
+ * @param {string} [ext] - the comma separated file extensions to get, all of them by default
+ * @param {string} [from] - only get the commits made on or after this date
+ * @param {string} [to] - only get the commits made on or before this date
+ * @param {number} [resolution] - downsample to at most this many commits
+ * @param {number} [limit] - the maximum number of commits in the page, 100 by default (at most 500)
+ * @param {number} [offset] - the number of commits before the page, 0 by default
+ *
+ * @return {object}
+ *      the ref, the total number of commits (after downsampling), the offset and
+ *      limit of the page, and its points
+ */
+app.get('/repos/:owner/:name/metrics', utils.asyncHandler(async (req, res) => {
+    logger.info(`[GET] request to /repos/${req.params.owner}/${req.params.name}/metrics`);
+    const database = await db;
+
+    const repo_id = await database.findRepoId({...req.params, identity: req.query.identity});
+    if (repo_id === null) {
+        res.status(404).send(`No repository '${req.params.owner}/${req.params.name}'`);
+        return;
+    }
+
+    let query;
+    try {
+        query = utils.metricsQuery(req.query, Object.keys(database.metrics.byName));
+    } catch (err) {
+        res.status(400).send(String(err));
+        return;
+    }
+
+    // most recent first, so the first match is the latest analysed ref
+    const latest = (await database.getAnalysedRepositories()).find(r => r.id === repo_id);
+    const ref = query.ref || (latest && latest.ref);
+    if (!ref) {
+        res.status(404).send(`No metrics stored for '${req.params.owner}/${req.params.name}'`);
+        return;
+    }
+
+    const {total, commits} = utils.pageOfCommits(
+        await database.getAnalysedCommits(repo_id, ref, query), query);
+    const rows = commits.length === 0 ? [] :
+        await database.getCommitsValues(repo_id, ref, commits.map(c => c.commit_id), query);
+
+    res.send({
+        ref,
+        total,
+        offset: query.offset,
+        limit: query.limit,
+        points: utils.rows2points(rows),
+    });
+}));
+
+/**
+ * API endpoint to list the metric types that can be stored.
+ *
+ * @return {object}
+ *      the id, name, human_name and description of each metric type
+ */
+app.get('/metric-types', utils.asyncHandler(async (req, res) => {
+    logger.info('[GET] request to /metric-types');
+    const database = await db;
+    res.send({metricTypes: await database.getMetricTypes()});
+}));
+
+/**
+ * API endpoint to compare the analyses of several repositories, with their
+ * points merged into a single chart and their latest values side by side.
+ *
+ * @param {string} repos
+ *      the comma separated ids of the repositories, each optionally with the ref
+ *      the commits were analysed on, e.g. '1:master,2'. The latest analysed ref
+ *      of a repository by default.
+ *
+ * @return {object}
+ *      the repositories compared, their points (labelled by repo and aligned by
+ *      days_since_first_commit), and their latest values by repo and extension
+ */
+app.get('/compare', utils.asyncHandler(async (req, res) => {
+    logger.info('[GET] request to /compare');
+    const database = await db;
+
+    let selections;
+    try {
+        selections = compare.parseSelection(req.query.repos);
+    } catch (err) {
+        res.status(400).send(String(err));
+        return;
+    }
+    if (selections.length === 0) {
+        res.status(400).send('The repositories to compare are required');
+        return;
+    }
+
+    // most recent first, so the first match is the latest analysed ref
+    const analysed = await database.getAnalysedRepositories();
+    let repos = [];
+    for (const {id, ref} of selections) {
+        const repo = analysed.find(r => r.id === id && (ref === null || r.ref === ref));
+        if (!repo) {
+            res.status(404).send(`No analysis of repository ${id}${ref ? ` on '${ref}'` : ''}`);
+            return;
+        }
+        repos.push(repo);
+    }
+
+    // the same project on different refs (or hosts) is told apart
+    const label = ({owner, name}) => `${owner}/${name}`;
+    const series = await Promise.all(repos.map(async repo => ({
+        label: repos.filter(r => label(r) === label(repo)).length > 1 ?
+            `${label(repo)}@${repo.ref}` : label(repo),
+        points: utils.rows2points(await database.getValues(repo.id, repo.ref)),
+    })));
+
+    res.send({
+        repos: repos.map(({id, identity, owner, name, ref}, i) =>
+            ({id, identity, owner, name, ref, label: series[i].label})),
+        points: compare.alignSeries(series),
+        latest: compare.latestValues(series),
     });
+}));
 
+// errors of the route handlers, e.g. a failed database query
+app.use((err, req, res, next) => {
+    logger.error(`[${req.method}] request to ${req.path} failed`);
+    logger.error(err.stack || err);
+    // a response already started can only be cut short
+    if (res.headersSent) {
+        return next(err);
+    }
+    res.status(500).send('Internal server error');
 });
 
 app.listen(port, () => console.log(`listening on ${port}`));
\ No newline at end of file
@@ -0,0 +1,267 @@
+'use strict';
+
+// node and npm modules
+const crypto = require('crypto');
+
+// user defined modules
+const mkLogger = require('./log.js');
+const logger = mkLogger({label: __filename});
+
+/**
+ *  The states a {@link Job} can be in, in the order they usually happen.
+ *  @enum {string}
+ */
+const JobState = {
+    QUEUED: 'queued',
+    CLONING: 'cloning',
+    ANALYSING: 'analysing',
+    FETCHING_META: 'fetching-meta',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+// states after which a job will not change anymore
+const FINAL_STATES = [JobState.DONE, JobState.FAILED, JobState.CANCELLED];
+
+/**
+ *  @class Error thrown inside a running job once it has been cancelled.
+ */
+class CancelledError extends Error {
+    constructor(message = 'Job was cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ *  @class A Job is a single long running task (e.g. an analysis) queued in
+ *  a {@link JobQueue}. The task reports back on its state and progress
+ *  through the job, and checks it to know if it has been cancelled.
+ */
+class Job {
+    /**
+     *  @callback jobTask
+     *  @param {Job} job - The job running the task
+     *  @return {Promise<T>} The result of the job
+     *  @template T
+     */
+
+    /**
+     *  Constructs a {@link Job} object.
+     *  <br>WARNING: Not to be instantiated directly, see [enqueue]{@link JobQueue#enqueue}
+     *  @param {string} id - The unique identifier of the job
+     *  @param {jobTask<T>} task - The task to run
+     *  @template T
+     */
+    constructor(id, task) {
+        this.id = id;
+        this.task = task;
+        this.state = JobState.QUEUED;
+        this.processed = 0;
+        this.total = 0;
+        this.result = null;
+        this.error = null;
+        this.createdAt = new Date();
+        this.finishedAt = null;
+        this._finished = new Promise(resolve => { this._resolveFinished = resolve; });
+    }
+
+    /**
+     *  Whether the job has finished running, either successfully or not.
+     *  @type {boolean}
+     */
+    get finished() {
+        return FINAL_STATES.includes(this.state);
+    }
+
+    /**
+     *  Whether the job has been cancelled.
+     *  @type {boolean}
+     */
+    get cancelled() {
+        return this.state === JobState.CANCELLED;
+    }
+
+    /**
+     *  Moves the job into a new state. Throws a {@link CancelledError}
+     *  if the job was cancelled in the meantime, so that the task stops.
+     *  @param {JobState} state - The new state
+     */
+    setState(state) {
+        this.throwIfCancelled();
+        this.state = state;
+    }
+
+    /**
+     *  Updates the progress of the job.
+     *  @param {number} processed - The number of units (e.g. commits) processed
+     *  @param {number} total - The total number of units to process
+     */
+    progress(processed, total) {
+        this.processed = processed;
+        this.total = total;
+    }
+
+    /**
+     *  Waits for the job to finish, either successfully or not.
+     *
+     *  @return {Promise<Job>} A promise to this job, resolved once finished
+     */
+    wait() {
+        return this._finished;
+    }
+
+    /**
+     *  Throws a {@link CancelledError} if the job has been cancelled.
+     */
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new CancelledError();
+        }
+    }
+
+    /**
+     *  The public view of a job, as returned by the API
+     *  @typedef {object} JobInfo
+     *  @property {string} id - The id of the job
+     *  @property {JobState} state - The current state of the job
+     *  @property {number} processed - The number of commits processed
+     *  @property {number} total - The total number of commits to process
+     *  @property {*} result - The result of the job, `null` until done
+     *  @property {string} error - The error message, `null` unless failed
+     */
+
+    /**
+     *  @return {JobInfo} The public view of the job
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            state: this.state,
+            processed: this.processed,
+            total: this.total,
+            result: this.result,
+            error: this.error,
+            createdAt: this.createdAt,
+            finishedAt: this.finishedAt,
+        };
+    }
+}
+
+/**
+ *  @class A simple in-memory queue of {@link Job}s. Runs at most
+ *  `concurrency` jobs at a time, and forgets finished jobs after `ttl`
+ *  milliseconds.
+ */
+class JobQueue {
+    /**
+     *  Constructs a {@link JobQueue} object.
+     *  @param {object} [options] - The queue options
+     *  @param {number} [options.concurrency=1]
+     *      The number of jobs allowed to run at the same time
+     *  @param {number} [options.ttl=3600000]
+     *      How long (in ms) to keep a finished job around, one hour by default
+     */
+    constructor({concurrency = 1, ttl = 60 * 60 * 1000} = {}) {
+        this.concurrency = concurrency;
+        this.ttl = ttl;
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    /**
+     *  Adds a new job to the queue, and starts it if there is room.
+     *  @param {jobTask<T>} task - The task to run
+     *
+     *  @return {Job} The queued job
+     *  @template T
+     */
+    enqueue(task) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const job = new Job(id, task);
+        this.jobs.set(id, job);
+        this.pending.push(job);
+        logger.debug(`Queued job ${id}`);
+        this._next();
+        return job;
+    }
+
+    /**
+     *  @param {string} id - The id of the job
+     *
+     *  @return {Job} The job, or `undefined` if there is no such job
+     */
+    get(id) {
+        return this.jobs.get(id);
+    }
+
+    /**
+     *  Cancels a job. Queued jobs are never started, running jobs stop at
+     *  the next point they check for cancellation. The job is finished at once,
+     *  but the next queued job only starts once the task stopped, as jobs share
+     *  the clones on disk.
+     *  @param {string} id - The id of the job
+     *
+     *  @return {Job} The job, or `undefined` if there is no such job
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (job && !job.finished) {
+            logger.debug(`Cancelling job ${id}`);
+            job.state = JobState.CANCELLED;
+            this._finish(job);
+        }
+        return job;
+    }
+
+    // start queued jobs while there is room
+    _next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            // job was cancelled before it got to run
+            if (job.cancelled) continue;
+            this._run(job);
+        }
+    }
+
+    async _run(job) {
+        this.running++;
+        logger.debug(`Started job ${job.id}`);
+        try {
+            const result = await job.task(job);
+            job.throwIfCancelled();
+            job.result = result;
+            job.state = JobState.DONE;
+        } catch (err) {
+            if (!job.cancelled) {
+                logger.error(`Job ${job.id} failed`);
+                logger.error(err.stack || err);
+                job.error = err.message || String(err);
+                job.state = JobState.FAILED;
+            }
+        }
+        if (!job.finishedAt) {
+            this._finish(job);
+        }
+        logger.debug(`Job ${job.id} finished with state '${job.state}'`);
+        // the slot is only freed once the task stopped, even if it was cancelled
+        this.running--;
+        this._next();
+    }
+
+    // mark the job as finished, and forget about it after the time to live has passed
+    _finish(job) {
+        job.finishedAt = new Date();
+        job._resolveFinished(job);
+        setTimeout(() => this.jobs.delete(job.id), this.ttl).unref();
+    }
+}
+
+module.exports = {
+    Job,
+    JobQueue,
+    JobState,
+    CancelledError,
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+// node and npm modules
+const fs = require('fs');
+const path = require('path');
+
+// user defined modules
+const { DEFAULT_DATABASE, openDriver } = require('./drivers.js');
+const utils = require('./utils.js');
+const mkLogger = require('./log.js');
+const logger = mkLogger({label: __filename});
+
+/**
+ *  The directory of the migrations that come with HubListener, with a
+ *  subdirectory for the SQL dialect of each {@link Driver}, e.g. 'sqlite'.
+ *  @type {string}
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ *  A forward migration of the database schema
+ *  @typedef {object} Migration
+ *  @property {number} version - The schema version after the migration
+ *  @property {string} name - The name of the migration, e.g. 'initial'
+ *  @property {string} sql - The SQL statements of the migration
+ */
+
+/**
+ *  The version of the schema of a database, and the migrations it is missing
+ *  @typedef {object} MigrationStatus
+ *  @property {number} current - The version of the database, 0 if it was never migrated
+ *  @property {number} latest - The version of the latest migration
+ *  @property {Array<Migration>} pending - The migrations not yet applied, in order
+ */
+
+// the table of applied migrations, created before any of them
+const VERSION_TABLE = `
+    CREATE TABLE IF NOT EXISTS schema_version (
+        version integer PRIMARY KEY,
+        name text NOT NULL,
+        applied_at bigint NOT NULL
+    );`;
+
+/**
+ *  Loads the migrations of a directory, named by their version and name,
+ *  e.g. '001_initial.sql'. The versions must start at 1, without gaps.
+ *  @param {string} dir - The directory of the migrations, e.g. of a dialect in {@link MIGRATIONS_DIR}
+ *
+ *  @return {Array<Migration>} The migrations, in order
+ */
+function loadMigrations(dir) {
+    const migrations = fs.readdirSync(dir)
+        .map(filename => /^(\d+)_(.+)\.sql$/.exec(filename))
+        .filter(match => match)
+        .map(([filename, version, name]) => ({
+            version: Number(version),
+            name,
+            sql: fs.readFileSync(path.join(dir, filename), 'utf8'),
+        }))
+        .sort((a, b) => a.version - b.version);
+    migrations.forEach((migration, i) => {
+        if (migration.version !== i + 1) {
+            throw Error(`Expected migration ${i + 1} in ${dir}, found ` +
+                `migration ${migration.version} (${migration.name})`);
+        }
+    });
+    return migrations;
+}
+
+/**
+ *  Gets the version of the schema of a database, and the migrations it is missing.
+ *  @param {Driver} driver - The driver of the database
+ *  @param {Array<Migration>} [migrations] - The known migrations, those of the dialect of the driver by default
+ *
+ *  @return {Promise<MigrationStatus>} The status
+ */
+async function status(driver, migrations = loadMigrations(path.join(MIGRATIONS_DIR, driver.dialect))) {
+    await driver.exec(VERSION_TABLE);
+    const row = await driver.get('SELECT MAX(version) AS version FROM schema_version;', []);
+    const current = (row && row.version) || 0;
+    return {
+        current,
+        latest: migrations.length,
+        pending: migrations.filter(m => m.version > current),
+    };
+}
+
+/**
+ *  Applies the pending migrations of a database, in order, each in a transaction
+ *  so a failed migration leaves the database at the previous version.
+ *  Refuses to touch a database from a newer version of HubListener.
+ *  @param {Driver} driver - The driver of the database
+ *  @param {Array<Migration>} [migrations] - The known migrations, those of the dialect of the driver by default
+ *
+ *  @return {Promise<MigrationStatus>} The status before migrating
+ */
+async function migrate(driver, migrations = loadMigrations(path.join(MIGRATIONS_DIR, driver.dialect))) {
+    const before = await status(driver, migrations);
+    if (before.current > before.latest) {
+        throw Error(`The database is at schema version ${before.current}, newer than ` +
+            `the latest migration (${before.latest}), upgrade HubListener to use it`);
+    }
+
+    for (const {version, name, sql} of before.pending) {
+        logger.info(`Migrating the database to version ${version} (${name})`);
+        try {
+            await driver.transaction(async tx => {
+                await tx.exec(sql);
+                await tx.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?);',
+                    [version, name, Date.now()]);
+            });
+        } catch (err) {
+            throw Error(`Failed migrating the database to version ${version} (${name}): ${err.message}`);
+        }
+    }
+    return before;
+}
+
+/**
+ *  Shows the schema version of a database, or migrates it.
+ *  @function
+ *  @param {Array<string>} args - The un-parsed array of command-line arguments
+ */
+async function main(args) {
+    const optionsMsg = `
+    Usage:  node migrate.js [--status | --migrate] [--db <url>]
+
+    -h, --help          : Print command line options
+    --status            : Show the schema version and pending migrations (default)
+    --migrate           : Apply the pending migrations, done on every start anyway
+    --db <url>          : The database, a SQLite file or a postgres:// URL
+                          (default: HUBLISTENER_DATABASE or hubdata.sqlite3)
+    `;
+
+    let options;
+    try {
+        options = utils.argParse(args);
+    } catch (err) {
+        console.log(err.message);
+        console.log(optionsMsg);
+        return;
+    }
+    if (options['h'] || options['help']) {
+        console.log(optionsMsg);
+        return;
+    }
+
+    const db = openDriver(options['db'] || DEFAULT_DATABASE);
+    try {
+        if (options['migrate']) {
+            const {current, pending} = await migrate(db);
+            console.log(pending.length === 0 ?
+                `Already at version ${current}` :
+                `Migrated from version ${current} to ${pending[pending.length - 1].version}`);
+        } else {
+            const {current, latest, pending} = await status(db);
+            console.log(`Schema version ${current}, latest ${latest}`);
+            for (const {version, name} of pending) {
+                console.log(`    pending: ${version} (${name})`);
+            }
+            if (current > latest) {
+                console.log('The database is from a newer version of HubListener');
+            }
+        }
+    } catch (err) {
+        console.log(err.message);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    status,
+    migrate,
+};
@@ -0,0 +1,52 @@
+-- the PostgreSQL version of the schema from before migrations, see migrations/sqlite.
+-- Dates are UNIX timestamps in milliseconds, as bigints. The constraints are named,
+-- so that later migrations can change them
+CREATE TABLE IF NOT EXISTS Repositories (
+    id serial PRIMARY KEY,
+    owner text NOT NULL,
+    name text NOT NULL,
+    CONSTRAINT repositories_owner_name_key UNIQUE(owner, name)
+);
+
+CREATE TABLE IF NOT EXISTS MetricTypes (
+    id serial PRIMARY KEY,
+    name text NOT NULL UNIQUE,
+    human_name text,  -- can be empty string, but not NULL
+    description text  -- can be empty string, but not NULL
+);
+
+CREATE TABLE IF NOT EXISTS MetricValues (
+    id serial PRIMARY KEY,
+    repo_id integer NOT NULL,
+    commit_id text NOT NULL,
+    commit_date bigint NOT NULL,
+    file_extension text NOT NULL,
+    metric_type_id integer NOT NULL,
+    metric_value double precision NOT NULL,
+    CONSTRAINT metricvalues_key UNIQUE(repo_id, commit_id, file_extension, metric_type_id),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id),
+    FOREIGN KEY (metric_type_id) REFERENCES MetricTypes(id)
+);
+
+INSERT INTO MetricTypes (name) VALUES ('numberOfFiles') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('numberOfLines') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('numberOfLogicalLines') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('numberOfComments') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('cyclomaticComplexity') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('maintainabilityIndex') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('changeCost') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('avgDependencies') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('halsteadEffort') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('halsteadBugs') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('halsteadLength') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('halsteadDifficulty') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('halsteadTime') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('halsteadVocabulary') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('halsteadVolume') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('totalIssues') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('openIssues') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('closedIssues') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('totalPulls') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('openPulls') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('closedPulls') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('mergedPulls') ON CONFLICT DO NOTHING;
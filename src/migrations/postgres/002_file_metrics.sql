@@ -0,0 +1,33 @@
+-- the metrics of each file of the analysed commits, for the drill-down view
+CREATE TABLE FileMetrics (
+    id serial PRIMARY KEY,
+    repo_id integer NOT NULL,
+    commit_id text NOT NULL,
+    commit_date bigint NOT NULL,
+    file_path text NOT NULL,
+    sloc integer NOT NULL,
+    cyclomatic double precision NOT NULL,
+    maintainability double precision NOT NULL,
+    halstead_effort double precision NOT NULL,
+    halstead_volume double precision NOT NULL,
+    halstead_difficulty double precision NOT NULL,
+    halstead_bugs double precision NOT NULL,
+    CONSTRAINT filemetrics_key UNIQUE(repo_id, commit_id, file_path),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
+
+-- only the most complex functions of each commit are kept
+CREATE TABLE FunctionMetrics (
+    id serial PRIMARY KEY,
+    repo_id integer NOT NULL,
+    commit_id text NOT NULL,
+    commit_date bigint NOT NULL,
+    file_path text NOT NULL,
+    name text NOT NULL,
+    line integer NOT NULL,
+    sloc integer NOT NULL,
+    cyclomatic double precision NOT NULL,
+    halstead_effort double precision NOT NULL,
+    CONSTRAINT functionmetrics_key UNIQUE(repo_id, commit_id, file_path, name, line),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
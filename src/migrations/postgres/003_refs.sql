@@ -0,0 +1,20 @@
+-- `ref` is the branch or tag the commit was analysed on, so the results of
+-- different branches don't mix. Results stored before were of the default
+-- branch, taken as 'master'
+ALTER TABLE MetricValues ADD COLUMN ref text NOT NULL DEFAULT 'master';
+ALTER TABLE MetricValues ALTER COLUMN ref DROP DEFAULT;
+ALTER TABLE MetricValues DROP CONSTRAINT metricvalues_key;
+ALTER TABLE MetricValues ADD CONSTRAINT metricvalues_key
+    UNIQUE(repo_id, ref, commit_id, file_extension, metric_type_id);
+
+ALTER TABLE FileMetrics ADD COLUMN ref text NOT NULL DEFAULT 'master';
+ALTER TABLE FileMetrics ALTER COLUMN ref DROP DEFAULT;
+ALTER TABLE FileMetrics DROP CONSTRAINT filemetrics_key;
+ALTER TABLE FileMetrics ADD CONSTRAINT filemetrics_key
+    UNIQUE(repo_id, ref, commit_id, file_path);
+
+ALTER TABLE FunctionMetrics ADD COLUMN ref text NOT NULL DEFAULT 'master';
+ALTER TABLE FunctionMetrics ALTER COLUMN ref DROP DEFAULT;
+ALTER TABLE FunctionMetrics DROP CONSTRAINT functionmetrics_key;
+ALTER TABLE FunctionMetrics ADD CONSTRAINT functionmetrics_key
+    UNIQUE(repo_id, ref, commit_id, file_path, name, line);
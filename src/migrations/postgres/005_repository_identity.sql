@@ -0,0 +1,8 @@
+-- repositories are keyed by their normalised remote (e.g. 'github.com/owner/name'
+-- or 'file:///path/to/repo'), see utils.parseRemote, rather than by owner and name.
+-- Repositories stored before were all on GitHub
+ALTER TABLE Repositories ADD COLUMN identity text;
+UPDATE Repositories SET identity = 'github.com/' || owner || '/' || name;
+ALTER TABLE Repositories ALTER COLUMN identity SET NOT NULL;
+ALTER TABLE Repositories ADD CONSTRAINT repositories_identity_key UNIQUE(identity);
+ALTER TABLE Repositories DROP CONSTRAINT repositories_owner_name_key;
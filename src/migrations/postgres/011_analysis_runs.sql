@@ -0,0 +1,29 @@
+-- the PostgreSQL version of migrations/sqlite/011_analysis_runs.sql, dates are bigints
+CREATE TABLE AnalysisRuns (
+    id serial PRIMARY KEY,
+    repo_id integer NOT NULL,
+    ref text NOT NULL,
+    options text NOT NULL,
+    commit_ids text NOT NULL,
+    started_at bigint NOT NULL,
+    finished_at bigint,
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
+
+-- the commits of a ref whose results are stored, inserted in the same transaction
+-- as the results so that a commit is either fully analysed or not at all
+CREATE TABLE AnalysedCommits (
+    id serial PRIMARY KEY,
+    repo_id integer NOT NULL,
+    ref text NOT NULL,
+    commit_id text NOT NULL,
+    run_id integer,  -- NULL for the commits analysed before runs were recorded
+    UNIQUE(repo_id, ref, commit_id),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id),
+    FOREIGN KEY (run_id) REFERENCES AnalysisRuns(id)
+);
+
+-- results were inserted all at once at the end of an analysis, so the commits
+-- with any of them are taken as analysed
+INSERT INTO AnalysedCommits (repo_id, ref, commit_id)
+    SELECT DISTINCT repo_id, ref, commit_id FROM MetricValues;
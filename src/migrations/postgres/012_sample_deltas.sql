@@ -0,0 +1,16 @@
+-- the PostgreSQL version of migrations/sqlite/012_sample_deltas.sql, dates are bigints
+CREATE TABLE SampleDeltas (
+    id serial PRIMARY KEY,
+    repo_id integer NOT NULL,
+    ref text NOT NULL,
+    commit_id text NOT NULL,
+    from_commit_id text NOT NULL,
+    commit_date bigint NOT NULL,
+    file_extension text NOT NULL,
+    metric_type_id integer NOT NULL,
+    metric_value double precision NOT NULL,
+    CONSTRAINT sampledeltas_key
+        UNIQUE(repo_id, ref, commit_id, from_commit_id, file_extension, metric_type_id),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id),
+    FOREIGN KEY (metric_type_id) REFERENCES MetricTypes(id)
+);
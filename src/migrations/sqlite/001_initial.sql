@@ -1,5 +1,6 @@
--- create database called hubdata.sqlite3 under src folder
--- ex. sqlite3 hubdata.sqlite3 < schema.sql
+-- the schema from before migrations, schema.sql, applied to every database on start.
+-- Kept idempotent and unchanged, as the databases it created start from it:
+-- later changes go in new migrations
 CREATE TABLE IF NOT EXISTS Repositories (
     id integer PRIMARY KEY,
     owner text NOT NULL,
@@ -48,4 +49,4 @@ INSERT OR IGNORE INTO MetricTypes (name) VALUES ('closedIssues');
 INSERT OR IGNORE INTO MetricTypes (name) VALUES ('totalPulls');
 INSERT OR IGNORE INTO MetricTypes (name) VALUES ('openPulls');
 INSERT OR IGNORE INTO MetricTypes (name) VALUES ('closedPulls');
-INSERT OR IGNORE INTO MetricTypes (name) VALUES ('mergedPulls');
\ No newline at end of file
+INSERT OR IGNORE INTO MetricTypes (name) VALUES ('mergedPulls');
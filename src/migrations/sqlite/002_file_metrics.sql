@@ -0,0 +1,33 @@
+-- the metrics of each file of the analysed commits, for the drill-down view
+CREATE TABLE FileMetrics (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    commit_id text NOT NULL,
+    commit_date date NOT NULL,
+    file_path text NOT NULL,
+    sloc integer NOT NULL,
+    cyclomatic float NOT NULL,
+    maintainability float NOT NULL,
+    halstead_effort float NOT NULL,
+    halstead_volume float NOT NULL,
+    halstead_difficulty float NOT NULL,
+    halstead_bugs float NOT NULL,
+    UNIQUE(repo_id, commit_id, file_path),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
+
+-- only the most complex functions of each commit are kept
+CREATE TABLE FunctionMetrics (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    commit_id text NOT NULL,
+    commit_date date NOT NULL,
+    file_path text NOT NULL,
+    name text NOT NULL,
+    line integer NOT NULL,
+    sloc integer NOT NULL,
+    cyclomatic float NOT NULL,
+    halstead_effort float NOT NULL,
+    UNIQUE(repo_id, commit_id, file_path, name, line),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
@@ -0,0 +1,71 @@
+-- `ref` is the branch or tag the commit was analysed on, so the results of
+-- different branches don't mix. Results stored before were of the default
+-- branch, taken as 'master'. SQLite can't change the UNIQUE keys of a table,
+-- so the tables are rebuilt with the ref in them
+CREATE TABLE MetricValues_new (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    ref text NOT NULL,
+    commit_id text NOT NULL,
+    commit_date date NOT NULL,
+    file_extension text NOT NULL,
+    metric_type_id integer NOT NULL,
+    metric_value float NOT NULL,
+    UNIQUE(repo_id, ref, commit_id, file_extension, metric_type_id),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id),
+    FOREIGN KEY (metric_type_id) REFERENCES MetricTypes(id)
+);
+INSERT INTO MetricValues_new
+    (id, repo_id, ref, commit_id, commit_date, file_extension, metric_type_id, metric_value)
+    SELECT id, repo_id, 'master', commit_id, commit_date, file_extension, metric_type_id, metric_value
+    FROM MetricValues;
+DROP TABLE MetricValues;
+ALTER TABLE MetricValues_new RENAME TO MetricValues;
+
+CREATE TABLE FileMetrics_new (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    ref text NOT NULL,
+    commit_id text NOT NULL,
+    commit_date date NOT NULL,
+    file_path text NOT NULL,
+    sloc integer NOT NULL,
+    cyclomatic float NOT NULL,
+    maintainability float NOT NULL,
+    halstead_effort float NOT NULL,
+    halstead_volume float NOT NULL,
+    halstead_difficulty float NOT NULL,
+    halstead_bugs float NOT NULL,
+    UNIQUE(repo_id, ref, commit_id, file_path),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
+INSERT INTO FileMetrics_new
+    (id, repo_id, ref, commit_id, commit_date, file_path, sloc, cyclomatic, maintainability,
+        halstead_effort, halstead_volume, halstead_difficulty, halstead_bugs)
+    SELECT id, repo_id, 'master', commit_id, commit_date, file_path, sloc, cyclomatic, maintainability,
+        halstead_effort, halstead_volume, halstead_difficulty, halstead_bugs
+    FROM FileMetrics;
+DROP TABLE FileMetrics;
+ALTER TABLE FileMetrics_new RENAME TO FileMetrics;
+
+CREATE TABLE FunctionMetrics_new (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    ref text NOT NULL,
+    commit_id text NOT NULL,
+    commit_date date NOT NULL,
+    file_path text NOT NULL,
+    name text NOT NULL,
+    line integer NOT NULL,
+    sloc integer NOT NULL,
+    cyclomatic float NOT NULL,
+    halstead_effort float NOT NULL,
+    UNIQUE(repo_id, ref, commit_id, file_path, name, line),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
+INSERT INTO FunctionMetrics_new
+    (id, repo_id, ref, commit_id, commit_date, file_path, name, line, sloc, cyclomatic, halstead_effort)
+    SELECT id, repo_id, 'master', commit_id, commit_date, file_path, name, line, sloc, cyclomatic, halstead_effort
+    FROM FunctionMetrics;
+DROP TABLE FunctionMetrics;
+ALTER TABLE FunctionMetrics_new RENAME TO FunctionMetrics;
@@ -0,0 +1,11 @@
+-- the commits picked by the sampling strategy of a quick analysis (e.g. 'week:100'),
+-- their values are stored in MetricValues like any other
+CREATE TABLE Samples (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    ref text NOT NULL,
+    name text NOT NULL,
+    commit_id text NOT NULL,
+    UNIQUE(repo_id, ref, name, commit_id),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
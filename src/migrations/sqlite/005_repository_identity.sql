@@ -0,0 +1,15 @@
+-- repositories are keyed by their normalised remote (e.g. 'github.com/owner/name'
+-- or 'file:///path/to/repo'), see utils.parseRemote, rather than by owner and name.
+-- Repositories stored before were all on GitHub. The table is rebuilt to drop
+-- the UNIQUE key of the owner and name, ids are kept for the tables referencing them
+CREATE TABLE Repositories_new (
+    id integer PRIMARY KEY,
+    identity text NOT NULL UNIQUE,
+    owner text NOT NULL,
+    name text NOT NULL
+);
+INSERT INTO Repositories_new (id, identity, owner, name)
+    SELECT id, 'github.com/' || owner || '/' || name, owner, name
+    FROM Repositories;
+DROP TABLE Repositories;
+ALTER TABLE Repositories_new RENAME TO Repositories;
@@ -0,0 +1,31 @@
+-- the issues and pull requests of a repository, synced from its forge by the date
+-- they were last updated, see Data#syncIssues. Dates are UNIX timestamps in
+-- milliseconds like commit dates, `labels` is a JSON array of label names
+CREATE TABLE Issues (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    number integer NOT NULL,
+    state text NOT NULL,
+    created_at date NOT NULL,
+    closed_at date,
+    updated_at date NOT NULL,
+    labels text NOT NULL,
+    author text,  -- NULL for deleted accounts
+    UNIQUE(repo_id, number),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
+
+CREATE TABLE PullRequests (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    number integer NOT NULL,
+    state text NOT NULL,
+    created_at date NOT NULL,
+    closed_at date,
+    merged_at date,
+    updated_at date NOT NULL,
+    labels text NOT NULL,
+    author text,  -- NULL for deleted accounts
+    UNIQUE(repo_id, number),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
@@ -0,0 +1,4 @@
+-- the backlog metrics, see utils.alignIssuesToCommits
+INSERT INTO MetricTypes (name) VALUES ('issuesOpened') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('issuesClosed') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('openIssuesAge') ON CONFLICT DO NOTHING;
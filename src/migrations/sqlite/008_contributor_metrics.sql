@@ -0,0 +1,5 @@
+-- the metrics of the commit authors, see contributors.js
+INSERT INTO MetricTypes (name) VALUES ('activeAuthors') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('newContributors') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('totalContributors') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('busFactor') ON CONFLICT DO NOTHING;
@@ -0,0 +1,7 @@
+-- the churn of the commits, see churn.js
+INSERT INTO MetricTypes (name) VALUES ('linesAdded') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('linesDeleted') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('filesAdded') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('filesRemoved') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('filesModified') ON CONFLICT DO NOTHING;
+INSERT INTO MetricTypes (name) VALUES ('churnRate') ON CONFLICT DO NOTHING;
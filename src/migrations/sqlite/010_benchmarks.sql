@@ -0,0 +1,8 @@
+-- the refs of the repositories other repositories are ranked against, see benchmark.js
+CREATE TABLE Benchmarks (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    ref text NOT NULL,
+    UNIQUE(repo_id, ref),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id)
+);
@@ -0,0 +1,19 @@
+-- the metrics counting the changes since the previous commit (e.g. linesAdded,
+-- issuesOpened), summed over the commits a quick analysis skipped before each
+-- of the commits it picked, see Data#analyse. They depend on the commits picked,
+-- so they are keyed by the oldest commit summed, `from_commit_id`, while
+-- MetricValues keeps the changes of each commit alone
+CREATE TABLE SampleDeltas (
+    id integer PRIMARY KEY,
+    repo_id integer NOT NULL,
+    ref text NOT NULL,
+    commit_id text NOT NULL,
+    from_commit_id text NOT NULL,
+    commit_date date NOT NULL,
+    file_extension text NOT NULL,
+    metric_type_id integer NOT NULL,
+    metric_value float NOT NULL,
+    UNIQUE(repo_id, ref, commit_id, from_commit_id, file_extension, metric_type_id),
+    FOREIGN KEY (repo_id) REFERENCES Repositories(id),
+    FOREIGN KEY (metric_type_id) REFERENCES MetricTypes(id)
+);
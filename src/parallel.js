@@ -1,67 +1,123 @@
 const os = require('os');
-const path = require('path');
 const { fork } = require('child_process');
 
 const { Clone } = require('./clone.js');
 
-async function parallelAnalysis(data, commit_ids, n_cpus = (os.cpus().length)) {
+/**
+ *  Analyses the commits in parallel, in separate processes. Commits are read from
+ *  the object database without checking them out, so all processes share the same clone.
+ *  @param {Data} data - The data object of the repository
+ *  @param {Array<string>} commit_ids - The ids of the commits to analyse
+ *  @param {object} [options] - The options
+ *  @param {number} [options.n_cpus=os.cpus().length] - The number of processes
+ *  @param {progressFunction} [options.onProgress] - See {@link Clone#analyseCommits}
+ *  @param {function(object)} [options.onResult] - See {@link Clone#analyseCommits}
+ *  @param {boolean} [options.perFile] - See {@link Clone#analyseCommits}
+ *  @param {number} [options.topFunctions] - See {@link Clone#analyseCommits}
+ *
+ *  @return {Promise<Array<object>>} The results of every commit
+ */
+async function parallelAnalysis(data, commit_ids, {
+        n_cpus = os.cpus().length,
+        onProgress = () => {},
+        onResult = () => {},
+        perFile,
+        topFunctions} = {}) {
     console.log(`Starting analysis in ${n_cpus} cores...`);
 
 
-    // split commits into alternating equal sized chunks
+    // split commits into contiguous equal sized chunks, so that each process
+    // diffs consecutive commits and reuses the most, see IncrementalAnalyser
+    const size = Math.max(1, Math.ceil(commit_ids.length / n_cpus));
     let params = [];
-    for (let n = 0; n < n_cpus; n++) {
-       let chunk = [];
-        for (let i = n; i < commit_ids.length; i += n_cpus) {
-            chunk.push(commit_ids[i]);
-        }
-        const repo_path = path.join(__dirname, 'repos', `${n}`, data.owner, data.name);
-        await Clone.init(data.clone.path, {clonePath: repo_path});
+    for (let start = 0; start < commit_ids.length; start += size) {
+        const chunk = commit_ids.slice(start, start + size);
         params.push({
-            path: repo_path,
+            path: data.clone.path,
             commit_ids: chunk,
+            perFile,
+            topFunctions,
         });
     }
 
+    // number of commits processed by each process
+    let processed = params.map(() => 0);
+
     // fork analysis into separate processes
+    let children = [];
     let promises = [];
-    for (const param of params) {
+    params.forEach((param, n) => {
         let p = fork(__filename);
+        children.push(p);
         p.send(param);
         // promisify process
         const promise = new Promise((resolve, reject) => {
+            // each commit's result is sent as soon as it is analysed
+            let results = [];
             p.on('message', msg => {
-                resolve(msg);
-                p.kill();
+                if (msg.type === 'result') {
+                    results.push(msg.result);
+                    processed[n]++;
+                    try {
+                        onResult(msg.result);
+                        onProgress(processed.reduce((a, b) => a + b, 0), commit_ids.length);
+                    } catch (err) {
+                        // progress callback asked us to stop
+                        reject(err);
+                    }
+                } else if (msg.type === 'done') {
+                    resolve(results);
+                    p.kill();
+                } else if (msg.type === 'error') {
+                    // the process failed before analysing all its commits
+                    reject(Error(`Analysis process ${n} failed: ${msg.message}`));
+                }
             });
             p.on('error', msg => {
                 reject(msg);
                 p.kill();
             });
+            // a crashed or killed process never reports the rest of its commits
+            p.on('exit', (code, signal) => {
+                reject(Error(`Analysis process ${n} exited (${signal || `code ${code}`}) ` +
+                    `after ${processed[n]} of ${param.commit_ids.length} commits`));
+            });
         });
         promises.push(promise);
-    }
+    });
 
     // merge results
     let results = [];
-    for (const result of await Promise.all(promises)) {
-        results.push(...result);
+    try {
+        for (const result of await Promise.all(promises)) {
+            results.push(...result);
+        }
+    } catch (err) {
+        // stop any processes still running
+        children.forEach(p => p.kill());
+        throw err;
     }
     return results;
 }
 
 
-async function analyseCommits({path, commit_ids}) {
+async function analyseCommits({path, commit_ids, onResult, perFile, topFunctions}) {
     const clone = await Clone.fromPath(path);
-    return clone.analyseCommits({commit_ids});;
+    return clone.analyseCommits({commit_ids, onResult, perFile, topFunctions});
 }
 
-process.on('message', async ({path, commit_ids}) => {
-    const results = await analyseCommits({path, commit_ids});
-    process.send(results);
+process.on('message', async ({path, commit_ids, perFile, topFunctions}) => {
+    const onResult = result => process.send({type: 'result', result});
+    try {
+        await analyseCommits({path, commit_ids, onResult, perFile, topFunctions});
+        process.send({type: 'done'});
+    } catch (err) {
+        // the IPC channel keeps this process alive, the parent has to be told
+        process.send({type: 'error', message: err.message || String(err)});
+    }
 });
 
 module.exports = {
     parallelAnalysis,
     analyseCommits,
-};
\ No newline at end of file
+};
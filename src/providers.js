@@ -0,0 +1,88 @@
+'use strict';
+
+// node and npm modules
+const fs = require('fs');
+
+// user defined modules
+const { Client } = require('./client.js');
+const { GitLabClient } = require('./gitlab.js');
+const { GiteaClient } = require('./gitea.js');
+
+/**
+ *  The {@link Forge} implementations, by name.
+ *  @type {Object<string, function(new:Forge, object)>}
+ */
+const providers = {
+    github: Client,
+    gitlab: GitLabClient,
+    gitea: GiteaClient,
+};
+
+/**
+ *  The configuration of a self-hosted forge
+ *  @typedef {object} ForgeConfig
+ *  @property {string} type - The name of the forge, see {@link providers}
+ *  @property {string} [url] - The API endpoint, if not the default one for the host
+ *  @property {string} [token] - The access token
+ */
+
+/**
+ *  Loads the forges configured by host, from the JSON in the `HUBLISTENER_FORGES`
+ *  environment variable, or from a file named 'forges.json' on the current directory,
+ *  e.g. `{"git.example.com": {"type": "gitlab", "token": "..."}}`.
+ *
+ *  @return {Object<string, ForgeConfig>} The configured forges, by host
+ */
+function loadConfig() {
+    let config = {};
+    if (process.env.HUBLISTENER_FORGES) {
+        config = JSON.parse(process.env.HUBLISTENER_FORGES);
+    } else if (fs.existsSync('./forges.json')) {
+        config = JSON.parse(fs.readFileSync('./forges.json', 'utf8'));
+    }
+    for (const [host, {type}] of Object.entries(config)) {
+        if (!providers.hasOwnProperty(type)) {
+            throw Error(`Unknown forge '${type}' for ${host}, ` +
+                `expected one of: ${Object.keys(providers).join(', ')}`);
+        }
+    }
+    return config;
+}
+
+/**
+ *  Creates the client of the forge hosting a repository, the configured one
+ *  for its host, otherwise the one guessed from the host name.
+ *  @param {RemoteInfo} remote - The repository, see {@link utils.parseRemote}
+ *  @param {object} [options] - The client options
+ *  @param {string} [options.auth_token] - The access token, overrides the configured one
+ *  @param {string} [options.token_file] - The path to a file holding the GitHub token
+ *  @param {Object<string, ForgeConfig>} [options.config]
+ *      The configured forges, see {@link loadConfig}
+ *
+ *  @return {Forge} The client, `null` if the forge is unknown (e.g. local repositories)
+ */
+function providerFor(remote, {auth_token, token_file, config = loadConfig()} = {}) {
+    if (!remote.host) {
+        return null;
+    }
+    const configured = config[remote.host] || {};
+    const type = configured.type || remote.forge;
+    if (!type) {
+        return null;
+    }
+    const Provider = providers[type];
+    return new Provider({
+        owner: remote.owner,
+        name: remote.name,
+        host: remote.host,
+        url: configured.url,
+        auth_token: auth_token || configured.token,
+        token_file,
+    });
+}
+
+module.exports = {
+    providers,
+    loadConfig,
+    providerFor,
+};
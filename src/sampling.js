@@ -0,0 +1,164 @@
+'use strict';
+
+// node and npm modules
+const moment = require('moment');
+
+/**
+ *  The number of commits sampled by default.
+ *  @type {number}
+ */
+const DEFAULT_BUDGET = 100;
+
+/**
+ *  Keeps at most `budget` commits, evenly spaced and always including
+ *  the first and last ones.
+ *  @param {Array<Commit>} commits - The commits, oldest first
+ *  @param {number} budget - The maximum number of commits to keep
+ *
+ *  @return {Array<Commit>} The kept commits, in the same order
+ */
+function thin(commits, budget) {
+    if (commits.length <= budget) {
+        return commits;
+    }
+    if (budget === 1) {
+        return commits.slice(-1);
+    }
+    let kept = [];
+    for (let i = 0; i < budget; i++) {
+        kept.push(commits[Math.round(i * (commits.length - 1) / (budget - 1))]);
+    }
+    return kept;
+}
+
+// keeps the last commit in each period of time, e.g. 'day', 'isoWeek' or 'month'
+const byPeriod = unit => async (commits, {budget}) => {
+    let last = new Map();
+    for (const commit of commits) {
+        const period = moment.utc(commit.date()).startOf(unit).valueOf();
+        const previous = last.get(period);
+        if (!previous || commit.date() >= previous.date()) {
+            last.set(period, commit);
+        }
+    }
+    const sampled = [...last.values()].sort((a, b) => a.date() - b.date());
+    return thin(sampled, budget);
+};
+
+/**
+ *  A sampling strategy, picks the commits of a quick analysis.
+ *  @callback samplingStrategy
+ *  @param {Array<Commit>} commits - The commit history, oldest first
+ *  @param {object} options - The options
+ *  @param {number} options.budget - The maximum number of commits to pick
+ *  @param {Clone} options.clone - The clone the commits are from
+ *
+ *  @return {Promise<Array<Commit>>} The picked commits, oldest first
+ */
+
+/**
+ *  The sampling strategies available, by name.
+ *  @type {Object<string, samplingStrategy>}
+ */
+const strategies = {
+    // a fixed number of evenly spaced commits
+    'count': async (commits, {budget}) => thin(commits, budget),
+
+    // the last commit of each day, week or month
+    'day': byPeriod('day'),
+    'week': byPeriod('isoWeek'),
+    'month': byPeriod('month'),
+
+    // one commit per tag, releases are tags too
+    'tag': async (commits, {budget, clone}) => {
+        const tagged = await clone.taggedCommits();
+        return thin(commits.filter(c => tagged.has(c.id().tostrS())), budget);
+    },
+
+    // the merges into the analysed branch, following only the first parents
+    'first-parent': async (commits, {budget}) => {
+        const byId = new Map(commits.map(c => [c.id().tostrS(), c]));
+        let merges = [];
+        // the newest commit is the tip of the branch
+        let commit = commits[commits.length - 1];
+        while (commit) {
+            if (commit.parentcount() > 1) {
+                merges.push(commit);
+            }
+            commit = commit.parentcount() > 0 ?
+                byId.get(commit.parentId(0).tostrS()) : undefined;
+        }
+        return thin(merges.reverse(), budget);
+    },
+};
+
+/**
+ *  Samples the commits of a quick analysis.
+ *  @param {Array<Commit>} commits - The commit history, oldest first
+ *  @param {object} [options] - The options
+ *  @param {string} [options.strategy='count'] - The name of the strategy, see {@link strategies}
+ *  @param {number} [options.budget=DEFAULT_BUDGET] - The maximum number of commits to pick
+ *  @param {Clone} [options.clone] - The clone the commits are from
+ *
+ *  @return {Promise<Array<Commit>>} The sampled commits, oldest first
+ */
+function sample(commits, {strategy = 'count', budget = DEFAULT_BUDGET, clone} = {}) {
+    validate({strategy, budget});
+    return strategies[strategy](commits, {budget, clone});
+}
+
+/**
+ *  Checks the sampling options, throws if they are not valid.
+ *  @param {object} options - The options, see {@link sample}
+ */
+function validate({strategy = 'count', budget = DEFAULT_BUDGET} = {}) {
+    if (!strategies.hasOwnProperty(strategy)) {
+        throw Error(`Unknown sampling strategy '${strategy}', ` +
+            `expected one of: ${Object.keys(strategies).join(', ')}`);
+    }
+    if (!Number.isInteger(budget) || budget < 1) {
+        throw Error(`Not a valid sampling budget (${budget}), expected a positive integer`);
+    }
+}
+
+/**
+ *  The name a sample is stored under, e.g. 'week:100'.
+ *  @param {object} options - The options, see {@link sample}
+ *
+ *  @return {string} The name of the sample
+ */
+function sampleName({strategy = 'count', budget = DEFAULT_BUDGET} = {}) {
+    return `${strategy}:${budget}`;
+}
+
+/**
+ *  Gets the commits each sampled commit stands for, i.e. itself and the ones
+ *  skipped since the previous sampled commit (or since the first commit).
+ *  @param {Array<string>} historyIds - The ids of the commit history, oldest first
+ *  @param {Array<string>} sampledIds - The ids of the sampled commits, oldest first
+ *
+ *  @return {Map<string, Array<string>>} The ids of the commits of each sampled commit, oldest first
+ */
+function gaps(historyIds, sampledIds) {
+    const sampled = new Set(sampledIds);
+    let results = new Map();
+    let skipped = [];
+    for (const commit_id of historyIds) {
+        skipped.push(commit_id);
+        if (sampled.has(commit_id)) {
+            results.set(commit_id, skipped);
+            skipped = [];
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    DEFAULT_BUDGET,
+    strategies,
+    sample,
+    validate,
+    sampleName,
+    gaps,
+    thin,
+};
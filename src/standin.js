@@ -0,0 +1,146 @@
+'use strict';
+
+// node and npm modules
+const express = require('express');
+const fs = require('fs');
+
+// user defined modules
+const utils = require('./utils.js');
+const mkLogger = require('./log.js');
+const logger = mkLogger({label: __filename, level: 'info'});
+
+/**
+ *  The repository served by the stand-in server, see 'standin.json' for an example
+ *  @typedef {object} StandInRepository
+ *  @property {number} forks - The number of forks
+ *  @property {number} stargazers - The number of stargazers
+ *  @property {Object<string, number>} refs - The number of commits in each branch or tag
+ *  @property {Array<object>} issues
+ *      The issues, as GitHub returns them: number, state, createdAt, closedAt,
+ *      updatedAt, author (login) and labels (names)
+ *  @property {Array<object>} pullRequests - The pull requests, like issues with mergedAt
+ */
+
+// pages through issues or pull requests, most recently updated first
+function connection(items, args) {
+    const first = Number((/first:\s*(\d+)/.exec(args) || [])[1] || 100);
+    const after = Number((/after:\s*"(\d+)"/.exec(args) || [])[1] || 0);
+    const sorted = [...items].sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt));
+    return {
+        totalCount: items.length,
+        edges: sorted.slice(after, after + first).map((item, i) => ({
+            cursor: String(after + i + 1),
+            node: {
+                mergedAt: null,
+                ...item,
+                author: item.author ? {login: item.author} : null,
+                labels: {nodes: (item.labels || []).map(name => ({name}))},
+            },
+        })),
+    };
+}
+
+/**
+ *  Answers a GraphQL query of the {@link Client} from the data of a repository.
+ *  Only understands the fields the client asks for: issues, pullRequests, forks,
+ *  stargazers, the history of a ref and the rate limit, whatever the owner and
+ *  name of the repository queried.
+ *  @param {StandInRepository} repo - The repository
+ *  @param {string} query - The GraphQL query
+ *  @param {object} [variables={}] - The variables of the query
+ *
+ *  @return {object} The response body
+ */
+function answer(repo, query, variables = {}) {
+    let repository = {};
+    const paged = /\b(issues|pullRequests)\s*\(([^)]*)\)/.exec(query);
+    if (paged) {
+        repository[paged[1]] = connection(repo[paged[1]] || [], paged[2]);
+    }
+    if (/\bpullRequests\s*{/.test(query)) {
+        repository.pullRequests = {totalCount: (repo.pullRequests || []).length};
+    }
+    if (/\bforks\s*{/.test(query)) {
+        repository.forks = {totalCount: repo.forks || 0};
+    }
+    if (/\bstargazers\s*{/.test(query)) {
+        repository.stargazers = {totalCount: repo.stargazers || 0};
+    }
+    if (/\bref\s*\(/.test(query)) {
+        const count = (repo.refs || {})[variables.ref];
+        repository.ref = count === undefined ? null :
+            {target: {history: {totalCount: count}}};
+    }
+    if (Object.keys(repository).length === 0) {
+        return {data: null, errors: [{message: 'The stand-in server does not understand this query'}]};
+    }
+
+    let data = {repository};
+    if (/\brateLimit\s*{/.test(query)) {
+        data.rateLimit = {cost: 1, remaining: 5000, resetAt: new Date(Date.now() + 60 * 60 * 1000)};
+    }
+    return {data};
+}
+
+/**
+ *  Creates a local stand-in for the GitHub GraphQL API, serving a repository at
+ *  `POST /graphql`, so HubListener can run without network access. Point the
+ *  GitHub client at it in the forge configuration, see {@link providers.loadConfig}.
+ *  @param {StandInRepository} repo - The repository
+ *
+ *  @return {express.Application} The server application
+ */
+function createApp(repo) {
+    const app = express();
+    app.use(express.json());
+    app.post('/graphql', (req, res) => {
+        const {query, variables} = req.body;
+        logger.debug(`[POST] request to /graphql`);
+        res.json(answer(repo, query, variables || {}));
+    });
+    return app;
+}
+
+/**
+ *  Runs the stand-in server.
+ *  @function
+ *  @param {Array<string>} args - The un-parsed array of command-line arguments
+ */
+function main(args) {
+    const optionsMsg = `
+    Usage:  node standin.js [--port <port>] [--data <file>]
+
+    -h, --help          : Print command line options
+    --port <port>       : The port to listen on (default: 4000)
+    --data <file>       : The repository to serve (default: standin.json)
+
+    Analyse against it with the GitHub client pointed at it, e.g.
+    HUBLISTENER_FORGES='{"github.com": {"type": "github", "url": "http://localhost:4000/graphql", "token": "none"}}'
+    `;
+
+    let options;
+    try {
+        options = utils.argParse(args);
+    } catch (err) {
+        console.log(err.message);
+        console.log(optionsMsg);
+        return;
+    }
+    if (options['h'] || options['help']) {
+        console.log(optionsMsg);
+        return;
+    }
+
+    const port = Number(options['port'] || 4000);
+    const repo = JSON.parse(fs.readFileSync(options['data'] || 'standin.json', 'utf8'));
+    createApp(repo).listen(port, () => logger.info(`Stand-in GitHub API listening on port ${port}`));
+}
+
+if (require.main === module) {
+    main(process.argv);
+}
+
+module.exports = {
+    answer,
+    createApp,
+};
@@ -3,13 +3,29 @@ let barchart;
 let chartData;
 let barchartData;
 let chartConfig;
+let repo;
+let compareChart;
+let compareData;
+let compareLatest;
 
 document.addEventListener('DOMContentLoaded', () => {
     const form = document.getElementById('form');
     form.addEventListener('submit', submitForm);
-    loadView('main');
+    document.getElementById('compare-form').addEventListener('submit', submitCompare);
+    window.addEventListener('hashchange', route);
+    route();
 });
 
+// Show the comparison view at '#compare', and the form otherwise
+function route() {
+    if (location.hash === '#compare') {
+        loadView('compare');
+        loadRepositories();
+    } else {
+        loadView('main');
+    }
+}
+
 function loadView(viewName) {
     let views = document.getElementsByClassName('view');
     for (const view of views) {
@@ -57,113 +73,445 @@ function updateChart() {
     chart.updateConfig(chartConfig);
 }
 
-function submitForm(event) {
-    event.preventDefault();
+// Human readable descriptions of the job states
+const jobStateText = {
+    'queued': 'Queued...',
+    'cloning': 'Cloning repository...',
+    'analysing': 'Analysing commits...',
+    'fetching-meta': 'Fetching forge data...',
+};
 
-    // Hide form controls and display loading spinner and progress text
-    loadView('loading');
-    const json = form2json(event.target);
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function showProgress(job) {
+    let text = jobStateText[job.state] || job.state;
+    let percent = 0;
+    if (job.total > 0) {
+        text += ` (${job.processed}/${job.total} commits)`;
+        percent = Math.round(100 * job.processed / job.total);
+    }
+    $(".progress-text").text(text);
+    $(".progress-bar").css('width', `${percent}%`);
+}
+
+// Poll the job until it finishes, returns a promise to the job results
+async function pollJob(id, interval = 1000) {
+    while (true) {
+        const job = await ajax("GET", `/jobs/${id}`);
+        showProgress(job);
+        if (job.state === 'done') {
+            return job.result;
+        } else if (job.state === 'failed') {
+            throw {responseText: job.error};
+        } else if (job.state === 'cancelled') {
+            throw {responseText: 'Analysis cancelled'};
+        }
+        await sleep(interval);
+    }
+}
+
+// Parse the dates of points received from the server into date objects
+function parsePoints(points) {
+    for (const point of points) {
+        point['commit_date'] = new Date(point['commit_date']);
+    }
+    return points;
+}
+
+function renderChart() {
+    // First time / default tauchart config
+    chartConfig = {
+        data: chartData,
+        type: 'line',
+        x: 'commit_date',
+        y: 'numberOfFiles',
+        color: 'file_extension',
+        guide: {
+        x: {nice: true},
+        y: {nice: true},
+        padding: {b:40,l:40,t:10,r:10}
+    },
+        plugins: [
+            Taucharts.api.plugins.get('quick-filter')(['commit_date']), // quick-filter must be plugin 0
+            Taucharts.api.plugins.get('tooltip')(),
+            Taucharts.api.plugins.get('legend')()
+        ]
+    };
+
+    chart = new Taucharts.Chart(chartConfig);
+    chart.renderTo("#chart");
+
+    // Drill down into the files of a commit when clicking on its point
+    chart.on('elementclick', (chart, e) => {
+        if (e.data && e.data.commit_id) {
+            loadFiles(e.data.commit_id);
+        }
+    });
+
+    let xSelect = $("#x-axis");
+    let ySelect = $("#y-axis");
+
+    // Populate x/y select dropdowns
+    xSelect.empty();
+    ySelect.empty();
+    for (let prop in chartData[0]) {
+        xSelect.append($('<option>', {value: prop, text: prop}));
+        ySelect.append($('<option>', {value: prop, text: prop}));
+    }
+
+    // Set default values for x/y select dropdowns
+    xSelect.val('commit_date');
+    ySelect.val('numberOfFiles');
 
-    ajax("POST", "/analyse", json)
+    // Wire onchange events for x/y select dropdowns
+    xSelect.off('change').on('change', e => {
+        chartConfig.x = xSelect.val();
+        updateChart();
+    });
+
+    ySelect.off('change').on('change', e => {
+        chartConfig.y = ySelect.val();
+        updateChart();
+    });
+
+    // Wire export button
+    $("#export").off('click').on('click', e => {
+        let data = JSON.stringify(chartData, null, 4);
+
+        let blob = new Blob([data], {type: 'application/json'});
+        let url = URL.createObjectURL(blob);
+
+        let element = document.createElement('a');
+        element.setAttribute('href', url);
+        element.setAttribute('download', 'data.json');
+
+        element.style.display = 'none';
+        document.body.appendChild(element);
+
+        element.click();
+
+        document.body.removeChild(element);
+    });
+}
+
+function fmt(value) {
+    return typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+}
+
+function fillTable(selector, rows, columns) {
+    const body = $(`${selector} tbody`).empty();
+    for (const row of rows) {
+        const tr = $('<tr>');
+        for (const column of columns) {
+            tr.append($('<td>').text(fmt(row[column])));
+        }
+        body.append(tr);
+    }
+}
+
+// Load the per-file and per-function metrics of a commit, the last one by default
+function loadFiles(commit) {
+    // Repository not known until the analysis is done
+    if (!repo) {
+        return;
+    }
+    const {owner, name, identity, ref} = repo;
+    const params = new URLSearchParams(commit ? {identity, ref, commit} : {identity, ref});
+    ajax("GET", `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}/files?${params}`)
+        .then(x => {
+            $("#files-commit").text(x.commit_id.slice(0, 7));
+            fillTable("#files-table", x.files,
+                ['path', 'sloc', 'cyclomatic', 'maintainability', 'halsteadEffort']);
+            fillTable("#functions-table", x.functions,
+                ['name', 'path', 'line', 'sloc', 'cyclomatic']);
+            $("#files").show();
+        })
+        // No per-file metrics for this repository or commit
+        .catch(e => $("#files").hide());
+}
+
+// Describe a ranking, e.g. 'cyclomaticComplexity: worse than 78% of benchmark javascript projects'
+function describeRanking(r) {
+    const projects = `of benchmark ${r.language} projects`;
+    if (!r.better) {
+        return `${r.metric}: higher than ${r.below}% ${projects}`;
+    }
+    const [better, worse] = r.better === 'lower' ? [r.above, r.below] : [r.below, r.above];
+    return better >= worse ?
+        `${r.metric}: better than ${better}% ${projects}` :
+        `${r.metric}: worse than ${worse}% ${projects}`;
+}
+
+// Load the ranking of the latest metrics against the benchmark projects
+function loadRanking() {
+    if (!repo) {
+        return;
+    }
+    const {owner, name, identity, ref} = repo;
+    const params = new URLSearchParams({identity, ref});
+    ajax("GET", `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}/ranking?${params}`)
         .then(x => {
-            $("#repo-url").attr({
-                "href": x.repo.url,
-                "target": "_blank"
-            });
-            $("#repo-owner").text(x.repo.owner);
-            $("#repo-name").text(x.repo.name);
-
-            // Make any necessary transformations to the parsed JSON results
-            for (data of x.points) {
-                // Parse dates into date objects
-                data['commit_date'] = new Date(data['commit_date']);
+            // No benchmark analysed yet
+            if (x.rankings.length === 0) {
+                $("#ranking").hide();
+                return;
+            }
+            $("#ranking-size").text(x.benchmarkSize);
+            const list = $("#ranking-list").empty();
+            for (const r of x.rankings) {
+                list.append($('<li>').text(`${describeRanking(r)} (${r.extension}: ${fmt(r.value)})`));
             }
+            $("#ranking").show();
+        })
+        .catch(e => $("#ranking").hide());
+}
+
+// Append newly analysed points to the chart, rendering it on the first points
+function appendPoints(points) {
+    chartData.push(...parsePoints(points));
+    if (chartData.length === 0) {
+        return;
+    }
+    if (!chart) {
+        // Hide loading spinner and display results div
+        // Must unhide results div before rendering chart to ensure chart is rendered at the correct resolution
+        loadView('results');
+        renderChart();
+    } else {
+        chart.setData(chartData);
+    }
+}
+
+function renderResults(x) {
+    $("#repo-url").attr({
+        "href": x.repo.url,
+        "target": "_blank"
+    });
+    $("#repo-owner").text(x.repo.owner);
+    $("#repo-name").text(x.repo.name);
+    $("#live").hide();
+    repo = x.repo;
+
+    // The final points replace the streamed ones
+    chartData.splice(0, chartData.length, ...parsePoints(x.points));
+    barchartData = Object.entries(x.bar).map(([k, v]) => ({key: k, value: v}));
+
+    loadView('results');
+    if (!chart) {
+        renderChart();
+    } else {
+        chart.setData(chartData);
+    }
+
+    // Repositories not hosted on a known forge have no metadata
+    if (barchartData.length > 0) {
+        barchart = new Taucharts.Chart({
+            data: barchartData,
+            x: 'key',
+            y: 'value',
+            type: 'bar',
+            color: 'key',
+            plugins: [
+                Taucharts.api.plugins.get('tooltip')(),
+                Taucharts.api.plugins.get('legend')()
+            ]
+        });
+        barchart.renderTo("#barchart");
+    }
 
-            chartData = x.points;
-            barchartData = Object.entries(x.bar).map(([k, v]) => ({key: k, value: v}));
-
-            // Hide loading spinner and display results div
-            // Must unhide results div before rendering chart to ensure chart is rendered at the correct resolution
-            loadView('results');
-
-            // First time / default tauchart config
-            chartConfig = {
-                data: chartData,
-                type: 'line',
-                x: 'commit_date',
-                y: 'numberOfFiles',
-                color: 'file_extension',
-                guide: {
-                x: {nice: true},
-                y: {nice: true},
-                padding: {b:40,l:40,t:10,r:10}
-            },
-                plugins: [
-                    Taucharts.api.plugins.get('quick-filter')(['commit_date']), // quick-filter must be plugin 0
-                    Taucharts.api.plugins.get('tooltip')(),
-                    Taucharts.api.plugins.get('legend')()
-                ]
-            };
-
-            chart = new Taucharts.Chart(chartConfig);
-            chart.renderTo("#chart");
-
-            barchart = new Taucharts.Chart({
-                data: barchartData,
-                x: 'key',
-                y: 'value',
-                type: 'bar',
-                color: 'key',
-                plugins: [
-                    Taucharts.api.plugins.get('tooltip')(),
-                    Taucharts.api.plugins.get('legend')()
-                ]
-            });
-            barchart.renderTo("#barchart");
-
-            let xSelect = $("#x-axis");
-            let ySelect = $("#y-axis");
-
-            // Populate x/y select dropdowns
-            for (let prop in chartData[0]) {
-                xSelect.append($('<option>', {value: prop, text: prop}));
-                ySelect.append($('<option>', {value: prop, text: prop}));
+    loadFiles();
+    loadRanking();
+}
+
+// Open a stream of points for the analysis, returns a promise to the job id
+function streamAnalysis(json) {
+    return new Promise((resolve, reject) => {
+        const params = new URLSearchParams({
+            url: json.url,
+            quick: json.quick,
+            perFile: json.perFile,
+            ref: json.ref,
+            range: json.range,
+            sampling: json.sampling,
+            budget: json.budget,
+            since: json.since,
+            until: json.until,
+        });
+        const source = new EventSource(`/analyse/stream?${params}`);
+        let id = null;
+
+        source.addEventListener('job', e => {
+            id = JSON.parse(e.data).id;
+            resolve(id);
+        });
+        source.addEventListener('points', e => appendPoints(JSON.parse(e.data)));
+        source.addEventListener('end', e => source.close());
+
+        // Don't let the browser reconnect, that would start a new analysis
+        source.onerror = e => {
+            source.close();
+            if (id === null) {
+                reject({responseText: 'Could not start the analysis'});
             }
+        };
+    });
+}
 
-            // Set default values for x/y select dropdowns
-            xSelect.val('commit_date');
-            ySelect.val('numberOfFiles');
+// List the analysed repositories to pick for a comparison
+function loadRepositories() {
+    ajax("GET", "/repos")
+        .then(x => {
+            const select = $("#compare-repos");
+            const selected = select.val() || [];
+            select.empty();
+            for (const r of x.repos) {
+                const value = `${r.id}:${r.ref}`;
+                select.append($('<option>', {
+                    value: value,
+                    text: `${r.owner}/${r.name} (${r.ref}, ${r.commits} commits)`,
+                    selected: selected.includes(value),
+                }));
+            }
+        })
+        .catch(e => console.log("Error: ", e));
+}
 
-            // Wire onchange events for x/y select dropdowns
-            xSelect.on('change', e => {
-                chartConfig.x = xSelect.val();
-                updateChart();
-            });
+// The properties of the compared points that are not metrics
+const pointInfo = new Set([
+    'repo_id', 'ref', 'commit_id', 'commit_date', 'file_extension', 'repo', 'days_since_first_commit'
+]);
 
-            ySelect.on('change', e => {
-                chartConfig.y = ySelect.val();
-                updateChart();
-            });
+function fillSelect(selector, values, preferred) {
+    const select = $(selector);
+    const current = select.val();
+    select.empty();
+    for (const value of values) {
+        select.append($('<option>', {value: value, text: value}));
+    }
+    select.val([current, preferred, values[0]].find(v => values.includes(v)));
+}
+
+function renderComparison(x) {
+    compareData = parsePoints(x.points);
+    compareLatest = x.latest;
+
+    const metrics = new Set();
+    for (const point of compareData) {
+        Object.keys(point).filter(k => !pointInfo.has(k)).forEach(k => metrics.add(k));
+    }
+    fillSelect("#compare-metric", [...metrics].sort(), 'numberOfLines');
+    fillSelect("#compare-extension", [...new Set(compareData.map(p => p.file_extension))].sort(), '.js');
+    $("#compare-controls select").off('change').on('change', drawComparison);
+
+    // Must unhide the results before rendering the chart, to render it at the correct resolution
+    $("#compare-results").show();
+    drawComparison();
+}
 
-            // Wire export button
-            $("#export").on('click', e => {
-                let data = JSON.stringify(chartData, null, 4);
+// Plot the chosen metric of every compared repository, coloured by repository
+function drawComparison() {
+    const metric = $("#compare-metric").val();
+    const extension = $("#compare-extension").val();
+    const x = $("#compare-align").val();
+    const data = compareData
+        .filter(p => p.file_extension === extension && p[metric] !== undefined)
+        .sort((a, b) => a[x] - b[x]);
 
-                let blob = new Blob([data], {type: 'application/json'});
-                let url = URL.createObjectURL(blob);
+    if (compareChart) {
+        compareChart.destroy();
+    }
+    $("#compare-chart").empty();
+    compareChart = new Taucharts.Chart({
+        data: data,
+        type: 'line',
+        x: x,
+        y: metric,
+        color: 'repo',
+        guide: {
+            x: {nice: true},
+            y: {nice: true},
+            padding: {b:40,l:40,t:10,r:10}
+        },
+        plugins: [
+            Taucharts.api.plugins.get('tooltip')(),
+            Taucharts.api.plugins.get('legend')()
+        ]
+    });
+    compareChart.renderTo("#compare-chart");
 
-                let element = document.createElement('a');
-                element.setAttribute('href', url);
-                element.setAttribute('download', 'data.json');
+    // The latest values of the extension side by side, a column per repository
+    const labels = Object.keys(compareLatest);
+    const head = $('<tr>').append($('<th>').text(`Metric (${extension})`));
+    labels.forEach(label => head.append($('<th>').text(label)));
+    $("#compare-table thead").empty().append(head);
 
-                element.style.display = 'none';
-                document.body.appendChild(element);
+    const rows = $("#compare-metric option").map((i, o) => o.value).get().map(m => {
+        const row = {metric: m};
+        labels.forEach(label => row[label] = (compareLatest[label][extension] || {})[m]);
+        return row;
+    });
+    fillTable("#compare-table", rows, ['metric', ...labels]);
+}
 
-                element.click();
+async function submitCompare(event) {
+    event.preventDefault();
+    const selected = $("#compare-repos").val() || [];
+    const urls = $("#compare-urls").val().split('\n').map(u => u.trim()).filter(u => u);
+    const quick = $("#compare-quick").is(':checked');
 
-                document.body.removeChild(element);
-            });
+    $("#compare-results").hide();
+    $("#error").hide();
+    try {
+        // Queue the new repositories, the server analyses them one at a time
+        const jobs = await Promise.all(urls.map(url => ajax("POST", "/analyse", {url, quick})));
+        let analysed = [];
+        if (jobs.length > 0) {
+            showProgress({state: 'queued', total: 0});
+            $("#compare-loading").show();
+        }
+        for (const {id} of jobs) {
+            const result = await pollJob(id);
+            analysed.push(`${result.repo.id}:${result.repo.ref}`);
+        }
+        $("#compare-loading").hide();
+
+        const params = new URLSearchParams({repos: [...selected, ...analysed].join(',')});
+        renderComparison(await ajax("GET", `/compare?${params}`));
+        loadRepositories();
+    } catch (e) {
+        console.log("Error: ", e);
+        $("#compare-loading").hide();
+        $("#error").html(e.responseText).show();
+    }
+}
+
+function submitForm(event) {
+    event.preventDefault();
+
+    // Hide form controls and display loading spinner and progress text
+    loadView('loading');
+    showProgress({state: 'queued', total: 0});
+    $("#live").show();
+    const json = form2json(event.target);
+
+    // Reset any previous results
+    chart = undefined;
+    repo = undefined;
+    chartData = [];
+    $("#chart").empty();
+    $("#barchart").empty();
+    $("#files").hide();
+    $("#ranking").hide();
+
+    streamAnalysis(json)
+        .then(id => {
+            // Wire cancel buttons
+            $(".cancel").off('click').on('click', e => ajax("DELETE", `/jobs/${id}`));
+            return pollJob(id);
         })
+        .then(renderResults)
         .catch(e => {
             console.log("Error: ", e);
             $("#results").hide();
@@ -171,4 +519,4 @@ function submitForm(event) {
             $("#error").html(e.responseText).show();
             $("#form").show();
         });
-}
\ No newline at end of file
+}
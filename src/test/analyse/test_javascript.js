@@ -0,0 +1,88 @@
+const test = require('ava');
+
+const analyse = require('../../analyse.js');
+
+// analyses a single file, with its functions
+const analyseOne = (path, lines) => analyse.javascript([{path, code: lines.join('\n')}], {perFile: true});
+
+const names = report => report.functions.map(f => f.name).sort();
+
+test('javascript should strip the type annotations of TypeScript files', async t => {
+    const report = await analyseOne('src/stack.ts', [
+        'interface Sized { size(): number; }',
+        'type Item<T> = { value: T };',
+        'export class Stack<T> implements Sized {',
+        '    private items: Array<Item<T>> = [];',
+        '    push(value: T): void {',
+        '        this.items.push({value});',
+        '    }',
+        '    size(): number {',
+        '        return this.items.length as number;',
+        '    }',
+        '}',
+        'export function isEmpty(stack?: Sized): boolean {',
+        '    return !stack || stack.size() === 0;',
+        '}',
+    ]);
+    t.is(report.numberOfFiles, 1);
+    t.is(report.numberOfFailedFiles, 0);
+    t.deepEqual(names(report), ['Stack.push', 'Stack.size', 'isEmpty']);
+});
+
+test('javascript should strip the JSX of .jsx files', async t => {
+    const report = await analyseOne('src/List.jsx', [
+        'export function List({items}) {',
+        '    if (items.length === 0) {',
+        '        return <p className="empty">Nothing here</p>;',
+        '    }',
+        '    return <ul>{items.map(item => <li key={item.id}>{item.name}</li>)}</ul>;',
+        '}',
+    ]);
+    t.is(report.numberOfFailedFiles, 0);
+    t.true(report.functions.some(f => f.name === 'List' && f.cyclomatic === 2));
+});
+
+test('javascript should strip the types and JSX of .tsx components', async t => {
+    const report = await analyseOne('src/Greeting.tsx', [
+        'import * as React from "react";',
+        'interface Props { name?: string }',
+        'export const Greeting: React.FC<Props> = ({name}: Props) =>',
+        '    <h1>Hello, {name ?? "world"}</h1>;',
+        'export function Page(props: Props): JSX.Element {',
+        '    return <main><Greeting {...props} /></main>;',
+        '}',
+    ]);
+    t.is(report.numberOfFailedFiles, 0);
+    t.true(names(report).includes('Page'));
+});
+
+test('javascript should analyse ES modules and CommonJS files', async t => {
+    const report = await analyse.javascript([
+        {path: 'lib/a.mjs', code: 'import {b} from "./b.mjs";\nexport function a() {\n    return b();\n}\n'},
+        {path: 'lib/c.cjs', code: 'const fs = require("fs");\nmodule.exports = function c() {\n    return fs;\n};\n'},
+    ], {perFile: true});
+    t.is(report.numberOfFiles, 2);
+    t.is(report.numberOfFailedFiles, 0);
+    t.deepEqual(report.files.map(f => f.path), ['lib/a.mjs', 'lib/c.cjs']);
+    t.true(report.avgDependencies > 0);
+});
+
+test('javascript should count an unparsable file apart from the files it reports on', async t => {
+    const parsed = {path: 'src/a.ts', code: 'export const one = (): number => 1;\n'};
+    const broken = {path: 'src/broken.ts', code: 'export const = (;\n'};
+    const report = await analyse.javascript([parsed, broken], {perFile: true});
+    const alone = await analyse.javascript([parsed], {perFile: true});
+
+    t.is(report.numberOfFailedFiles, 1);
+    // the lines and files are those of the parsed file only
+    t.is(report.numberOfFiles, alone.numberOfFiles);
+    t.is(report.numberOfLines, alone.numberOfLines);
+    t.deepEqual(report.files, alone.files);
+});
+
+test('javascript should count the lines of the files when none of them parse', async t => {
+    const report = await analyse.javascript([{path: 'src/broken.jsx', code: 'return <\n<\n'}]);
+    t.is(report.numberOfFiles, 1);
+    t.is(report.numberOfFailedFiles, 1);
+    t.is(report.numberOfLines, 3);
+});
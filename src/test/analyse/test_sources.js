@@ -0,0 +1,48 @@
+const test = require('ava');
+
+const analyse = require('../../analyse.js');
+
+const sources = [
+    {path: 'src/a.js', code: '// add\nfunction add(a, b) {\n    return a + b;\n}\n'},
+    {path: 'src/b.ts', code: 'export const id = (x: number): number => x;\n'},
+    {path: 'src/broken.js', code: 'function (\n'},
+];
+
+test('javascript should analyse in-memory sources', async t => {
+    const report = await analyse.javascript(sources, {perFile: true});
+    t.is(report.numberOfFiles, 2);
+    t.is(report.numberOfFailedFiles, 1);
+    t.is(report.numberOfComments, 1);
+    t.deepEqual(report.files.map(f => f.path), ['src/a.js', 'src/b.ts']);
+    t.true(report.functions.some(f => f.name === 'add' && f.path === 'src/a.js'));
+});
+
+test('javascript should analyse Flow typed JSX in .js files', async t => {
+    const report = await analyse.javascript([
+        {path: 'src/App.js', code: [
+            'import type { User } from "./types";',
+            'type Props = {| user: User |};',
+            'export function App({user}: Props) {',
+            '    return <p>{user.name || "anonymous"}</p>;',
+            '}',
+        ].join('\n')},
+    ], {perFile: true});
+    t.is(report.numberOfFailedFiles, 0);
+    t.true(report.functions.some(f => f.name === 'App'));
+});
+
+test('generic should count the lines of in-memory sources', async t => {
+    const report = await analyse.generic([
+        {path: 'README.md', code: '# title\n\ntext'},
+        {path: 'LICENSE', code: 'MIT'},
+    ]);
+    t.deepEqual(report, {numberOfFiles: 2, numberOfLines: 4});
+});
+
+test('python should always report the files, even if the script can not run', async t => {
+    const report = await analyse.python([
+        {path: 'a.py', code: 'def add(a, b):\n    return a + b\n'},
+    ]);
+    t.is(report.numberOfFiles, 1);
+    t.true(report.numberOfLines > 0);
+});
@@ -0,0 +1,38 @@
+const test = require('ava');
+
+const { AnalyserRegistry } = require('../../analysers.js');
+
+const mkAnalyser = (name, extensions, metrics = ['numberOfFiles']) => ({
+    name,
+    extensions,
+    metrics,
+    analyse: sources => Promise.resolve({numberOfFiles: sources.length}),
+});
+
+test('forExtension should return the analyser registered for the extension', t => {
+    const registry = new AnalyserRegistry();
+    const js = mkAnalyser('js', ['.js', '.mjs']);
+    registry.register(js);
+    t.is(registry.forExtension('.js'), js);
+    t.is(registry.forExtension('.mjs'), js);
+});
+
+test('forExtension should fall back to the analyser of any extension', t => {
+    const registry = new AnalyserRegistry();
+    const generic = mkAnalyser('generic', ['*']);
+    registry.register(generic);
+    registry.register(mkAnalyser('js', ['.js']));
+    t.is(registry.forExtension('.txt'), generic);
+});
+
+test('metricTypes should list the unique metrics of all analysers', t => {
+    const registry = new AnalyserRegistry();
+    registry.register(mkAnalyser('a', ['.a'], ['numberOfFiles', 'numberOfLines']));
+    registry.register(mkAnalyser('b', ['.b'], ['numberOfFiles', 'customMetric']));
+    t.deepEqual(registry.metricTypes, ['numberOfFiles', 'numberOfLines', 'customMetric']);
+});
+
+test('register should reject invalid analysers', t => {
+    const registry = new AnalyserRegistry();
+    t.throws(() => registry.register({name: 'broken', extensions: ['.x']}));
+});
@@ -0,0 +1,50 @@
+const test = require('ava');
+
+const { rank } = require('../../benchmark.js');
+
+const row = (repo_id, file_extension, metric_type, metric_value) =>
+    ({repo_id, file_extension, metric_type, metric_value});
+
+// four benchmark projects
+const benchmark = [
+    row(1, '.js', 'cyclomaticComplexity', 2),
+    row(2, '.js', 'cyclomaticComplexity', 4),
+    row(3, '.js', 'cyclomaticComplexity', 6),
+    row(4, '.js', 'cyclomaticComplexity', 8),
+    row(1, '.js', 'maintainabilityIndex', 100),
+    row(2, '.py', 'cyclomaticComplexity', 3),
+    row(1, '.txt', 'numberOfLines', 10),
+];
+
+test('metrics are ranked against the benchmark projects with the same extension', t => {
+    const rankings = rank([
+        row(9, '.js', 'cyclomaticComplexity', 7),
+        row(9, '.js', 'maintainabilityIndex', 120),
+        row(9, '.py', 'cyclomaticComplexity', 3),
+    ], benchmark);
+
+    t.deepEqual(rankings, [
+        {
+            metric: 'cyclomaticComplexity', extension: '.js', language: 'javascript',
+            value: 7, below: 75, above: 25, better: 'lower', benchmarkSize: 4,
+        },
+        {
+            metric: 'maintainabilityIndex', extension: '.js', language: 'javascript',
+            value: 120, below: 100, above: 0, better: 'higher', benchmarkSize: 1,
+        },
+        {
+            metric: 'cyclomaticComplexity', extension: '.py', language: 'python',
+            value: 3, below: 0, above: 0, better: 'lower', benchmarkSize: 1,
+        },
+    ]);
+});
+
+test('generic extensions and metrics missing from the benchmark are not ranked', t => {
+    const rankings = rank([
+        row(9, '.txt', 'numberOfLines', 20),
+        row(9, '.ts', 'cyclomaticComplexity', 5),
+        row(9, '.js', 'churnRate', 0.5),
+    ], benchmark);
+
+    t.deepEqual(rankings, []);
+});
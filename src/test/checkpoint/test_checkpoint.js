@@ -0,0 +1,82 @@
+const test = require('ava');
+
+const { Checkpoint } = require('../../checkpoint.js');
+
+// a store recording the batches it was given
+const recorder = () => {
+    let batches = [];
+    const store = batch => {
+        batches.push(batch);
+        return Promise.resolve();
+    };
+    return {batches, store};
+};
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+// waits until a condition holds, the tests run side by side and timers can be late
+const waitFor = async condition => {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await delay(20);
+    }
+};
+
+test('results are stored in full batches, and the rest when flushed', async t => {
+    const {batches, store} = recorder();
+    const checkpoint = new Checkpoint(store, {batchSize: 2});
+    ['a', 'b', 'c', 'd', 'e'].forEach(r => checkpoint.add(r));
+
+    t.is(await checkpoint.flush(), 5);
+    t.deepEqual(batches, [['a', 'b'], ['c', 'd'], ['e']]);
+});
+
+test('results are stored in the order they were added', async t => {
+    const {batches, store} = recorder();
+    const checkpoint = new Checkpoint(store, {batchSize: 2});
+    checkpoint.add(delay(20, 'a'));
+    checkpoint.add('b');
+    checkpoint.add(delay(10, 'c'));
+
+    await checkpoint.flush();
+    t.deepEqual(batches, [['a', 'b'], ['c']]);
+});
+
+test('a batch is stored early once its first result waited long enough', async t => {
+    const {batches, store} = recorder();
+    const checkpoint = new Checkpoint(store, {batchSize: 10, interval: 10});
+    checkpoint.add('a');
+    checkpoint.add('b');
+    await waitFor(() => batches.length > 0);
+    t.deepEqual(batches, [['a', 'b']]);
+
+    checkpoint.add('c');
+    await checkpoint.flush();
+    t.deepEqual(batches, [['a', 'b'], ['c']]);
+});
+
+test('a failed batch stops adding results, and nothing after it is stored', async t => {
+    let batches = [];
+    const store = batch => {
+        batches.push(batch);
+        return batch.includes('b') ? Promise.reject(Error('disk full')) : Promise.resolve();
+    };
+    const checkpoint = new Checkpoint(store, {batchSize: 2});
+    ['a', 'b', 'c'].forEach(r => checkpoint.add(r));
+    // the failure is only seen once the batch was stored
+    await waitFor(() => batches.length > 0);
+    await delay(10);
+    t.throws(() => checkpoint.add('d'), /disk full/);
+
+    await t.throwsAsync(checkpoint.flush(), /disk full/);
+    t.deepEqual(batches, [['a', 'b']]);
+});
+
+test('a failed result is reported when flushed', async t => {
+    const {batches, store} = recorder();
+    const checkpoint = new Checkpoint(store, {batchSize: 2});
+    checkpoint.add('a');
+    checkpoint.add(Promise.reject(Error('no meta analysis')));
+
+    await t.throwsAsync(checkpoint.flush(), /no meta analysis/);
+    t.deepEqual(batches, []);
+});
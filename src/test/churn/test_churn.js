@@ -0,0 +1,52 @@
+const test = require('ava');
+
+const { patchChurn, accumulateChurn, withChurnRate } = require('../../churn.js');
+
+// stand-ins for nodegit commits and patches
+const commit = id => ({id: () => ({tostrS: () => id})});
+const patch = (status, oldPath, newPath, additions, deletions) => ({
+    isAdded: () => status === 'added',
+    isDeleted: () => status === 'deleted',
+    oldFile: () => ({path: () => oldPath}),
+    newFile: () => ({path: () => newPath}),
+    lineStats: () => ({total_context: 0, total_additions: additions, total_deletions: deletions}),
+});
+
+test('the churn of a commit is counted by extension', t => {
+    const churn = patchChurn([
+        patch('added', 'a.js', 'a.js', 10, 0),
+        patch('modified', 'b.js', 'b.js', 3, 2),
+        patch('deleted', 'c.py', 'c.py', 0, 7),
+    ]);
+    t.deepEqual(churn, {
+        '.js': {linesAdded: 13, linesDeleted: 2, filesAdded: 1, filesRemoved: 0, filesModified: 1},
+        '.py': {linesAdded: 0, linesDeleted: 7, filesAdded: 0, filesRemoved: 1, filesModified: 0},
+    });
+});
+
+test('the churn of skipped commits is accumulated', async t => {
+    const history = ['a', 'b', 'c', 'd'].map(commit);
+    const churnOf = c => Promise.resolve({
+        '.js': {linesAdded: 1, linesDeleted: 0, filesAdded: 0, filesRemoved: 0, filesModified: 1},
+    });
+    let diffed = [];
+    const results = await accumulateChurn(history, ['a', 'd'], new Set(['d']), c => {
+        diffed.push(c.id().tostrS());
+        return churnOf(c);
+    });
+    // only the commits since the previous selected one are diffed
+    t.deepEqual(diffed, ['b', 'c', 'd']);
+    t.deepEqual(results, {
+        d: {'.js': {linesAdded: 3, linesDeleted: 0, filesAdded: 0, filesRemoved: 0, filesModified: 3}},
+    });
+});
+
+test('the churn rate is relative to the lines of the extension', t => {
+    const churn = {
+        '.js': {linesAdded: 30, linesDeleted: 20, filesAdded: 0, filesRemoved: 0, filesModified: 2},
+        '.py': {linesAdded: 0, linesDeleted: 7, filesAdded: 0, filesRemoved: 1, filesModified: 0},
+    };
+    const results = withChurnRate(churn, {'.js': {numberOfLines: 200}});
+    t.is(results['.js'].churnRate, 0.25);
+    t.false('churnRate' in results['.py']);
+});
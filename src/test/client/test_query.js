@@ -0,0 +1,102 @@
+const test = require('ava');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { Client, GitHubError } = require('../../client.js');
+
+// a GraphQL API stand-in, answering each request with the next of the given responses
+function listen(responses) {
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        const [status, body] = responses[Math.min(requests++, responses.length - 1)];
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    server.requests = () => requests;
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function mkClient(server, options = {}) {
+    return new Client({
+        owner: 'owner',
+        name: 'name',
+        auth_token: 'token',
+        url: `http://127.0.0.1:${server.address().port}/graphql`,
+        backoff: 1,
+        cacheDir: null,
+        ...options,
+    });
+}
+
+test('server errors are retried', async t => {
+    const server = await listen([
+        [502, '<html>Bad Gateway</html>'],
+        [500, {message: 'Server Error'}],
+        [200, {data: {repository: {forks: {totalCount: 3}}}}],
+    ]);
+    const forks = await mkClient(server).getNumberOfForks().finally(() => server.close());
+    t.is(forks, 3);
+    t.is(server.requests(), 3);
+});
+
+test('errors are thrown once retries run out', async t => {
+    const server = await listen([[502, {message: 'Bad Gateway'}]]);
+    const err = await t.throwsAsync(
+        mkClient(server, {retries: 2}).getNumberOfForks().finally(() => server.close()),
+        GitHubError);
+    t.is(err.status, 502);
+    t.is(server.requests(), 3);
+});
+
+test('GraphQL errors are thrown instead of returning no issues', async t => {
+    const server = await listen([
+        [200, {data: {repository: null}, errors: [{type: 'NOT_FOUND', message: 'Could not resolve to a Repository'}]}],
+    ]);
+    const err = await t.throwsAsync(
+        mkClient(server).getAllIssues().finally(() => server.close()),
+        GitHubError);
+    t.is(err.errors[0].type, 'NOT_FOUND');
+    t.is(server.requests(), 1);
+});
+
+test('the rate limit of the query is tracked', async t => {
+    const server = await listen([[200, {data: {
+        repository: {issues: {edges: []}},
+        rateLimit: {cost: 1, remaining: 4999, resetAt: '2019-01-01T00:00:00Z'},
+    }}]]);
+    const client = mkClient(server);
+    await client.getAllIssues().finally(() => server.close());
+    t.deepEqual(client.rateLimit, {cost: 1, remaining: 4999, resetAt: new Date('2019-01-01T00:00:00Z')});
+});
+
+test('responses are cached on disk', async t => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hublistener-'));
+    const server = await listen([[200, {data: {repository: {stargazers: {totalCount: 7}}}}]]);
+    const first = await mkClient(server, {cacheDir}).getNumberOfStargazers();
+    const second = await mkClient(server, {cacheDir}).getNumberOfStargazers().finally(() => server.close());
+    t.is(first, 7);
+    t.is(second, 7);
+    t.is(server.requests(), 1);
+});
+
+test('issues updated since the last sync are never answered from the cache', async t => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hublistener-'));
+    const server = await listen([[200, {data: {repository: {issues: {edges: []}}}}]]);
+    await mkClient(server, {cacheDir}).getIssuesUpdatedSince(null);
+    await mkClient(server, {cacheDir}).getIssuesUpdatedSince(null).finally(() => server.close());
+    t.is(server.requests(), 2);
+});
+
+test('a missing token is reported as an error', t => {
+    const env = {...process.env};
+    delete process.env.GITHUB_TOKEN;
+    delete process.env.HUBLISTENER_TOKEN;
+    try {
+        t.throws(() => new Client({owner: 'owner', name: 'name', cacheDir: null}),
+            {instanceOf: GitHubError, message: /authentication token/});
+    } finally {
+        Object.assign(process.env, env);
+    }
+});
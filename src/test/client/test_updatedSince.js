@@ -0,0 +1,65 @@
+const test = require('ava');
+const http = require('http');
+
+const { Client } = require('../../client.js');
+
+// an issue as returned by the GraphQL API
+const node = (number, updatedAt) => ({
+    cursor: `cursor${number}`,
+    node: {
+        number,
+        state: 'OPEN',
+        createdAt: '2019-01-01T00:00:00Z',
+        closedAt: null,
+        updatedAt,
+        author: null,
+        labels: {nodes: [{name: 'bug'}]},
+    },
+});
+
+// a GraphQL API stand-in, serving pages of 2 issues, most recently updated first
+function listen() {
+    const pages = [
+        [node(3, '2019-03-03T00:00:00Z'), node(1, '2019-03-01T00:00:00Z')],
+        [node(2, '2019-02-01T00:00:00Z'), node(4, '2019-01-04T00:00:00Z')],
+        [node(5, '2019-01-01T00:00:00Z')],
+    ];
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        const edges = pages[requests++];
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({data: {repository: {issues: {edges}}}}));
+    });
+    server.requests = () => requests;
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function mkClient(server) {
+    return new Client({
+        owner: 'owner',
+        name: 'name',
+        auth_token: 'token',
+        url: `http://127.0.0.1:${server.address().port}/graphql`,
+        cacheDir: null,
+    });
+}
+
+test('only the issues updated since the last sync are fetched', async t => {
+    const server = await listen();
+    const issues = await mkClient(server)
+        .getUpdatedSince('issues', new Date('2019-02-01T00:00:00Z'), 2)
+        .finally(() => server.close());
+    t.deepEqual(issues.map(i => i.number), [3, 1, 2]);
+    t.is(server.requests(), 2);
+    t.deepEqual(issues[0].labels, ['bug']);
+    t.is(issues[0].author, null);
+});
+
+test('all issues are fetched on the first sync, oldest first', async t => {
+    const server = await listen();
+    const client = mkClient(server);
+    client.getIssuesUpdatedSince = since => client.getUpdatedSince('issues', since, 2);
+    const issues = await client.getAllIssues().finally(() => server.close());
+    t.is(issues.length, 5);
+    t.is(server.requests(), 3);
+});
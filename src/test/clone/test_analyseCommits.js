@@ -0,0 +1,61 @@
+const test = require('ava');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// commits are read with nodegit, whose native module may not be built for this Node.js
+const hasNodegit = (() => {
+    try {
+        require('nodegit');
+        return true;
+    } catch (err) {
+        return false;
+    }
+})();
+const gitTest = hasNodegit ? test : test.skip;
+
+// a repository on disk with a commit of some files, made with the git command line
+function mkRepo(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hublistener-'));
+    const git = (...args) => execFileSync('git',
+        ['-c', 'user.name=test', '-c', 'user.email=test@example.invalid', ...args],
+        {cwd: dir, encoding: 'utf8'}).trim();
+    git('init', '-q');
+    for (const [filepath, code] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, filepath), code);
+    }
+    git('add', '-A');
+    git('commit', '-q', '-m', 'add files');
+    return {dir, commit_id: git('rev-parse', 'HEAD')};
+}
+
+// a function with a cyclomatic complexity of n + 1
+const branches = (name, n) => `function ${name}(x) {\n` +
+    [...Array(n).keys()].map(i => `    if (x === ${i}) { return ${i}; }\n`).join('') +
+    '    return x;\n}\n';
+
+gitTest('only the most complex functions of a commit are kept', async t => {
+    const repo = mkRepo({
+        'a.js': branches('simple', 0) + branches('complex', 4),
+        'b.js': branches('middle', 2),
+    });
+    const { Clone } = require('../../clone.js');
+    const clone = await Clone.fromPath(repo.dir);
+
+    const [result] = await clone.analyseCommits({commit_ids: [repo.commit_id], perFile: true, topFunctions: 2});
+    t.deepEqual(result.functions.map(f => [f.path, f.name, f.cyclomatic]),
+        [['a.js', 'complex', 5], ['b.js', 'middle', 3]]);
+    t.deepEqual(result.files.map(f => f.path).sort(), ['a.js', 'b.js']);
+});
+
+gitTest('files and functions are only reported with perFile', async t => {
+    const repo = mkRepo({'a.js': branches('f', 1)});
+    const { Clone } = require('../../clone.js');
+    const clone = await Clone.fromPath(repo.dir);
+
+    const [result] = await clone.analyseCommits({commit_ids: [repo.commit_id]});
+    t.deepEqual(result.files, []);
+    t.deepEqual(result.functions, []);
+    t.is(result.valuesByExt['.js'].numberOfFiles, 1);
+});
@@ -0,0 +1,49 @@
+const test = require('ava');
+
+const compare = require('../../compare.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const point = (commit_id, days, file_extension, metrics) =>
+    ({commit_id, commit_date: Date.UTC(2019, 0, 1) + days * DAY, file_extension, ...metrics});
+
+const series = [
+    {label: 'a/old', points: [
+        point('a1', 0, '.js', {numberOfLines: 10}),
+        point('a2', 30, '.js', {numberOfLines: 20}),
+    ]},
+    {label: 'b/new', points: [
+        point('b1', 400, '.js', {numberOfLines: 5}),
+        point('b2', 410, '.js', {numberOfLines: 8}),
+        point('b2', 410, '.py', {numberOfLines: 3}),
+    ]},
+];
+
+test('parseSelection reads repository ids with optional refs', t => {
+    t.deepEqual(compare.parseSelection('1:master, 2,3:feature/x'), [
+        {id: 1, ref: 'master'},
+        {id: 2, ref: null},
+        {id: 3, ref: 'feature/x'},
+    ]);
+    t.deepEqual(compare.parseSelection(''), []);
+    t.throws(() => compare.parseSelection('one'), /Not a repository id/);
+});
+
+test('alignSeries labels the points and aligns them on the first commit of each repository', t => {
+    const points = compare.alignSeries(series);
+
+    t.deepEqual(points.map(p => [p.repo, p.commit_id, p.days_since_first_commit]), [
+        ['a/old', 'a1', 0],
+        ['a/old', 'a2', 30],
+        ['b/new', 'b1', 0],
+        ['b/new', 'b2', 10],
+        ['b/new', 'b2', 10],
+    ]);
+});
+
+test('latestValues has the latest commit of each repository by extension', t => {
+    const latest = compare.latestValues(series);
+
+    t.deepEqual(Object.keys(latest), ['a/old', 'b/new']);
+    t.is(latest['a/old']['.js'].numberOfLines, 20);
+    t.deepEqual(Object.keys(latest['b/new']).sort(), ['.js', '.py']);
+});
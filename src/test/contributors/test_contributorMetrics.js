@@ -0,0 +1,32 @@
+const test = require('ava');
+
+const { Mailmap, contributorMetrics } = require('../../contributors.js');
+
+const day = n => new Date(Date.UTC(2019, 0, n));
+const commit = (id, n, name, email) => ({commit_id: id, commit_date: day(n), author: {name, email}});
+
+const history = [
+    commit('a', 1, 'Jane', 'jane@example.com'),
+    commit('b', 2, 'Jane', 'JANE@example.com'),
+    commit('c', 3, 'Joe', 'joe@example.com'),
+    commit('d', 20, 'Jane', 'jane@laptop.local'),
+    commit('e', 21, 'Ann', 'ann@example.com'),
+    commit('f', 22, 'Bob', 'bob@example.com'),
+];
+
+test('contributors are counted at each commit', t => {
+    const mailmap = new Mailmap('<jane@example.com> <jane@laptop.local>');
+    const commits = history.filter(c => ['b', 'c', 'f'].includes(c.commit_id));
+    const results = contributorMetrics(history, commits, {mailmap, window: 7});
+
+    t.deepEqual(results.b, {activeAuthors: 1, newContributors: 1, totalContributors: 1, busFactor: 1});
+    t.deepEqual(results.c, {activeAuthors: 2, newContributors: 1, totalContributors: 2, busFactor: 1});
+    // Jane made 3 of the 6 commits, Joe's commit left the window
+    t.deepEqual(results.f, {activeAuthors: 3, newContributors: 2, totalContributors: 4, busFactor: 1});
+});
+
+test('authors are not merged without a mailmap', t => {
+    const results = contributorMetrics(history, history.slice(-1));
+    t.is(results.f.totalContributors, 5);
+    t.is(results.f.busFactor, 2);
+});
@@ -0,0 +1,31 @@
+const test = require('ava');
+
+const { Mailmap, normaliseEmail } = require('../../contributors.js');
+
+const mailmap = new Mailmap(`
+# comments and blank lines are skipped
+
+Jane Doe <jane@old.example.com>
+<jane@example.com> <Jane@Old.Example.com>
+Joe Bloggs <joe@example.com> <joe@laptop.local>
+Joe Bloggs <joe@example.com> root <root@localhost>
+`);
+
+test('emails are normalised', t => {
+    t.is(normaliseEmail(' Jane@Example.COM '), 'jane@example.com');
+    t.is(normaliseEmail('12345+jane@users.noreply.github.com'), 'jane@users.noreply.github.com');
+});
+
+test('names and emails are mapped to the canonical ones', t => {
+    t.deepEqual(mailmap.resolve({name: 'jdoe', email: 'JANE@old.example.com'}),
+        {name: 'Jane Doe', email: 'jane@example.com'});
+    t.deepEqual(mailmap.resolve({name: 'joe', email: 'joe@laptop.local'}),
+        {name: 'Joe Bloggs', email: 'joe@example.com'});
+});
+
+test('entries with a commit name only match that name', t => {
+    t.deepEqual(mailmap.resolve({name: 'root', email: 'root@localhost'}),
+        {name: 'Joe Bloggs', email: 'joe@example.com'});
+    t.deepEqual(mailmap.resolve({name: 'admin', email: 'root@localhost'}),
+        {name: 'admin', email: 'root@localhost'});
+});
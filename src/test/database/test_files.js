@@ -0,0 +1,97 @@
+const test = require('ava');
+
+const { Database } = require('../../database.js');
+
+// real databases need the native SQLite module, which may not be built for this Node.js
+const hasSqlite = (() => {
+    try {
+        require('sqlite3');
+        return true;
+    } catch (err) {
+        return false;
+    }
+})();
+const sqliteTest = hasSqlite ? test : test.skip;
+
+const repo = {identity: 'test.invalid/owner/name', owner: 'owner', name: 'name'};
+
+const file = (path, cyclomatic) => ({
+    path,
+    sloc: 10 * cyclomatic,
+    cyclomatic,
+    maintainability: 100 - cyclomatic,
+    halsteadEffort: 2 * cyclomatic,
+    halsteadVolume: 3 * cyclomatic,
+    halsteadDifficulty: 4 * cyclomatic,
+    halsteadBugs: 0.5,
+});
+
+const fn = (path, name, cyclomatic) => ({path, name, line: 1, sloc: 5, cyclomatic, halsteadEffort: 7});
+
+// stores the file and function reports of some commits, as Data#analyse does
+async function store(db, ref, commits) {
+    const repo_id = await db.getRepoId(repo);
+    const run = await db.startRun(repo_id, ref, '{}', commits.map(c => c.commit_id));
+    await db.storeAnalyses(repo_id, ref, run.id, commits.map(({commit_id, commit_date, files, functions}) => {
+        const commit = {repo_id, ref, commit_id, commit_date};
+        return {
+            commit_id,
+            rows: [],
+            files: files.map(f => ({...commit, ...f})),
+            functions: functions.map(f => ({...commit, ...f})),
+        };
+    }));
+    return repo_id;
+}
+
+sqliteTest('the file and function reports of a commit are read back, most complex first', async t => {
+    const db = await Database.init(':memory:');
+    try {
+        const repo_id = await store(db, 'master', [{
+            commit_id: 'abc',
+            commit_date: Date.UTC(2019, 0, 1),
+            files: [file('a.js', 2), file('lib/b.js', 5)],
+            functions: [fn('a.js', 'add', 1), fn('lib/b.js', 'Parser.parse', 4)],
+        }]);
+
+        t.deepEqual(await db.getFileValues(repo_id, 'master', 'abc'), [file('lib/b.js', 5), file('a.js', 2)]);
+        t.deepEqual(await db.getFunctionValues(repo_id, 'master', 'abc'),
+            [fn('lib/b.js', 'Parser.parse', 4), fn('a.js', 'add', 1)]);
+        t.deepEqual(await db.getFileValues(repo_id, 'other', 'abc'), []);
+    } finally {
+        await db.close();
+    }
+});
+
+sqliteTest('the last commit with file reports is found by ref', async t => {
+    const db = await Database.init(':memory:');
+    try {
+        const repo_id = await store(db, 'master', [
+            {commit_id: 'abc', commit_date: Date.UTC(2019, 0, 1), files: [file('a.js', 1)], functions: []},
+            {commit_id: 'def', commit_date: Date.UTC(2019, 0, 2), files: [file('a.js', 2)], functions: []},
+        ]);
+        await store(db, 'feature', [
+            {commit_id: 'ghi', commit_date: Date.UTC(2019, 0, 3), files: [file('a.js', 3)], functions: []},
+        ]);
+
+        t.deepEqual(await db.getLastFileCommit(repo_id, 'master'),
+            {commit_id: 'def', commit_date: new Date(Date.UTC(2019, 0, 2))});
+        t.is(await db.getLastFileCommit(repo_id, 'none'), null);
+    } finally {
+        await db.close();
+    }
+});
+
+sqliteTest('storing the reports of a commit twice keeps the first ones', async t => {
+    const db = await Database.init(':memory:');
+    try {
+        const commit = {commit_id: 'abc', commit_date: Date.UTC(2019, 0, 1)};
+        const repo_id = await store(db, 'master', [{...commit, files: [file('a.js', 1)], functions: [fn('a.js', 'f', 1)]}]);
+        await store(db, 'master', [{...commit, files: [file('a.js', 9)], functions: [fn('a.js', 'f', 9)]}]);
+
+        t.deepEqual(await db.getFileValues(repo_id, 'master', 'abc'), [file('a.js', 1)]);
+        t.deepEqual(await db.getFunctionValues(repo_id, 'master', 'abc'), [fn('a.js', 'f', 1)]);
+    } finally {
+        await db.close();
+    }
+});
@@ -0,0 +1,87 @@
+const test = require('ava');
+
+const { Database } = require('../../database.js');
+
+// runs against a local PostgreSQL database, e.g.
+// HUBLISTENER_TEST_POSTGRES=postgres://localhost/hublistener_test npx ava test/database
+const url = process.env.HUBLISTENER_TEST_POSTGRES;
+const pgTest = url ? test.serial : test.skip;
+
+const repo = {identity: `test.invalid/owner/name-${Date.now()}`, owner: 'owner', name: 'name'};
+
+pgTest('the metrics of a repository are stored and read back', async t => {
+    const db = await Database.init(url);
+    try {
+        const repo_id = await db.getRepoId(repo);
+        t.is(await db.getRepoId(repo), repo_id);
+
+        await db.registerMetricTypes(['numberOfLines']);
+        const row = {repo_id, ref: 'master', commit_id: 'abc', commit_date: Date.UTC(2019, 0, 1), file_extension: '.js'};
+        const run = await db.startRun(repo_id, 'master', '{}', ['abc']);
+        await db.storeAnalyses(repo_id, 'master', run.id, [{commit_id: 'abc', rows: [
+            {...row, metric_type: 'numberOfLines', metric_value: 120},
+            {...row, metric_type: 'unknownMetric', metric_value: 1},
+        ]}]);
+        // storing twice is ignored
+        await db.storeAnalyses(repo_id, 'master', run.id, [{commit_id: 'abc', rows: [
+            {...row, metric_type: 'numberOfLines', metric_value: 120},
+        ]}]);
+
+        t.deepEqual(await db.getValues(repo_id, 'master'), [
+            {...row, metric_type: 'numberOfLines', metric_value: 120},
+        ]);
+        const [analysed] = (await db.getAnalysedRepositories()).filter(r => r.id === repo_id);
+        t.is(analysed.commits, 1);
+        t.is(analysed.last_commit_date, row.commit_date);
+    } finally {
+        await db.close();
+    }
+});
+
+pgTest('the results of a run are stored with their commits, until it finishes', async t => {
+    const db = await Database.init(url);
+    try {
+        const repo_id = await db.getRepoId(repo);
+        await db.registerMetricTypes(['numberOfLines']);
+        const options = JSON.stringify({sample: 'count:2'});
+
+        const run = await db.startRun(repo_id, 'runs', options, ['abc', 'def']);
+        t.deepEqual((await db.getUnfinishedRun(repo_id, 'runs', options)).commit_ids, ['abc', 'def']);
+
+        const row = {repo_id, ref: 'runs', commit_id: 'abc', commit_date: Date.UTC(2019, 0, 1), file_extension: '.js'};
+        await db.storeAnalyses(repo_id, 'runs', run.id, [
+            {commit_id: 'abc', rows: [{...row, metric_type: 'numberOfLines', metric_value: 120}]},
+        ]);
+        t.deepEqual(await db.getCommitIds(repo_id, 'runs'), new Set(['abc']));
+
+        await db.finishRun(run.id);
+        t.is(await db.getUnfinishedRun(repo_id, 'runs', options), null);
+    } finally {
+        await db.close();
+    }
+});
+
+pgTest('synced issues are updated in place', async t => {
+    const db = await Database.init(url);
+    try {
+        const repo_id = await db.getRepoId(repo);
+        const issue = {
+            number: 1,
+            state: 'OPEN',
+            createdAt: new Date(Date.UTC(2019, 0, 1)),
+            closedAt: null,
+            updatedAt: new Date(Date.UTC(2019, 0, 2)),
+            labels: ['bug'],
+            author: 'alice',
+        };
+        await db.insertIssues(repo_id, [issue]);
+        await db.insertIssues(repo_id, [{...issue, state: 'CLOSED', closedAt: new Date(Date.UTC(2019, 0, 3))}]);
+
+        const issues = await db.getIssues(repo_id);
+        t.is(issues.length, 1);
+        t.is(issues[0].state, 'CLOSED');
+        t.deepEqual(await db.getLastUpdate(repo_id, 'Issues'), issue.updatedAt);
+    } finally {
+        await db.close();
+    }
+});
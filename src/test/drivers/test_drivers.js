@@ -0,0 +1,104 @@
+const test = require('ava');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SqliteDriver, PostgresDriver, driverFor, numberPlaceholders } = require('../../drivers.js');
+
+// real databases need the native SQLite module, which may not be built for this Node.js
+const hasSqlite = (() => {
+    try {
+        require('sqlite3');
+        return true;
+    } catch (err) {
+        return false;
+    }
+})();
+const sqliteTest = hasSqlite ? test : test.skip;
+
+test('driverFor picks the driver of a connection URL', t => {
+    t.deepEqual(driverFor('postgres://user@localhost/hublistener'),
+        {Driver: PostgresDriver, location: 'postgres://user@localhost/hublistener'});
+    t.is(driverFor('postgresql://localhost/hublistener').Driver, PostgresDriver);
+    t.deepEqual(driverFor('sqlite:///tmp/hubdata.sqlite3'),
+        {Driver: SqliteDriver, location: '/tmp/hubdata.sqlite3'});
+    t.deepEqual(driverFor('sqlite:hubdata.sqlite3'), {Driver: SqliteDriver, location: 'hubdata.sqlite3'});
+});
+
+test('driverFor opens anything else as a SQLite file', t => {
+    t.deepEqual(driverFor('hubdata.sqlite3'), {Driver: SqliteDriver, location: 'hubdata.sqlite3'});
+    t.deepEqual(driverFor('C:\\data\\hub.sqlite3'), {Driver: SqliteDriver, location: 'C:\\data\\hub.sqlite3'});
+});
+
+test('numberPlaceholders numbers the placeholders for PostgreSQL', t => {
+    t.is(numberPlaceholders('SELECT * FROM T WHERE a = (?) AND b IN (?, ?);'),
+        'SELECT * FROM T WHERE a = ($1) AND b IN ($2, $3);');
+});
+
+sqliteTest('statements wait for the transactions of other callers', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hublistener-'));
+    const db = new SqliteDriver(path.join(dir, 'hubdata.sqlite3'));
+    try {
+        await db.exec('CREATE TABLE T (name text);');
+        let inserted;
+        const failed = db.transaction(async tx => {
+            await tx.run('INSERT INTO T (name) VALUES (?);', ['rolled back']);
+            // a statement outside of the transaction, while it is open
+            inserted = db.run('INSERT INTO T (name) VALUES (?);', ['kept']);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            throw Error('failed');
+        });
+        await t.throwsAsync(failed, /failed/);
+        await inserted;
+        t.deepEqual(await db.all('SELECT name FROM T;', []), [{name: 'kept'}]);
+    } finally {
+        await db.close();
+    }
+});
+
+sqliteTest('inserts return the id of the new row', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hublistener-'));
+    const db = new SqliteDriver(path.join(dir, 'hubdata.sqlite3'));
+    try {
+        await db.exec('CREATE TABLE T (id INTEGER PRIMARY KEY, name text);');
+        t.is(await db.insert('INSERT INTO T (name) VALUES (?);', ['a']), 1);
+        t.is(await db.transaction(tx => tx.insert('INSERT INTO T (name) VALUES (?);', ['b'])), 2);
+    } finally {
+        await db.close();
+    }
+});
+
+test('PostgreSQL inserts return the id of the new row', async t => {
+    let sent = [];
+    const client = {
+        query: async sql => {
+            sent.push(sql);
+            return {rows: [{id: 3}]};
+        },
+        release: () => {},
+    };
+    const db = Object.create(PostgresDriver.prototype);
+    db.pool = {connect: async () => client};
+
+    t.is(await db.transaction(tx => tx.insert('INSERT INTO T (name) VALUES (?);', ['a'])), 3);
+    t.deepEqual(sent, ['BEGIN;', 'INSERT INTO T (name) VALUES ($1) RETURNING id;', 'COMMIT;']);
+});
+
+test('a PostgreSQL connection failing to roll back is discarded', async t => {
+    let released;
+    const client = {
+        query: async sql => {
+            if (sql !== 'BEGIN;') {
+                throw Error(`${sql} failed`);
+            }
+        },
+        release: err => released = err,
+    };
+    // a driver without the pg module, on a pool of that connection
+    const db = Object.create(PostgresDriver.prototype);
+    db.pool = {connect: async () => client};
+
+    await t.throwsAsync(db.transaction(tx => tx.run('INSERT INTO T VALUES (1);', [])),
+        /INSERT INTO T VALUES \(1\); failed/);
+    t.regex(released.message, /ROLLBACK; failed/);
+});
@@ -0,0 +1,49 @@
+const test = require('ava');
+const http = require('http');
+
+const { GitLabClient } = require('../../gitlab.js');
+
+// a GitLab API stand-in, serving two pages of merge requests
+function listen() {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const page = Number(url.searchParams.get('page'));
+        let body = [];
+        let headers = {'Content-Type': 'application/json'};
+        if (url.pathname === '/api/v4/projects/group%2Fproject/merge_requests') {
+            headers['X-Next-Page'] = page === 1 ? '2' : '';
+            body = page === 1 ?
+                [{iid: 2, state: 'opened', created_at: '2019-02-01T00:00:00Z', updated_at: '2019-02-01T00:00:00Z',
+                    closed_at: null, labels: ['bug'], author: {username: 'b'}}] :
+                [{iid: 1, state: 'merged', created_at: '2019-01-01T00:00:00Z', updated_at: '2019-01-02T00:00:00Z',
+                    merged_at: '2019-01-02T00:00:00Z', labels: [], author: {username: 'a'}}];
+        } else if (url.pathname === '/api/v4/projects/group%2Fproject/repository/commits') {
+            headers['X-Total'] = '42';
+        }
+        res.writeHead(200, headers);
+        res.end(JSON.stringify(body));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('merge requests are paged and normalised', async t => {
+    const server = await listen();
+    const url = `http://127.0.0.1:${server.address().port}/api/v4`;
+    const client = new GitLabClient({owner: 'group', name: 'project', url});
+    const pulls = await client.getPullRequests().finally(() => server.close());
+    // oldest first, though fetched most recently updated first
+    t.deepEqual(pulls.map(p => p.number), [1, 2]);
+    t.deepEqual(pulls.map(p => p.state), ['MERGED', 'OPEN']);
+    t.deepEqual(pulls[0].mergedAt, new Date('2019-01-02T00:00:00Z'));
+    t.is(pulls[1].closedAt, null);
+    t.deepEqual(pulls[1].labels, ['bug']);
+    t.is(pulls[1].author, 'b');
+});
+
+test('commits in a branch are counted from the total header', async t => {
+    const server = await listen();
+    const url = `http://127.0.0.1:${server.address().port}/api/v4`;
+    const client = new GitLabClient({owner: 'group', name: 'project', url});
+    const count = await client.getNumberOfCommitsInBranch('master').finally(() => server.close());
+    t.is(count, 42);
+});
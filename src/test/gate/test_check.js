@@ -0,0 +1,67 @@
+const test = require('ava');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const gate = require('../../gate.js');
+
+const point = (commit_id, commit_date, file_extension, metrics) =>
+    ({commit_id, commit_date, file_extension, ...metrics});
+
+const points = [
+    point('old', 1000, '.js', {maintainabilityIndex: 50, cyclomaticComplexity: 10}),
+    point('new', 2000, '.js', {maintainabilityIndex: 70, cyclomaticComplexity: 11}),
+    point('new', 2000, '.py', {maintainabilityIndex: 60}),
+];
+const baseline = [
+    point('base', 500, '.js', {maintainabilityIndex: 72, cyclomaticComplexity: 10}),
+];
+
+test('absolute limits are checked on the latest commit', t => {
+    const results = gate.check([
+        {extension: '.js', metric: 'maintainabilityIndex', min: 65},
+        {metric: 'maintainabilityIndex', max: 65},
+    ], points);
+
+    t.deepEqual(results.map(r => [r.name, r.status]), [
+        ['.js maintainabilityIndex >= 65', 'passed'],
+        ['.js maintainabilityIndex <= 65', 'failed'],
+        ['.py maintainabilityIndex <= 65', 'passed'],
+    ]);
+});
+
+test('relative limits are checked against the baseline', t => {
+    const thresholds = [
+        {extension: '.js', metric: 'cyclomaticComplexity', maxIncrease: 5},
+        {extension: '.js', metric: 'maintainabilityIndex', maxDecrease: 5},
+        {extension: '.py', metric: 'maintainabilityIndex', maxDecrease: 5},
+    ];
+
+    t.deepEqual(gate.check(thresholds, points, baseline).map(r => r.status),
+        ['failed', 'passed', 'skipped']);
+    t.deepEqual(gate.check(thresholds, points).map(r => r.status),
+        ['skipped', 'skipped', 'skipped']);
+});
+
+test('unmeasured metrics are skipped', t => {
+    const [result] = gate.check([{extension: '.ts', metric: 'maintainabilityIndex', min: 65}], points);
+    t.is(result.status, 'skipped');
+});
+
+test('the JUnit report has a test case per result', t => {
+    const xml = gate.junitXml(gate.check([
+        {extension: '.js', metric: 'maintainabilityIndex', min: 65, max: 65},
+    ], points));
+
+    t.true(xml.includes('<testsuite name="HubListener" tests="2" failures="1" skipped="0">'));
+    t.true(xml.includes('<testcase name=".js maintainabilityIndex &gt;= 65" classname="HubListener"/>'));
+    t.true(xml.includes('<failure message="maintainabilityIndex is 70"/>'));
+});
+
+test('loadThresholds rejects thresholds without a limit', t => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gate-')), 'thresholds.json');
+    fs.writeFileSync(file, JSON.stringify({thresholds: [{metric: 'maintainabilityIndex'}]}));
+    t.throws(() => gate.loadThresholds(file), /Not a valid threshold/);
+
+    t.is(gate.loadThresholds(path.join(__dirname, '../../thresholds.json')).length, 3);
+});
@@ -0,0 +1,166 @@
+const test = require('ava');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AnalyserRegistry, builtins } = require('../../analysers.js');
+
+// commits are read with nodegit, whose native module may not be built for this Node.js
+const hasNodegit = (() => {
+    try {
+        require('nodegit');
+        return true;
+    } catch (err) {
+        return false;
+    }
+})();
+const gitTest = hasNodegit ? test : test.skip;
+
+// a repository on disk, changed and committed with the git command line
+function mkRepo() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hublistener-'));
+    const run = (...args) => execFileSync('git',
+        ['-c', 'user.name=test', '-c', 'user.email=test@example.invalid', ...args],
+        {cwd: dir, encoding: 'utf8'});
+    const git = (...args) => run(...args).trim();
+    git('init', '-q');
+    return {
+        dir,
+        git,
+        // the contents of a file at a commit, as they are
+        show: (commit_id, filepath) => run('show', `${commit_id}:${filepath}`),
+        write: (filepath, code) => {
+            fs.mkdirSync(path.dirname(path.join(dir, filepath)), {recursive: true});
+            fs.writeFileSync(path.join(dir, filepath), code);
+        },
+        commit: message => {
+            git('add', '-A');
+            git('commit', '-q', '-m', message);
+            return git('rev-parse', 'HEAD');
+        },
+    };
+}
+
+// the analysis of every file of a commit at once, read with the git command line
+async function fullAnalysis({git, show}, commit_id, registry) {
+    let sourcesByExt = {};
+    for (const line of git('ls-tree', '-r', commit_id).split('\n')) {
+        const [mode, , , filepath] = line.split(/\s+/);
+        if (mode !== '100644' && mode !== '100755') continue;
+        const ext = path.extname(filepath);
+        sourcesByExt[ext] = sourcesByExt[ext] || [];
+        sourcesByExt[ext].push({path: filepath, code: show(commit_id, filepath)});
+    }
+
+    let valuesByExt = {};
+    let files = [];
+    let functions = [];
+    for (const ext of Object.keys(sourcesByExt).sort()) {
+        const sources = sourcesByExt[ext].sort((a, b) => a.path < b.path ? -1 : 1);
+        const report = await registry.forExtension(ext).analyse(sources, {perFile: true});
+        const {files: extFiles = [], functions: extFunctions = [], ...values} = report;
+        valuesByExt[ext] = values;
+        files.push(...extFiles);
+        functions.push(...extFunctions);
+    }
+    return {valuesByExt, files, functions};
+}
+
+// the built-in analysers, but a stand-in for Python that counts how often it runs
+function mkRegistry() {
+    let runs = [];
+    const registry = new AnalyserRegistry();
+    builtins.filter(a => a.name !== 'python').forEach(a => registry.register(a));
+    registry.register({
+        name: 'counting',
+        extensions: ['.py'],
+        metrics: ['numberOfFiles'],
+        analyse: async sources => {
+            runs.push(sources.map(s => s.path));
+            return {numberOfFiles: sources.length};
+        },
+    });
+    return {registry, runs};
+}
+
+gitTest('each commit has the same results as a full analysis of its tree', async t => {
+    const repo = mkRepo();
+    const commits = [];
+    repo.write('a.js', 'function add(x, y) {\n    return x + y;\n}\n');
+    repo.write('b.js', 'const b = 1;\nmodule.exports = b;\n');
+    repo.write('broken.js', 'function (\n');
+    repo.write('notes.txt', 'some\nnotes\n');
+    repo.write('run.sh', 'echo run\n');
+    commits.push(repo.commit('add files'));
+
+    repo.write('a.js', 'function add(x, y) {\n    if (x) {\n        return x + y;\n    }\n    return y;\n}\n');
+    commits.push(repo.commit('modify a file'));
+
+    fs.unlinkSync(path.join(repo.dir, 'b.js'));
+    commits.push(repo.commit('delete a file'));
+
+    fs.mkdirSync(path.join(repo.dir, 'lib'));
+    repo.git('mv', 'a.js', 'lib/a.js');
+    repo.git('mv', 'notes.txt', 'guide.txt');
+    commits.push(repo.commit('rename files'));
+
+    fs.chmodSync(path.join(repo.dir, 'run.sh'), 0o755);
+    commits.push(repo.commit('change the mode of a file'));
+
+    const { Clone } = require('../../clone.js');
+    const { IncrementalAnalyser } = require('../../incremental.js');
+    const clone = await Clone.fromPath(repo.dir);
+    const {registry} = mkRegistry();
+    const analyser = new IncrementalAnalyser(clone, {registry, perFile: true});
+    for (const commit_id of commits) {
+        const commit = await clone.repo.getCommit(commit_id);
+        t.deepEqual(await analyser.analyse(commit), await fullAnalysis(repo, commit_id, registry),
+            `commit ${commit.message().trim()}`);
+    }
+    t.true(analyser.blobs.has('run.sh'));
+    t.false(analyser.blobs.has('b.js'));
+});
+
+gitTest('the results of files no longer in the analysed commit are forgotten', async t => {
+    const repo = mkRepo();
+    repo.write('a.js', 'const a = 1;\n');
+    repo.write('b.js', 'const b = 2;\n');
+    const first = repo.commit('add files');
+    repo.write('a.js', 'const a = 3;\n');
+    fs.unlinkSync(path.join(repo.dir, 'b.js'));
+    const second = repo.commit('modify and delete files');
+
+    const { Clone } = require('../../clone.js');
+    const { IncrementalAnalyser } = require('../../incremental.js');
+    const clone = await Clone.fromPath(repo.dir);
+    const analyser = new IncrementalAnalyser(clone, {registry: mkRegistry().registry});
+    await analyser.analyse(await clone.repo.getCommit(first));
+    t.deepEqual([...analyser.fileCache.keys()].map(key => key.split(':')[0]).sort(), ['a.js', 'b.js']);
+
+    await analyser.analyse(await clone.repo.getCommit(second));
+    t.deepEqual([...analyser.fileCache.keys()], [`a.js:${analyser.blobs.get('a.js')}`]);
+});
+
+gitTest('analysers of whole extensions only run again once any of their files changed', async t => {
+    const repo = mkRepo();
+    repo.write('a.py', 'a = 1\n');
+    repo.write('b.py', 'b = 2\n');
+    repo.write('c.js', 'const c = 1;\n');
+    const commits = [repo.commit('add files')];
+    repo.write('c.js', 'const c = 2;\n');
+    commits.push(repo.commit('modify a JavaScript file'));
+    repo.write('b.py', 'b = 3\n');
+    commits.push(repo.commit('modify a Python file'));
+
+    const { Clone } = require('../../clone.js');
+    const { IncrementalAnalyser } = require('../../incremental.js');
+    const clone = await Clone.fromPath(repo.dir);
+    const {registry, runs} = mkRegistry();
+    const analyser = new IncrementalAnalyser(clone, {registry});
+    for (const commit_id of commits) {
+        const {valuesByExt} = await analyser.analyse(await clone.repo.getCommit(commit_id));
+        t.deepEqual(valuesByExt['.py'], {numberOfFiles: 2});
+    }
+    t.deepEqual(runs, [['a.py', 'b.py'], ['a.py', 'b.py']]);
+});
@@ -0,0 +1,74 @@
+const test = require('ava');
+
+const { JobQueue, JobState } = require('../../jobs.js');
+
+test('a job runs its task and stores the result', async t => {
+    const jobs = new JobQueue();
+    const job = jobs.enqueue(async job => {
+        job.setState(JobState.ANALYSING);
+        job.progress(1, 2);
+        return 'result';
+    });
+    t.is(jobs.get(job.id), job);
+    await new Promise(resolve => setImmediate(resolve));
+    t.is(job.state, JobState.DONE);
+    t.is(job.result, 'result');
+    t.is(job.processed, 1);
+    t.is(job.total, 2);
+});
+
+test('a failing task marks the job as failed', async t => {
+    const jobs = new JobQueue();
+    const job = jobs.enqueue(async () => {
+        throw new Error('oops');
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    t.is(job.state, JobState.FAILED);
+    t.is(job.error, 'oops');
+});
+
+test('jobs wait in the queue while others are running', async t => {
+    const jobs = new JobQueue({concurrency: 1});
+    let finish;
+    const first = jobs.enqueue(() => new Promise(resolve => { finish = resolve; }));
+    const second = jobs.enqueue(async () => 'second');
+    t.is(second.state, JobState.QUEUED);
+    finish('first');
+    await new Promise(resolve => setImmediate(resolve));
+    t.is(first.state, JobState.DONE);
+    t.is(second.state, JobState.DONE);
+});
+
+test('a cancelled job stops at its next state change', async t => {
+    const jobs = new JobQueue();
+    let proceed;
+    const job = jobs.enqueue(async job => {
+        await new Promise(resolve => { proceed = resolve; });
+        job.setState(JobState.ANALYSING);
+        return 'unreachable';
+    });
+    jobs.cancel(job.id);
+    proceed();
+    await new Promise(resolve => setImmediate(resolve));
+    t.is(job.state, JobState.CANCELLED);
+    t.is(job.result, null);
+});
+
+test('a cancelled job keeps its slot until its task stops', async t => {
+    const jobs = new JobQueue({concurrency: 1});
+    let proceed;
+    const first = jobs.enqueue(() => new Promise(resolve => { proceed = resolve; }));
+    const second = jobs.enqueue(async () => 'second');
+    jobs.cancel(first.id);
+    // clients waiting for the job are told at once
+    t.is(await first.wait(), first);
+    await new Promise(resolve => setImmediate(resolve));
+    t.is(second.state, JobState.QUEUED);
+    t.is(jobs.running, 1);
+
+    proceed();
+    await new Promise(resolve => setImmediate(resolve));
+    t.is(first.state, JobState.CANCELLED);
+    t.is(second.state, JobState.DONE);
+    t.is(jobs.running, 0);
+});
@@ -0,0 +1,146 @@
+const test = require('ava');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MIGRATIONS_DIR, loadMigrations, status, migrate } = require('../../migrate.js');
+const { SqliteDriver } = require('../../drivers.js');
+
+// real databases need the native SQLite module, which may not be built for this Node.js
+const hasSqlite = (() => {
+    try {
+        require('sqlite3');
+        return true;
+    } catch (err) {
+        return false;
+    }
+})();
+const sqliteTest = hasSqlite ? test : test.skip;
+
+// a stand-in for a database driver, recording the statements run on it
+class FakeDriver {
+    constructor(versions = []) {
+        this.dialect = 'sqlite';
+        this.versions = versions;
+        this.statements = [];
+    }
+
+    async exec(sql) {
+        this.statements.push(sql.trim());
+        if (sql.includes('FAIL')) {
+            throw Error('syntax error');
+        }
+    }
+
+    async get(sql) {
+        return {version: this.versions.length ? Math.max(...this.versions) : null};
+    }
+
+    async run(sql, [version]) {
+        this.statements.push(`applied ${version}`);
+        this.versions.push(version);
+    }
+
+    // only records the transaction, rolling back the versions applied in it
+    async transaction(queries) {
+        const versions = [...this.versions];
+        this.statements.push('BEGIN');
+        try {
+            await queries(this);
+            this.statements.push('COMMIT');
+        } catch (err) {
+            this.versions = versions;
+            this.statements.push('ROLLBACK');
+            throw err;
+        }
+    }
+}
+
+const migrations = [
+    {version: 1, name: 'initial', sql: 'CREATE TABLE A (id integer);'},
+    {version: 2, name: 'b', sql: 'CREATE TABLE B (id integer);'},
+];
+
+test('the schema from before migrations is migration 1 of every dialect', t => {
+    for (const dialect of ['sqlite', 'postgres']) {
+        const [initial, ...rest] = loadMigrations(path.join(MIGRATIONS_DIR, dialect));
+        t.is(initial.version, 1);
+        t.is(initial.name, 'initial');
+        t.true(initial.sql.includes('CREATE TABLE IF NOT EXISTS MetricValues'));
+        t.true(rest.every((m, i) => m.version === i + 2));
+    }
+});
+
+test('every dialect has the same migrations', t => {
+    const names = dialect => loadMigrations(path.join(MIGRATIONS_DIR, dialect)).map(m => m.name);
+    t.deepEqual(names('postgres'), names('sqlite'));
+});
+
+test('loadMigrations rejects gaps in the versions', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.writeFileSync(path.join(dir, '001_initial.sql'), '');
+    fs.writeFileSync(path.join(dir, '003_later.sql'), '');
+    t.throws(() => loadMigrations(dir), /Expected migration 2/);
+});
+
+test('migrate applies the pending migrations in order, each in a transaction', async t => {
+    const db = new FakeDriver([1]);
+    const before = await migrate(db, migrations);
+
+    t.is(before.current, 1);
+    t.deepEqual(db.versions, [1, 2]);
+    t.deepEqual(db.statements.slice(1), [
+        'BEGIN', 'CREATE TABLE B (id integer);', 'applied 2', 'COMMIT',
+    ]);
+    t.deepEqual((await status(db, migrations)).pending, []);
+});
+
+test('a failed migration is rolled back', async t => {
+    const db = new FakeDriver();
+    const failing = [...migrations, {version: 3, name: 'broken', sql: 'FAIL'}];
+
+    await t.throwsAsync(migrate(db, failing), /Failed migrating the database to version 3 \(broken\)/);
+    t.deepEqual(db.versions, [1, 2]);
+    t.is(db.statements[db.statements.length - 1], 'ROLLBACK');
+});
+
+test('migrate refuses a database from a newer version', async t => {
+    const db = new FakeDriver([1, 2, 3]);
+    await t.throwsAsync(migrate(db, migrations), /schema version 3, newer than the latest migration \(2\)/);
+    t.false(db.statements.includes('BEGIN'));
+});
+
+sqliteTest('a database created before migrations is upgraded to the latest schema', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hublistener-'));
+    const db = new SqliteDriver(path.join(dir, 'hubdata.sqlite3'));
+    try {
+        // the schema.sql of old versions is migration 1, run on every start
+        const [initial] = loadMigrations(path.join(MIGRATIONS_DIR, 'sqlite'));
+        await db.exec(initial.sql);
+        await db.run('INSERT INTO Repositories (owner, name) VALUES (?, ?);', ['owner', 'name']);
+        await db.run(`
+            INSERT INTO MetricValues
+            (repo_id, commit_id, commit_date, file_extension, metric_type_id, metric_value)
+            SELECT 1, 'abc', 1546300800000, '.js', id, 120 FROM MetricTypes WHERE name = 'numberOfLines';`, []);
+
+        const before = await migrate(db);
+        t.is(before.current, 0);
+        t.deepEqual((await status(db)).pending, []);
+
+        t.deepEqual(await db.all('SELECT id, identity, owner, name FROM Repositories;', []),
+            [{id: 1, identity: 'github.com/owner/name', owner: 'owner', name: 'name'}]);
+        t.deepEqual(await db.all('SELECT repo_id, ref, commit_id, metric_value FROM MetricValues;', []),
+            [{repo_id: 1, ref: 'master', commit_id: 'abc', metric_value: 120}]);
+        t.deepEqual(await db.all('SELECT repo_id, ref, commit_id, run_id FROM AnalysedCommits;', []),
+            [{repo_id: 1, ref: 'master', commit_id: 'abc', run_id: null}]);
+        // the same commit can be stored on another ref
+        await db.run(`
+            INSERT INTO MetricValues
+            (repo_id, ref, commit_id, commit_date, file_extension, metric_type_id, metric_value)
+            SELECT repo_id, 'develop', commit_id, commit_date, file_extension, metric_type_id, metric_value
+            FROM MetricValues;`, []);
+        t.is((await db.all('SELECT id FROM MetricValues;', [])).length, 2);
+    } finally {
+        await db.close();
+    }
+});
@@ -0,0 +1,32 @@
+const test = require('ava');
+
+const { providerFor } = require('../../providers.js');
+const { parseRemote } = require('../../utils.js');
+const { GitLabClient } = require('../../gitlab.js');
+const { GiteaClient } = require('../../gitea.js');
+
+test('the forge is guessed from the host', t => {
+    const gitlab = providerFor(parseRemote('https://gitlab.com/group/sub/project'), {config: {}});
+    t.true(gitlab instanceof GitLabClient);
+    t.is(gitlab.project, 'https://gitlab.com/api/v4/projects/group%2Fsub%2Fproject');
+
+    const gitea = providerFor(parseRemote('git@codeberg.org:owner/name.git'), {config: {}});
+    t.true(gitea instanceof GiteaClient);
+    t.is(gitea.repo, 'https://codeberg.org/api/v1/repos/owner/name');
+});
+
+test('self-hosted forges are configured by host', t => {
+    const remote = parseRemote('https://git.example.com/owner/name');
+    t.is(providerFor(remote, {config: {}}), null);
+
+    const config = {'git.example.com': {type: 'gitea', url: 'https://git.example.com/gitea/api/v1', token: 'secret'}};
+    const client = providerFor(remote, {config});
+    t.true(client instanceof GiteaClient);
+    t.is(client.repo, 'https://git.example.com/gitea/api/v1/repos/owner/name');
+    t.is(client.token, 'secret');
+    t.is(providerFor(remote, {config, auth_token: 'other'}).token, 'other');
+});
+
+test('local repositories have no forge', t => {
+    t.is(providerFor(parseRemote('/srv/git/repo'), {config: {}}), null);
+});
@@ -0,0 +1,64 @@
+const test = require('ava');
+
+const { sample, thin, gaps } = require('../../sampling.js');
+
+// a commit-like object, with the parts of a nodegit Commit the strategies use
+const mkCommit = (id, date, parents = []) => ({
+    id: () => ({tostrS: () => id}),
+    date: () => new Date(date),
+    parentcount: () => parents.length,
+    parentId: n => ({tostrS: () => parents[n]}),
+});
+
+const ids = commits => commits.map(c => c.id().tostrS());
+
+test('thin keeps evenly spaced commits, including the first and last', t => {
+    const commits = [...Array(10).keys()];
+    t.deepEqual(thin(commits, 4), [0, 3, 6, 9]);
+    t.deepEqual(thin(commits, 20), commits);
+});
+
+test('count keeps at most the budget', async t => {
+    const commits = [...Array(250).keys()].map(i => mkCommit(`c${i}`, 1000 * i));
+    const sampled = await sample(commits, {strategy: 'count', budget: 100});
+    t.is(sampled.length, 100);
+    t.is(sampled[99].id().tostrS(), 'c249');
+});
+
+test('week keeps the last commit of each week', async t => {
+    const commits = [
+        mkCommit('a', '2019-01-07T10:00:00Z'), // Monday
+        mkCommit('b', '2019-01-09T10:00:00Z'),
+        mkCommit('c', '2019-01-14T10:00:00Z'), // next Monday
+        mkCommit('d', '2019-01-20T23:00:00Z'), // Sunday
+    ];
+    t.deepEqual(ids(await sample(commits, {strategy: 'week'})), ['b', 'd']);
+});
+
+test('tag keeps the tagged commits', async t => {
+    const commits = ['a', 'b', 'c'].map((id, i) => mkCommit(id, i));
+    const clone = {taggedCommits: async () => new Set(['a', 'c'])};
+    t.deepEqual(ids(await sample(commits, {strategy: 'tag', clone})), ['a', 'c']);
+});
+
+test('first-parent keeps the merges of the first-parent chain', async t => {
+    const commits = [
+        mkCommit('a', 1),
+        mkCommit('f', 2, ['a']),          // feature branch
+        mkCommit('b', 3, ['a']),
+        mkCommit('m', 4, ['b', 'f']),     // merge of the feature branch
+        mkCommit('g', 5, ['f']),
+        mkCommit('n', 6, ['m', 'g']),     // another merge
+        mkCommit('c', 7, ['n']),
+    ];
+    t.deepEqual(ids(await sample(commits, {strategy: 'first-parent'})), ['m', 'n']);
+});
+
+test('unknown strategies are rejected', t => {
+    t.throws(() => sample([], {strategy: 'yearly'}));
+});
+
+test('each sampled commit stands for the commits skipped before it', t => {
+    const results = gaps(['a', 'b', 'c', 'd', 'e'], ['b', 'e']);
+    t.deepEqual([...results], [['b', ['a', 'b']], ['e', ['c', 'd', 'e']]]);
+});
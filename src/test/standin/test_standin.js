@@ -0,0 +1,49 @@
+const test = require('ava');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Client } = require('../../client.js');
+const { createApp } = require('../../standin.js');
+
+const repo = JSON.parse(fs.readFileSync(path.join(__dirname, '../../standin.json'), 'utf8'));
+
+function listen() {
+    return new Promise(resolve => {
+        const server = createApp(repo).listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function mkClient(options) {
+    return new Client({owner: 'owner', name: 'name', auth_token: 'token', cacheDir: null, ...options});
+}
+
+test('the client runs against the stand-in server', async t => {
+    const server = await listen();
+    const client = mkClient({url: `http://127.0.0.1:${server.address().port}/graphql`});
+    const summary = await client.getSummary('master').finally(() => server.close());
+    t.deepEqual(summary, {
+        totalIssues: 6,
+        openIssues: 3,
+        closedIssues: 3,
+        numberOfForks: 4,
+        totalPullRequests: 4,
+        openPullRequests: 1,
+        closedPullRequests: 1,
+        mergedPullRequests: 2,
+        numberOfStargazers: 27,
+        commitsInBranch: 152,
+    });
+});
+
+test('recorded queries are replayed without the server', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hublistener-'));
+    const server = await listen();
+    const url = `http://127.0.0.1:${server.address().port}/graphql`;
+    const recorded = await mkClient({url, record: dir}).getAllIssues().finally(() => server.close());
+
+    const replayed = await mkClient({url, replay: dir}).getAllIssues();
+    t.deepEqual(replayed, recorded);
+    t.is(replayed.length, 6);
+    await t.throwsAsync(mkClient({url, replay: dir}).getNumberOfForks(), /No recorded response/);
+});
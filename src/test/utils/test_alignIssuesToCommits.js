@@ -0,0 +1,53 @@
+const test = require('ava');
+
+const { alignIssuesToCommits, alignPullsToCommits } = require('../../utils.js');
+
+const day = n => new Date(Date.UTC(2019, 0, n));
+const commits = [
+    {commit_id: 'a', commit_date: day(2)},
+    {commit_id: 'b', commit_date: day(5)},
+    {commit_id: 'c', commit_date: day(10)},
+];
+
+test('issues are counted in their state at the date of each commit', t => {
+    const issues = [
+        {state: 'CLOSED', createdAt: day(1), closedAt: day(4)},
+        {state: 'CLOSED', createdAt: day(3), closedAt: day(8)},
+        {state: 'OPEN', createdAt: day(4), closedAt: null},
+    ];
+    const results = alignIssuesToCommits(issues, commits);
+
+    t.deepEqual(results.a, {
+        totalIssues: 1, openIssues: 1, closedIssues: 0,
+        issuesOpened: 1, issuesClosed: 0, openIssuesAge: 1,
+    });
+    // the first issue was closed in between, the second one is still open
+    t.deepEqual(results.b, {
+        totalIssues: 3, openIssues: 2, closedIssues: 1,
+        issuesOpened: 2, issuesClosed: 1, openIssuesAge: 1.5,
+    });
+    t.deepEqual(results.c, {
+        totalIssues: 3, openIssues: 1, closedIssues: 2,
+        issuesOpened: 0, issuesClosed: 1, openIssuesAge: 6,
+    });
+});
+
+test('reopened issues are not counted as closed', t => {
+    const issues = [{state: 'OPEN', createdAt: day(1), closedAt: day(3)}];
+    const results = alignIssuesToCommits(issues, commits);
+    t.is(results.b.openIssues, 1);
+    t.is(results.b.closedIssues, 0);
+});
+
+test('pull requests are counted in their state at the date of each commit', t => {
+    const pulls = [
+        {state: 'MERGED', createdAt: day(1), closedAt: day(4), mergedAt: day(4)},
+        {state: 'CLOSED', createdAt: day(1), closedAt: day(6), mergedAt: null},
+        {state: 'OPEN', createdAt: day(3), closedAt: null, mergedAt: null},
+    ];
+    const results = alignPullsToCommits(pulls, commits);
+
+    t.deepEqual(results.a, {totalPulls: 2, openPulls: 2, closedPulls: 0, mergedPulls: 0});
+    t.deepEqual(results.b, {totalPulls: 3, openPulls: 2, closedPulls: 0, mergedPulls: 1});
+    t.deepEqual(results.c, {totalPulls: 3, openPulls: 1, closedPulls: 1, mergedPulls: 1});
+});
@@ -0,0 +1,24 @@
+const test = require('ava');
+
+const { analysisOptions } = require('../../utils.js');
+
+test('flags are read from booleans and strings', t => {
+    t.true(analysisOptions({quick: true}).quick);
+    t.true(analysisOptions({quick: 'true'}).quick);
+    t.false(analysisOptions({quick: 'false'}).quick);
+    t.false(analysisOptions({}).perFile);
+});
+
+test('dates and budgets are parsed', t => {
+    const options = analysisOptions({since: '2019-01-31', budget: '50'});
+    t.deepEqual(options.since, new Date('2019-01-31'));
+    t.is(options.until, null);
+    t.is(options.budget, 50);
+});
+
+test('invalid options throw', t => {
+    t.throws(() => analysisOptions({since: 'someday'}));
+    t.throws(() => analysisOptions({range: 'v1.0'}));
+    t.throws(() => analysisOptions({sampling: 'yearly'}));
+    t.throws(() => analysisOptions({budget: '-3'}));
+});
@@ -0,0 +1,22 @@
+const test = require('ava');
+
+const { asyncHandler } = require('../../utils.js');
+
+test('asyncHandler passes the errors of a handler on to the error handlers', async t => {
+    const err = Error('database is locked');
+    let passed;
+    await asyncHandler(async () => {
+        throw err;
+    })({}, {}, e => passed = e);
+    t.is(passed, err);
+});
+
+test('asyncHandler leaves handlers that succeed alone', async t => {
+    let sent;
+    let passed = false;
+    await asyncHandler(async (req, res) => {
+        res.send(req.query);
+    })({query: 'ok'}, {send: body => sent = body}, () => passed = true);
+    t.is(sent, 'ok');
+    t.false(passed);
+});
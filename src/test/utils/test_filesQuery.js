@@ -0,0 +1,13 @@
+const test = require('ava');
+
+const utils = require('../../utils.js');
+
+test('filesQuery needs the ref the commits were analysed on', t => {
+    t.throws(() => utils.filesQuery({}), /ref the commits were analysed on is required/);
+    t.throws(() => utils.filesQuery({ref: '', commit: 'abc'}), /ref the commits were analysed on is required/);
+});
+
+test('filesQuery gets the last commit with file metrics by default', t => {
+    t.deepEqual(utils.filesQuery({ref: 'master'}), {ref: 'master', commit: null});
+    t.deepEqual(utils.filesQuery({ref: 'v1.0', commit: 'abc'}), {ref: 'v1.0', commit: 'abc'});
+});
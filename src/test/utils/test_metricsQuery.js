@@ -0,0 +1,52 @@
+const test = require('ava');
+
+const utils = require('../../utils.js');
+
+test('metricsQuery has defaults for every parameter', t => {
+    t.deepEqual(utils.metricsQuery({}), {
+        ref: null,
+        types: null,
+        ext: null,
+        from: null,
+        to: null,
+        resolution: null,
+        limit: 100,
+        offset: 0,
+    });
+});
+
+test('metricsQuery reads comma separated lists, dates and integers', t => {
+    const query = utils.metricsQuery({
+        ref: 'master',
+        types: 'numberOfLines, cyclomaticComplexity',
+        ext: '.js,.py',
+        from: '2019-01-01',
+        resolution: '50',
+        limit: '10',
+        offset: '20',
+    }, ['numberOfLines', 'cyclomaticComplexity']);
+
+    t.deepEqual(query.types, ['numberOfLines', 'cyclomaticComplexity']);
+    t.deepEqual(query.ext, ['.js', '.py']);
+    t.is(query.from.getTime(), Date.UTC(2019, 0, 1));
+    t.is(query.resolution, 50);
+    t.is(query.limit, 10);
+    t.is(query.offset, 20);
+});
+
+test('metricsQuery rejects invalid parameters', t => {
+    t.throws(() => utils.metricsQuery({limit: '1000'}), /Not a valid limit/);
+    t.throws(() => utils.metricsQuery({offset: '-1'}), /Not a valid offset/);
+    t.throws(() => utils.metricsQuery({resolution: 'all'}), /Not a valid resolution/);
+    t.throws(() => utils.metricsQuery({to: 'yesterday'}), /Not a valid date/);
+    t.throws(() => utils.metricsQuery({types: 'numberOfLines,loc'}, ['numberOfLines']),
+        /Unknown metric types: loc/);
+});
+
+test('pageOfCommits downsamples before paging, newest first', t => {
+    const commits = [...Array(10).keys()];
+
+    t.deepEqual(utils.pageOfCommits(commits, {limit: 3, offset: 0}), {total: 10, commits: [9, 8, 7]});
+    t.deepEqual(utils.pageOfCommits(commits, {limit: 3, offset: 9}), {total: 10, commits: [0]});
+    t.deepEqual(utils.pageOfCommits(commits, {resolution: 4, limit: 2, offset: 2}), {total: 4, commits: [3, 0]});
+});
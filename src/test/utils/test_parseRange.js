@@ -0,0 +1,17 @@
+const test = require('ava');
+
+const { parseRange } = require('../../utils.js');
+
+test('both ends of the range are parsed', t => {
+    t.deepEqual(parseRange('v1.0..v2.0'), {from: 'v1.0', to: 'v2.0'});
+});
+
+test('missing ends of the range are null', t => {
+    t.deepEqual(parseRange('v1.0..'), {from: 'v1.0', to: null});
+    t.deepEqual(parseRange('..develop'), {from: null, to: 'develop'});
+});
+
+test('invalid ranges throw', t => {
+    t.throws(() => parseRange('v1.0'));
+    t.throws(() => parseRange('main...develop'));
+});
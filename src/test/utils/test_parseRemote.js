@@ -0,0 +1,40 @@
+const test = require('ava');
+const path = require('path');
+
+const { parseRemote } = require('../../utils.js');
+
+test('the URLs of a hosted repository share the same identity', t => {
+    const urls = [
+        'https://github.com/pjmc-oliveira/HubListener',
+        'https://user@GitHub.com/pjmc-oliveira/HubListener.git/',
+        'git@github.com:pjmc-oliveira/HubListener.git',
+        'ssh://git@github.com:22/pjmc-oliveira/HubListener',
+        'https://github.com/pjmc-oliveira/HubListener/tree/master',
+    ];
+    for (const url of urls) {
+        t.is(parseRemote(url).identity, 'github.com/pjmc-oliveira/HubListener', url);
+    }
+});
+
+test('owner, name and forge are parsed from any host', t => {
+    const remote = parseRemote('https://git.example.com/group/sub/project.git');
+    t.is(remote.owner, 'group/sub');
+    t.is(remote.name, 'project');
+    t.is(remote.forge, null);
+    t.is(parseRemote('https://github.com/a/b').forge, 'github');
+    t.is(parseRemote('git@gitlab.example.com:a/b.git').forge, 'gitlab');
+    t.is(parseRemote('https://codeberg.org/a/b').forge, 'gitea');
+});
+
+test('local paths are identified by their absolute path', t => {
+    const local = parseRemote('file:///srv/git/repo.git');
+    t.is(local.identity, 'file:///srv/git/repo.git');
+    t.is(local.path, '/srv/git/repo.git');
+    t.is(local.name, 'repo');
+    t.is(parseRemote('./repo').identity, 'file://' + path.resolve('repo'));
+});
+
+test('invalid URLs throw', t => {
+    t.throws(() => parseRemote(''));
+    t.throws(() => parseRemote('https://github.com/'));
+});
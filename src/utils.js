@@ -3,6 +3,9 @@
 const fs = require('fs');
 const path = require('path');
 
+// user defined modules
+const sampling = require('./sampling.js');
+
 /**
  *  A namespace containing useful utility functions.
  *  @namespace
@@ -26,87 +29,253 @@ const utils = {
      */
 
     /**
-     *  The count of GitHub issues by state
+     *  The count of GitHub issues by state, as of the date of a commit
      *  @typedef {object} IssuesCount
      *  
      *  @property {number} totalIssues - The total number of GitHub issues
      *  @property {number} openIssues - The number of open GitHub issues
      *  @property {number} closedIssues - The number of closed GitHub issues
+     *  @property {number} issuesOpened
+     *      The number of issues opened since the previous commit (or ever, for the first one)
+     *  @property {number} issuesClosed
+     *      The number of issues closed since the previous commit (or ever, for the first one)
+     *  @property {number} openIssuesAge
+     *      The mean age of the open issues in days, 0 if there are none
      */
 
     /**
-     *  Align issues to commits by date
+     *  Align issues to commits by date. Each issue is counted in the state it
+     *  was in at the date of the commit, i.e. closed only if it was closed before
+     *  the commit. Issues open today are never counted as closed, even if they
+     *  were closed (and reopened) before.
      * 
-     *  @param {Array<IssueInfo>} issues - The issues to align
-     *  @param {Array<CommitInfo>} commits -The commits to align the issues to
+     *  @param {Array<IssueInfo>} issues - The issues to align, oldest first
+     *  @param {Array<CommitInfo>} commits -The commits to align the issues to, oldest first
      *  
      *  @return {Object<CommitId, IssuesCount>}
      */
     alignIssuesToCommits: function (issues, commits) {
-        // the offset to the current issues
-        let offset = 0;
+        const closed = issues
+            .filter(i => i.state !== 'OPEN' && i.closedAt)
+            .sort((a, b) => a.closedAt - b.closedAt);
+
+        // the offsets to the current issues, by creation and closing date
+        let createdOffset = 0;
+        let closedOffset = 0;
 
         let results = {};
 
-        // running tally of issues by state
+        // running tally of issues by state,
+        // and the sum of the creation dates of the open ones to get their age
         let totalIssues = 0;
-        let openIssues = 0;
         let closedIssues = 0;
+        let openCreatedAt = 0;
 
         // iterate through every commit, stepping up to the last issue at that commit date
         for (const {commit_id, commit_date} of commits) {
-            // step to new issues
-            for (;  offset < issues.length &&
-                    commit_date > issues[offset].createdAt; offset++) {
+            const date = new Date(commit_date).getTime();
+            const previous = {totalIssues, closedIssues};
 
-                // increment `totalIssues`, and either `openIssues` OR `closedIssues`
+            // step to new issues
+            for (;  createdOffset < issues.length &&
+                    date > issues[createdOffset].createdAt; createdOffset++) {
                 totalIssues++;
-                issues[offset].state === 'OPEN' ? openIssues++ : closedIssues++;
+                openCreatedAt += issues[createdOffset].createdAt.getTime();
+            }
+            // step to newly closed issues
+            for (;  closedOffset < closed.length &&
+                    date > closed[closedOffset].closedAt; closedOffset++) {
+                closedIssues++;
+                openCreatedAt -= closed[closedOffset].createdAt.getTime();
             }
 
             // store tally
-            results[commit_id] = {totalIssues, openIssues, closedIssues};
+            const openIssues = totalIssues - closedIssues;
+            results[commit_id] = {
+                totalIssues,
+                openIssues,
+                closedIssues,
+                issuesOpened: totalIssues - previous.totalIssues,
+                issuesClosed: closedIssues - previous.closedIssues,
+                openIssuesAge: openIssues > 0 ?
+                    (openIssues * date - openCreatedAt) / openIssues / (24 * 60 * 60 * 1000) : 0,
+            };
         }
 
         return results;
     },
 
+    /**
+     *  Align pull requests to commits by date. Each pull request is counted in
+     *  the state it was in at the date of the commit, i.e. merged or closed only if
+     *  it was merged or closed before the commit, see {@link utils.alignIssuesToCommits}.
+     * 
+     *  @param {Array<IssueInfo2>} pulls - The pull requests to align, oldest first
+     *  @param {Array<CommitInfo>} commits -The commits to align the pull requests to, oldest first
+     *  
+     *  @return {Object<CommitId, object>}
+     *      The totalPulls, openPulls, closedPulls and mergedPulls at each commit
+     */
     alignPullsToCommits: function (pulls, commits) {
-        // the offset to the current pulls
-        let offset = 0;
+        // pull requests that are not open anymore were either merged or closed
+        const byDate = key => pulls
+            .filter(p => p.state !== 'OPEN' && p[key])
+            .sort((a, b) => a[key] - b[key]);
+        const merged = byDate('mergedAt');
+        const closed = byDate('closedAt').filter(p => !p.mergedAt);
+
+        // the offsets to the current pulls, by creation, merging and closing date
+        let createdOffset = 0;
+        let mergedOffset = 0;
+        let closedOffset = 0;
 
         let results = {};
 
-        // running tally of pulls by state
-        let totalPulls = 0;
-        let openPulls = 0;
-        let closedPulls = 0;
-        let mergedPulls = 0;
-
-        // iterate through every commit, stepping up to the last issue at that commit date
+        // iterate through every commit, stepping up to the last pull at that commit date
         for (const {commit_id, commit_date} of commits) {
-            // step to new pulls
-            for (;  offset < pulls.length &&
-                    commit_date > pulls[offset].createdAt; offset++) {
-
-                // increment `totalPulls`, and either `openPulls` OR `closedPulls`
-                totalPulls++;
-                if (pulls[offset].state === 'OPEN') {
-                    openPulls++;
-                } else if (pulls[offset].state === 'CLOSED') {
-                    closedPulls++;
-                } else if (pulls[offset].state === 'MERGED') {
-                    mergedPulls++;
-                }
-            }
+            const date = new Date(commit_date).getTime();
+
+            for (; createdOffset < pulls.length && date > pulls[createdOffset].createdAt; createdOffset++);
+            for (; mergedOffset < merged.length && date > merged[mergedOffset].mergedAt; mergedOffset++);
+            for (; closedOffset < closed.length && date > closed[closedOffset].closedAt; closedOffset++);
 
             // store tally
-            results[commit_id] = {totalPulls, openPulls, closedPulls, mergedPulls};
+            results[commit_id] = {
+                totalPulls: createdOffset,
+                openPulls: createdOffset - mergedOffset - closedOffset,
+                closedPulls: closedOffset,
+                mergedPulls: mergedOffset,
+            };
         }
 
         return results;
     },
 
+    /**
+     *  The options of an analysis, see {@link Data#analyse}
+     *  @typedef {object} AnalysisOptions
+     *  @property {boolean} quick - Only analyse a sample of the commits
+     *  @property {boolean} perFile - Also store the metrics of each file and function
+     *  @property {string} ref - The branch or tag to analyse, `null` for the default branch
+     *  @property {string} range - The revision range 'from..to' to analyse, if any
+     *  @property {Date} since - Only analyse the commits made on or after this date, if any
+     *  @property {Date} until - Only analyse the commits made on or before this date, if any
+     *  @property {string} sampling - The sampling strategy of a quick analysis
+     *  @property {number} budget - The maximum number of commits of a quick analysis
+     */
+
+    /**
+     *  Reads the options of an analysis from the parameters of a request or the
+     *  command line, so they behave the same everywhere. Flags can be booleans or
+     *  the strings 'true' and 'false'.
+     *  @param {object} params - The raw parameters, with the keys of {@link AnalysisOptions}
+     *
+     *  @return {AnalysisOptions} The options, throws if any is not valid
+     */
+    analysisOptions: function (params) {
+        const flag = value => value === true || value === 'true';
+        const options = {
+            quick: flag(params.quick),
+            perFile: flag(params.perFile),
+            ref: params.ref || null,
+            range: params.range || null,
+            since: params.since ? utils.parseDate(params.since) : null,
+            until: params.until ? utils.parseDate(params.until) : null,
+            sampling: params.sampling || undefined,
+            budget: params.budget ? Number(params.budget) : undefined,
+        };
+        if (options.range) {
+            utils.parseRange(options.range);
+        }
+        sampling.validate({strategy: options.sampling, budget: options.budget});
+        return options;
+    },
+
+    /**
+     *  The filters, pagination and downsampling of a query of stored metrics,
+     *  see `GET /repos/:owner/:name/metrics`
+     *  @typedef {object} MetricsQuery
+     *  @property {string} ref - The ref the commits were analysed on, `null` for the latest analysed one
+     *  @property {Array<string>} types - Only get these metrics, `null` for all of them
+     *  @property {Array<string>} ext - Only get these file extensions, `null` for all of them
+     *  @property {Date} from - Only get the commits made on or after this date, if any
+     *  @property {Date} to - Only get the commits made on or before this date, if any
+     *  @property {number} resolution - Downsample to at most this many evenly spaced commits, if any
+     *  @property {number} limit - The maximum number of commits in a page
+     *  @property {number} offset - The number of commits before the page, newest first
+     */
+
+    /**
+     *  Reads a query of stored metrics from the parameters of a request.
+     *  Lists are comma separated, e.g. 'types=numberOfLines,cyclomaticComplexity'.
+     *  @param {object} params - The raw parameters, with the keys of {@link MetricsQuery}
+     *  @param {Array<string>} [metricTypes] - The known metric types, any are allowed if not given
+     *
+     *  @return {MetricsQuery} The query, throws if any parameter is not valid
+     */
+    metricsQuery: function (params, metricTypes = null) {
+        const list = value => value ? String(value).split(',').map(s => s.trim()).filter(s => s) : null;
+        const integer = (name, value, {min, max = Infinity}) => {
+            const n = Number(value);
+            if (!Number.isInteger(n) || n < min || n > max) {
+                throw Error(`Not a valid ${name} (${value}), expected an integer ` +
+                    `from ${min}${max < Infinity ? ` to ${max}` : ''}`);
+            }
+            return n;
+        };
+        const query = {
+            ref: params.ref || null,
+            types: list(params.types),
+            ext: list(params.ext),
+            from: params.from ? utils.parseDate(params.from) : null,
+            to: params.to ? utils.parseDate(params.to) : null,
+            resolution: params.resolution ? integer('resolution', params.resolution, {min: 1}) : null,
+            // the values of a page are bound as parameters of a single statement
+            limit: params.limit ? integer('limit', params.limit, {min: 1, max: 500}) : 100,
+            offset: params.offset ? integer('offset', params.offset, {min: 0}) : 0,
+        };
+        const unknown = metricTypes && (query.types || []).filter(t => !metricTypes.includes(t));
+        if (unknown && unknown.length > 0) {
+            throw Error(`Unknown metric types: ${unknown.join(', ')}`);
+        }
+        return query;
+    },
+
+    /**
+     *  Reads a query of the stored file metrics of a commit from the parameters
+     *  of a request, see `GET /repos/:owner/:name/files`
+     *  @param {object} params - The raw parameters
+     *  @param {string} params.ref - The branch or tag the commit was analysed on
+     *  @param {string} [params.commit] - The id of the commit, `null` for the last one with file metrics
+     *
+     *  @return {object} The ref and commit, throws if the ref is missing
+     */
+    filesQuery: function (params) {
+        if (!params.ref) {
+            throw Error('The ref the commits were analysed on is required');
+        }
+        return {
+            ref: String(params.ref),
+            commit: params.commit ? String(params.commit) : null,
+        };
+    },
+
+    /**
+     *  Picks the commits of a page of stored metrics, after downsampling.
+     *  @param {Array<T>} commits - The analysed commits, oldest first
+     *  @param {MetricsQuery} query - The query, only resolution, limit and offset are used
+     *
+     *  @return {object} the total number of commits after downsampling, and the commits of the page, newest first
+     *  @template T
+     */
+    pageOfCommits: function (commits, {resolution = null, limit = 100, offset = 0}) {
+        const kept = resolution ? sampling.thin(commits, resolution) : commits;
+        return {
+            total: kept.length,
+            commits: [...kept].reverse().slice(offset, offset + limit),
+        };
+    },
+
     /**
      *  Parses an Array of strings (flags and values) into an object of flag keys,
      *  and value values.
@@ -268,6 +437,20 @@ const utils = {
         return result;
     },
 
+    /**
+     *  Parses a date, e.g. '2019-01-31' or '2019-01-31T12:00:00Z'
+     *  @param {string} date - The date string
+     *
+     *  @return {Date} The date, throws if not a valid date
+     */
+    parseDate: function (date) {
+        const parsed = new Date(date);
+        if (isNaN(parsed.getTime())) {
+            throw Error(`Not a valid date (${date}), expected e.g. '2019-01-31'`);
+        }
+        return parsed;
+    },
+
     /**
      *  Information about the GitHub project
      *  @typedef {object} ProjectInfo
@@ -296,10 +479,144 @@ const utils = {
         };
     },
 
+    /**
+     *  The identity of a Git repository, wherever it is hosted
+     *  @typedef {object} RemoteInfo
+     *  @property {string} identity
+     *      The normalised remote, e.g. 'github.com/owner/name' for any of the URLs
+     *      of a hosted repository, or 'file:///path/to/repo' for a local one
+     *  @property {string} host - The host name, `null` for local repositories
+     *  @property {string} owner - The owner (or parent directory) of the repository
+     *  @property {string} name - The name of the repository
+     *  @property {string} forge
+     *      The forge hosting the repository ('github', 'gitlab' or 'gitea'),
+     *      guessed from the host, see {@link utils.guessForge}
+     *  @property {string} path - The absolute path of a local repository, otherwise `null`
+     */
+
+    /**
+     *  Guesses the forge hosting repositories from the name of the host,
+     *  e.g. 'github.com', 'gitlab.com', 'gitlab.example.com' or 'codeberg.org'.
+     *  Self-hosted forges with other names are configured, see {@link providers}.
+     *  @param {string} host - The host name
+     *
+     *  @return {string} The forge ('github', 'gitlab' or 'gitea'), `null` if unknown
+     */
+    guessForge: function (host) {
+        if (!host) {
+            return null;
+        }
+        if (host === 'github.com') {
+            return 'github';
+        }
+        if (/^gitlab\./.test(host)) {
+            return 'gitlab';
+        }
+        if (/^gitea\./.test(host) || host === 'codeberg.org') {
+            return 'gitea';
+        }
+        return null;
+    },
+
+    /**
+     *  Parses any Git URL or local path, e.g. 'https://host/owner/name.git',
+     *  'git@host:owner/name.git', 'ssh://git@host:22/owner/name', 'file:///path/to/repo'
+     *  or a path on disk.
+     *  @param {string} url - The URL or path of the repository
+     *
+     *  @return {RemoteInfo}
+     *      The identity of the repository
+     */
+    parseRemote: function (url) {
+        if (!url) {
+            throw Error('No repository URL or path given');
+        }
+        let host = null;
+        let repoPath;
+
+        const urlMatch = /^([a-z][a-z0-9+.-]*):\/\/(.*)$/i.exec(url);
+        // scp-like syntax, e.g. 'git@github.com:owner/name.git'
+        const scpMatch = /^(?:[^@\/:]+@)?([^\/:]{2,}):(?!\/\/)(.+)$/.exec(url);
+        if (urlMatch && urlMatch[1].toLowerCase() !== 'file') {
+            // strip the user and port from the authority
+            const [authority, ...rest] = urlMatch[2].split('/');
+            host = authority.replace(/^.*@/, '').replace(/:\d*$/, '').toLowerCase();
+            repoPath = rest.join('/');
+        } else if (!urlMatch && scpMatch) {
+            host = scpMatch[1].toLowerCase();
+            repoPath = scpMatch[2];
+        }
+
+        // local repositories are identified by their absolute path
+        if (host === null) {
+            const localPath = path.resolve(urlMatch ? decodeURIComponent(urlMatch[2]) : url);
+            const segments = localPath.split(path.sep).filter(s => s);
+            return {
+                identity: 'file://' + localPath,
+                host: null,
+                owner: segments.length > 1 ? segments[segments.length - 2] : '',
+                name: (segments[segments.length - 1] || localPath).replace(/\.git$/, ''),
+                forge: null,
+                path: localPath,
+            };
+        }
+
+        let segments = repoPath
+            .replace(/\.git\/?$/, '')
+            .split('/')
+            .filter(s => s);
+        // GitHub repositories are always 'owner/name', ignore any page after it
+        if (host === 'github.com') {
+            segments = segments.slice(0, 2);
+        }
+        if (!host || segments.length === 0) {
+            throw Error(`Not a valid Git URL (${url})`);
+        }
+        const name = segments[segments.length - 1];
+        const owner = segments.slice(0, -1).join('/');
+        return {
+            identity: [host, ...segments].join('/'),
+            host,
+            owner,
+            name,
+            forge: utils.guessForge(host),
+            path: null,
+        };
+    },
+
+    /**
+     *  A range of revisions, as in `git log from..to`
+     *  @typedef {object} RevisionRange
+     *  @property {string} from
+     *      The revision (e.g. a tag) to start after, `null` to start at the first commit
+     *  @property {string} to
+     *      The last revision (e.g. a branch or tag), `null` for the analysed ref
+     */
+
+    /**
+     *  Parses a revision range of the form 'from..to'. Either end can be
+     *  left out, e.g. 'v1.0..' for every commit after the tag 'v1.0'.
+     *  @param {string} range - The revision range
+     *
+     *  @return {RevisionRange}
+     *      The start and end of the range
+     */
+    parseRange: function (range) {
+        const parts = range.split('..');
+        if (parts.length !== 2 || parts[1].startsWith('.')) {
+            throw Error(`Not a valid revision range (${range}), expected 'from..to'`);
+        }
+        return {
+            from: parts[0] || null,
+            to: parts[1] || null
+        };
+    },
+
     /**
      *  A row-like object outputted by a database query
      *  @typedef {object} Row
      *  @property {number} repo_id - The id of the repository
+     *  @property {string} ref - The branch or tag the commit was analysed on
      *  @property {string} commit_id - The id of the commit
      *  @property {Date} commit_date - The date of the commit
      *  @property {string} file_extension - The file extension
@@ -311,13 +628,14 @@ const utils = {
      *  A point-like object to be processed the the front-end graphs library
      *  @typedef {object} Point
      *  @property {number} repo_id - The id of the repository
+     *  @property {string} ref - The branch or tag the commit was analysed on
      *  @property {string} commit_id - The id of the commit
      *  @property {Date} commit_date - The date of the commit
      *  @property {string} file_extension - The file extension
      *  @property {number} metric_type*
      *      The value of metric of type `metric_type`, these properties are dynamically generated
      *      and can differ for each point. Possibilities are subsets of the values in the MetricTypes
-     *      table. See [schema.sql]{@link schema.sql} for details.
+     *      table. See the migrations directory for details.
      */
 
     /**
@@ -372,6 +690,22 @@ const utils = {
         return Object.values(points);
     },
 
+    /**
+     *  Gets the points of the latest commit of an analysis.
+     *  @param {Array<Point>} points - The analysis results
+     *
+     *  @return {Object<string, Point>} The points of the latest commit, by extension
+     */
+    latestPoints: function (points) {
+        const date = point => new Date(point.commit_date).getTime();
+        const latest = Math.max(...points.map(date));
+        let results = {};
+        for (const point of points.filter(p => date(p) === latest)) {
+            results[point.file_extension] = point;
+        }
+        return results;
+    },
+
    /**
      *    Gets values of the list excluding duplicates
      *    @param {Array<T>} duplicates - The list with potential duplicates
@@ -445,6 +779,18 @@ const utils = {
         }
     },
 
+    /**
+     *  Wraps an async Express route handler, so that the errors it throws are
+     *  passed on to the error handlers, instead of leaving the request hanging.
+     *
+     *  @param {function(Request, Response): Promise} handler - The route handler
+     *
+     *  @return {function(Request, Response, function)} The Express route handler
+     */
+    asyncHandler: function (handler) {
+        return (req, res, next) => handler(req, res).catch(next);
+    },
+
     /**
      *  Zip takes any number of arrays (e.g. xs = [x_0...x_n], ys = [y_0...y_m])
      *  and returns an array where each element is an array of the n^th elements of